@@ -1,35 +1,32 @@
 import React, { useState, useEffect } from 'react'
-import { createClient } from '@supabase/supabase-js'
+import { supabase, backend, onPasswordRecovery, clearStoredSession } from '../../shared/supabase.js'
+import { isStrongPassword } from '../../shared/passwords.js'
 import AdminMap from './components/AdminMap.jsx'
 import Analytics from './components/Analytics.jsx'
+import LanguageSwitcher from './components/LanguageSwitcher.jsx'
+import ForgotPassword from '../../shared/components/ForgotPassword.jsx'
+import ResetPassword from '../../shared/components/ResetPassword.jsx'
+import AccountSettings from '../../shared/components/AccountSettings.jsx'
+import PasswordRules from '../../shared/components/PasswordRules.jsx'
+import { useI18n } from '../../shared/i18n/react.js'
 import './App.css'
 
-// Initialize Supabase client directly in the admin dashboard
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
+const dashboardUrl = `${window.location.origin}${import.meta.env.BASE_URL}`
 
-console.log('Supabase config:', { 
-  url: supabaseUrl ? 'Present' : 'Missing', 
-  key: supabaseAnonKey ? 'Present' : 'Missing' 
-})
-
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('Missing Supabase environment variables')
-}
-
-const supabase = createClient(supabaseUrl, supabaseAnonKey)
-
-// Export supabase for use in other components
-export { supabase }
+// Password reset links lead back here with this query parameter, which App
+// reads to show ResetPassword instead of the dashboard.
+const RECOVERY_PARAM = 'recovery'
 
 // Auth Component matching citizen portal design
 function Auth() {
+  const { t, formatError } = useI18n()
   const [isLogin, setIsLogin] = useState(true)
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
   const [name, setName] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [forgotPassword, setForgotPassword] = useState(false)
 
   const handleAuth = async (e) => {
     e.preventDefault()
@@ -52,36 +49,45 @@ function Auth() {
           }
         })
         if (error) throw error
-        alert('Check your email to confirm your account!')
+        alert(t('auth.confirmEmail'))
       }
     } catch (err) {
-      setError(err.message)
+      setError(err)
     } finally {
       setLoading(false)
     }
   }
 
+  if (forgotPassword) {
+    return (
+      <ForgotPassword
+        redirectTo={`${dashboardUrl}?${RECOVERY_PARAM}=1`}
+        onBack={() => setForgotPassword(false)}
+      />
+    )
+  }
+
   return (
     <form className="mt-8 space-y-6" onSubmit={handleAuth}>
       <input type="hidden" name="remember" value="true" />
       <div className="rounded-md shadow-sm -space-y-px">
         {!isLogin && (
           <div>
-            <label htmlFor="name" className="sr-only">Name</label>
+            <label htmlFor="name" className="sr-only">{t('auth.name')}</label>
             <input
               id="name"
               name="name"
               type="text"
               required={!isLogin}
               className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
-              placeholder="Full Name"
+              placeholder={t('auth.name')}
               value={name}
               onChange={(e) => setName(e.target.value)}
             />
           </div>
         )}
         <div>
-          <label htmlFor="email-address" className="sr-only">Email address</label>
+          <label htmlFor="email-address" className="sr-only">{t('auth.email')}</label>
           <input
             id="email-address"
             name="email"
@@ -89,30 +95,31 @@ function Auth() {
             autoComplete="email"
             required
             className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 ${isLogin ? 'rounded-t-md' : ''} focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm`}
-            placeholder="Email address"
+            placeholder={t('auth.email')}
             value={email}
             onChange={(e) => setEmail(e.target.value)}
           />
         </div>
         <div>
-          <label htmlFor="password" className="sr-only">Password</label>
+          <label htmlFor="password" className="sr-only">{t('auth.password')}</label>
           <input
             id="password"
             name="password"
             type="password"
-            autoComplete="current-password"
+            autoComplete={isLogin ? 'current-password' : 'new-password'}
             required
             className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
-            placeholder="Password"
+            placeholder={t('auth.password')}
             value={password}
             onChange={(e) => setPassword(e.target.value)}
           />
         </div>
       </div>
+      {!isLogin && <PasswordRules password={password} email={email} />}
 
       {error && (
         <div className="text-red-500 text-sm text-center">
-          {error}
+          {formatError(error)}
         </div>
       )}
 
@@ -123,15 +130,19 @@ function Auth() {
             className="font-medium text-indigo-600 hover:text-indigo-500"
             onClick={() => setIsLogin(!isLogin)}
           >
-            {isLogin ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
+            {isLogin ? t('auth.toSignUp') : t('auth.toSignIn')}
           </button>
         </div>
 
         {isLogin && (
           <div className="text-sm">
-            <a href="#" className="font-medium text-indigo-600 hover:text-indigo-500">
-              Forgot your password?
-            </a>
+            <button
+              type="button"
+              className="font-medium text-indigo-600 hover:text-indigo-500"
+              onClick={() => setForgotPassword(true)}
+            >
+              {t('auth.forgotPassword')}
+            </button>
           </div>
         )}
       </div>
@@ -139,16 +150,16 @@ function Auth() {
       <div>
         <button
           type="submit"
-          disabled={loading}
+          disabled={loading || (!isLogin && !isStrongPassword(password, { email }))}
           className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
         >
           {loading ? (
-            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <svg className="animate-spin -ms-1 me-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
               <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
             </svg>
           ) : null}
-          {isLogin ? 'Sign in' : 'Sign up'}
+          {isLogin ? t('auth.signIn') : t('auth.signUp')}
         </button>
       </div>
     </form>
@@ -156,12 +167,17 @@ function Auth() {
 }
 
 function App() {
+  const { t, formatError } = useI18n()
   const [session, setSession] = useState(null)
   const [activeView, setActiveView] = useState('map')
   const [isAdmin, setIsAdmin] = useState(false)
+  const [role, setRole] = useState(null)
   const [loading, setLoading] = useState(true)
   const [authMode, setAuthMode] = useState('login') // 'login' or 'signup'
   const [signingOut, setSigningOut] = useState(false)
+  const [recovering, setRecovering] = useState(
+    () => new URLSearchParams(window.location.search).has(RECOVERY_PARAM)
+  )
 
   useEffect(() => {
     // Get initial session
@@ -179,12 +195,16 @@ function App() {
     return () => subscription.unsubscribe()
   }, [])
 
+  // In case Supabase sent the reset link to the site URL without our flag
+  useEffect(() => onPasswordRecovery(() => setRecovering(true)), [])
+
   // Check if user is admin
   useEffect(() => {
     if (session) {
       checkAdminStatus()
     } else {
       setIsAdmin(false)
+      setRole(null)
     }
   }, [session])
 
@@ -198,6 +218,7 @@ function App() {
 
       if (!error && data) {
         setIsAdmin(data.role === 'admin' || data.role === 'staff')
+        setRole(data.role)
       }
     } catch (error) {
       console.error('Error checking admin status:', error)
@@ -212,16 +233,13 @@ function App() {
       console.log('Starting sign out process...')
       console.log('Current session:', session)
       
-      // Clear all local storage and session storage
-      localStorage.clear()
-      sessionStorage.clear()
-      
-      // Try different sign out approaches
       const { error } = await supabase.auth.signOut()
       
       if (error) {
         console.warn('Supabase sign out error (continuing anyway):', error)
       }
+      // Make sure no session is left behind; the chosen language stays
+      clearStoredSession()
       
       console.log('Sign out completed')
       // Force clear session state
@@ -236,8 +254,7 @@ function App() {
     } catch (error) {
       console.error('Error during sign out:', error)
       // Force clear even on error
-      localStorage.clear()
-      sessionStorage.clear()
+      clearStoredSession()
       setSession(null)
       setIsAdmin(false)
       setTimeout(() => {
@@ -250,7 +267,7 @@ function App() {
 
   // Temporary function to clean up orphaned auth users
   const handleCleanupAuthUser = async () => {
-    const email = prompt('Enter email to remove from auth:')
+    const email = prompt(t('dashboard.cleanupPrompt'))
     if (!email) return
 
     try {
@@ -261,12 +278,12 @@ function App() {
       
       if (error) {
         console.error('Error deleting auth user:', error)
-        alert('Error: ' + error.message + '\n\nPlease use the Supabase Dashboard instead:\n1. Go to Authentication → Users\n2. Find and delete the user\n3. Try signing up again')
+        alert(t('dashboard.cleanupFailed', { error: formatError(error) }))
       } else {
-        alert('User deleted from auth system')
+        alert(t('dashboard.cleanupDone'))
       }
     } catch (error) {
-      alert('This requires admin access. Please use Supabase Dashboard:\n1. Go to Authentication → Users\n2. Find and delete the user\n3. Try signing up again')
+      alert(t('dashboard.cleanupNeedsAdmin'))
     }
   }
 
@@ -278,20 +295,17 @@ function App() {
     )
   }
 
-  // Check for missing environment variables
-  if (!supabaseUrl || !supabaseAnonKey) {
+  const finishRecovery = () => {
+    window.history.replaceState(null, '', import.meta.env.BASE_URL)
+    setRecovering(false)
+  }
+
+  // Before the admin check: anyone may reset their password, and the page
+  // they land on should say so even if they turn out not to be staff.
+  if (recovering) {
     return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <div className="bg-white p-8 rounded-lg shadow-md max-w-md w-full">
-          <h2 className="text-2xl font-bold mb-4 text-center text-red-600">Configuration Error</h2>
-          <p className="mb-4 text-gray-600 text-center">
-            Missing Supabase environment variables. Please check your configuration.
-          </p>
-          <div className="text-sm text-gray-500">
-            <p>VITE_SUPABASE_URL: {supabaseUrl ? '✓' : '✗'}</p>
-            <p>VITE_SUPABASE_ANON_KEY: {supabaseAnonKey ? '✓' : '✗'}</p>
-          </div>
-        </div>
+      <div className="min-h-screen bg-gray-50 py-6 px-4">
+        <ResetPassword onDone={finishRecovery} onCancel={finishRecovery} />
       </div>
     )
   }
@@ -301,12 +315,20 @@ function App() {
       <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
         <div className="max-w-md w-full space-y-8">
           <div>
+            <div className="flex justify-end">
+              <LanguageSwitcher />
+            </div>
             <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-              Admin Dashboard Access
+              {t('dashboard.accessTitle')}
             </h2>
             <p className="mt-2 text-center text-sm text-gray-600">
-              Sign in to access the administrative dashboard
+              {t('dashboard.accessIntro')}
             </p>
+            {backend === 'local' && (
+              <p className="mt-2 text-center text-sm text-gray-600">
+                {t('auth.localDemo', { email: 'staff@example.com' })}
+              </p>
+            )}
           </div>
           <Auth />
         </div>
@@ -318,16 +340,16 @@ function App() {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="bg-white p-8 rounded-lg shadow-md max-w-md w-full">
-          <h2 className="text-2xl font-bold mb-4 text-center text-red-600">Access Denied</h2>
+          <h2 className="text-2xl font-bold mb-4 text-center text-red-600">{t('dashboard.accessDenied')}</h2>
           <p className="mb-6 text-gray-600 text-center">
-            You do not have permission to access the admin dashboard.
+            {t('dashboard.accessDeniedDetail')}
           </p>
           <button
             onClick={handleSignOut}
             disabled={signingOut}
             className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 disabled:opacity-50"
           >
-            {signingOut ? 'Signing Out...' : 'Sign Out'}
+            {signingOut ? t('dashboard.signingOut') : t('dashboard.signOut')}
           </button>
         </div>
       </div>
@@ -339,7 +361,7 @@ function App() {
       {/* Navigation Header */}
       <header className="bg-white shadow">
         <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8 flex justify-between items-center">
-          <h1 className="text-2xl font-bold text-gray-900">Admin Dashboard</h1>
+          <h1 className="text-2xl font-bold text-gray-900">{t('dashboard.title')}</h1>
           <div className="flex items-center space-x-4">
             <button
               onClick={() => setActiveView('map')}
@@ -349,7 +371,7 @@ function App() {
                   : 'text-gray-700 hover:bg-gray-200'
               }`}
             >
-              Reports
+              {t('dashboard.reports')}
             </button>
             <button
               onClick={() => setActiveView('analytics')}
@@ -359,28 +381,41 @@ function App() {
                   : 'text-gray-700 hover:bg-gray-200'
               }`}
             >
-              Analytics
+              {t('dashboard.analytics')}
+            </button>
+            <button
+              onClick={() => setActiveView('account')}
+              className={`px-3 py-2 rounded-md text-sm font-medium ${
+                activeView === 'account'
+                  ? 'bg-indigo-600 text-white'
+                  : 'text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {t('dashboard.account')}
             </button>
             <button
               onClick={handleCleanupAuthUser}
               className="px-3 py-2 rounded-md text-sm font-medium text-red-600 hover:bg-red-50"
-              title="Remove orphaned auth users"
+              title={t('dashboard.cleanupAuthHint')}
             >
-              Cleanup Auth
+              {t('dashboard.cleanupAuth')}
             </button>
+            <LanguageSwitcher />
             <button
               onClick={handleSignOut}
               disabled={signingOut}
               className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-200 disabled:opacity-50"
             >
-              {signingOut ? 'Signing Out...' : 'Sign Out'}
+              {signingOut ? t('dashboard.signingOut') : t('dashboard.signOut')}
             </button>
           </div>
         </div>
       </header>
 
       <main className="flex-1">
-        {activeView === 'map' ? <AdminMap /> : <Analytics />}
+        {activeView === 'map' && <AdminMap role={role} />}
+        {activeView === 'analytics' && <Analytics />}
+        {activeView === 'account' && <AccountSettings emailRedirectTo={dashboardUrl} />}
       </main>
     </div>
   )
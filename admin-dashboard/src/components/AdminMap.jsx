@@ -6,7 +6,15 @@ import 'leaflet/dist/leaflet.css';
 import 'leaflet.markercluster/dist/leaflet.markercluster';
 import 'leaflet.markercluster/dist/MarkerCluster.css';
 import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
-import { supabase } from '../App.jsx';
+import { listReports, subscribeToReports, updateReportStatus as saveReportStatus, assignReport, setImagePublic, getReportImages, REPORT_CATEGORIES, REPORT_STATUSES } from '../../../shared/reports.js';
+import { getAllowedTransitions, findTransition } from '../../../shared/workflow.js';
+import { listStaff } from '../../../shared/profiles.js';
+import { DEFAULT_MAP_CENTER, DEFAULT_MAP_ZOOM, TILE_URL, TILE_ATTRIBUTION } from '../../../shared/map.js';
+import PhotoGallery from '../../../shared/components/PhotoGallery.jsx';
+import ReportTimeline from '../../../shared/components/ReportTimeline.jsx';
+import ResidentFeedback from './ResidentFeedback.jsx';
+import ReportReply from './ReportReply.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
 
 // Fix for default marker icons in Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -49,12 +57,28 @@ const statusIcons = {
     iconAnchor: [12, 41],
     popupAnchor: [1, -34],
     shadowSize: [41, 41]
+  }),
+  withdrawn: new L.Icon({
+    iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-black.png',
+    shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+    iconSize: [25, 41],
+    iconAnchor: [12, 41],
+    popupAnchor: [1, -34],
+    shadowSize: [41, 41]
   })
 };
 
-const AdminMap = () => {
+const AdminMap = ({ role }) => {
+  const { t, formatDate, formatStatus, formatCategory, formatError } = useI18n();
   const [reports, setReports] = useState([]);
   const [selectedReport, setSelectedReport] = useState(null);
+  // Status picked in the sidebar that still needs a resolution note
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [resolutionNotes, setResolutionNotes] = useState('');
+  const [statusError, setStatusError] = useState(null);
+  // Who reports can be assigned to
+  const [staff, setStaff] = useState([]);
+  const [assignError, setAssignError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
@@ -63,68 +87,49 @@ const AdminMap = () => {
     dateRange: 'all'
   });
 
+  useEffect(() => {
+    listStaff()
+      .then(setStaff)
+      .catch((err) => console.error('AdminMap: could not list staff', err));
+  }, []);
+
   useEffect(() => {
     fetchReports();
-    
-    // Subscribe to real-time updates
-    const channel = supabase
-      .channel('reports-changes')
-      .on(
-        'postgres_changes',
-        {
-          event: 'INSERT',
-          schema: 'public',
-          table: 'reports'
-        },
-        (payload) => {
-          setReports((prevReports) => [payload.new, ...prevReports]);
-        }
-      )
-      .on(
-        'postgres_changes',
-        {
-          event: 'UPDATE',
-          schema: 'public',
-          table: 'reports'
-        },
-        (payload) => {
-          setReports((prevReports) =>
-            prevReports.map((report) =>
-              report.id === payload.new.id ? payload.new : report
-            )
-          );
-        }
-      )
-      .subscribe();
 
-    return () => {
-      supabase.removeChannel(channel);
-    };
+    // Subscribe to real-time updates
+    return subscribeToReports({
+      onInsert: (report) => {
+        setReports((prevReports) => [report, ...prevReports]);
+      },
+      onUpdate: (report) => {
+        setReports((prevReports) =>
+          prevReports.map((existing) =>
+            // Realtime rows carry no photos; keep the ones we already have
+            existing.id === report.id ? { ...existing, ...report } : existing
+          )
+        );
+        // Residents may edit or withdraw a report until it is picked up, so
+        // the open sidebar follows along too
+        setSelectedReport((current) =>
+          current && current.id === report.id ? { ...current, ...report } : current
+        );
+      }
+    });
   }, []);
 
   const fetchReports = async () => {
     console.log("AdminMap: fetching reports");
     try {
       setLoading(true);
-      let query = supabase.from('reports').select('*').order('created_at', { ascending: false });
-
-      // Apply filters
-      if (filters.status !== 'all') {
-        query = query.eq('status', filters.status);
-      }
-      
-      if (filters.category !== 'all') {
-        query = query.eq('category', filters.category);
-      }
-
-      const { data, error } = await query;
-
-      if (error) throw error;
+      const data = await listReports({
+        status: filters.status,
+        category: filters.category
+      });
       console.log("AdminMap: fetched reports", data);
       setReports(data);
     } catch (err) {
       console.error("AdminMap: error fetching reports", err);
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -137,29 +142,79 @@ const AdminMap = () => {
     }));
   };
 
-  const updateReportStatus = async (reportId, newStatus) => {
+  const selectReport = (report) => {
+    setSelectedReport(report);
+    setPendingStatus(null);
+    setStatusError(null);
+    setAssignError(null);
+  };
+
+  // Shows a report saved from the sidebar in the list and the sidebar.
+  const showUpdatedReport = (updated) => {
+    setReports(prevReports =>
+      prevReports.map(report =>
+        report.id === updated.id ? { ...report, ...updated } : report
+      )
+    );
+    setSelectedReport((current) =>
+      current && current.id === updated.id ? { ...current, ...updated } : current
+    );
+  };
+
+  const updateReportStatus = async (reportId, newStatus, options) => {
     try {
-      const { data, error } = await supabase
-        .from('reports')
-        .update({ status: newStatus })
-        .eq('id', reportId)
-        .select();
+      setStatusError(null);
+      const updated = await saveReportStatus(reportId, newStatus, options);
+      showUpdatedReport(updated);
+      setPendingStatus(null);
+    } catch (err) {
+      setStatusError(err);
+    }
+  };
 
-      if (error) throw error;
-      
-      // Update local state
+  // Transitions that need a resolution note ask for it before saving.
+  const handleStatusChange = (newStatus) => {
+    setStatusError(null);
+    if (newStatus === selectedReport.status) {
+      setPendingStatus(null);
+      return;
+    }
+    const transition = findTransition(selectedReport.status, newStatus);
+    if (transition && (transition.requires || []).includes('resolution_notes')) {
+      setPendingStatus(newStatus);
+      setResolutionNotes(selectedReport.resolution_notes || '');
+    } else {
+      updateReportStatus(selectedReport.id, newStatus);
+    }
+  };
+
+  const handleAssign = async (assigneeId) => {
+    try {
+      setAssignError(null);
+      showUpdatedReport(await assignReport(selectedReport.id, assigneeId));
+    } catch (err) {
+      setAssignError(err);
+    }
+  };
+
+  const toggleImagePublic = async (imageId, isPublic) => {
+    const withVisibility = (report) => ({
+      ...report,
+      images: getReportImages(report).map((image) =>
+        image.id === imageId ? { ...image, is_public: isPublic } : image
+      )
+    });
+
+    try {
+      await setImagePublic(imageId, isPublic);
       setReports(prevReports =>
         prevReports.map(report =>
-          report.id === reportId ? { ...report, status: newStatus } : report
+          report.id === selectedReport.id ? withVisibility(report) : report
         )
       );
-      
-      // Update selected report if it's the one being updated
-      if (selectedReport && selectedReport.id === reportId) {
-        setSelectedReport({ ...selectedReport, status: newStatus });
-      }
+      setSelectedReport(withVisibility(selectedReport));
     } catch (err) {
-      setError(err.message);
+      setError(err);
     }
   };
 
@@ -174,8 +229,8 @@ const AdminMap = () => {
   if (error) {
     return (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
-        <strong className="font-bold">Error! </strong>
-        <span className="block sm:inline">{error}</span>
+        <strong className="font-bold">{t('common.error')} </strong>
+        <span className="block sm:inline">{formatError(error)}</span>
       </div>
     );
   }
@@ -190,55 +245,52 @@ const AdminMap = () => {
   return (
     <div className="flex flex-col h-full">
       <div className="p-4 bg-white shadow">
-        <h2 className="text-xl font-bold mb-4">Reports Map</h2>
+        <h2 className="text-xl font-bold mb-4">{t('adminMap.title')}</h2>
         
         {/* Filters */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
           <div>
-            <label htmlFor="status" className="block text-sm font-medium text-gray-700">Status</label>
+            <label htmlFor="status" className="block text-sm font-medium text-gray-700">{t('adminMap.status')}</label>
             <select
               id="status"
               className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-50 focus:border-indigo-500 sm:text-sm"
               value={filters.status}
               onChange={(e) => handleFilterChange('status', e.target.value)}
             >
-              <option value="all">All Statuses</option>
-              <option value="open">Open</option>
-              <option value="in_progress">In Progress</option>
-              <option value="resolved">Resolved</option>
-              <option value="closed">Closed</option>
+              <option value="all">{t('adminMap.allStatuses')}</option>
+              {REPORT_STATUSES.map((status) => (
+                <option key={status} value={status}>{formatStatus(status)}</option>
+              ))}
             </select>
           </div>
           
           <div>
-            <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
+            <label htmlFor="category" className="block text-sm font-medium text-gray-700">{t('adminMap.category')}</label>
             <select
               id="category"
               className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
               value={filters.category}
               onChange={(e) => handleFilterChange('category', e.target.value)}
             >
-              <option value="all">All Categories</option>
-              <option value="pothole">Pothole</option>
-              <option value="streetlight">Street Light</option>
-              <option value="garbage">Garbage</option>
-              <option value="vandalism">Vandalism</option>
-              <option value="other">Other</option>
+              <option value="all">{t('adminMap.allCategories')}</option>
+              {REPORT_CATEGORIES.map((cat) => (
+                <option key={cat.id} value={cat.id}>{formatCategory(cat.id)}</option>
+              ))}
             </select>
           </div>
           
           <div>
-            <label htmlFor="dateRange" className="block text-sm font-medium text-gray-700">Date Range</label>
+            <label htmlFor="dateRange" className="block text-sm font-medium text-gray-700">{t('adminMap.dateRange')}</label>
             <select
               id="dateRange"
               className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-50 focus:border-indigo-500 sm:text-sm"
               value={filters.dateRange}
               onChange={(e) => handleFilterChange('dateRange', e.target.value)}
             >
-              <option value="all">All Time</option>
-              <option value="today">Today</option>
-              <option value="week">This Week</option>
-              <option value="month">This Month</option>
+              <option value="all">{t('adminMap.allTime')}</option>
+              <option value="today">{t('adminMap.today')}</option>
+              <option value="week">{t('adminMap.thisWeek')}</option>
+              <option value="month">{t('adminMap.thisMonth')}</option>
             </select>
           </div>
         </div>
@@ -247,11 +299,8 @@ const AdminMap = () => {
       <div className="flex flex-1 overflow-hidden">
         {/* Map */}
         <div className="flex-1 h-full">
-          <MapContainer center={[0, 0]} zoom={2} style={{ height: '400px', width: '100%' }}>
-            <TileLayer
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            />
+          <MapContainer center={[DEFAULT_MAP_CENTER.lat, DEFAULT_MAP_CENTER.lng]} zoom={DEFAULT_MAP_ZOOM} style={{ height: '400px', width: '100%' }}>
+            <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
             
             {filteredReports.map(report => (
               report.latitude && report.longitude ? (
@@ -260,14 +309,17 @@ const AdminMap = () => {
                   position={[report.latitude, report.longitude]}
                   icon={statusIcons[report.status] || statusIcons.open}
                   eventHandlers={{
-                    click: () => setSelectedReport(report)
+                    click: () => selectReport(report)
                   }}
                 >
                   <Popup>
                     <div>
                       <h3 className="font-bold">{report.title}</h3>
-                      <p className="text-sm">{report.category}</p>
-                      <p className="text-sm">Status: {report.status.replace('_', ' ')}</p>
+                      <p className="text-sm">{formatCategory(report.category)}</p>
+                      <p className="text-sm">{t('adminMap.popupStatus', { status: formatStatus(report.status) })}</p>
+                      {report.support_count > 0 && (
+                        <p className="text-sm">{t('adminMap.popupSupporters', { count: report.support_count })}</p>
+                      )}
                     </div>
                   </Popup>
                 </Marker>
@@ -282,8 +334,9 @@ const AdminMap = () => {
             <div className="flex justify-between items-start">
               <h3 className="text-lg font-bold">{selectedReport.title}</h3>
               <button
-                onClick={() => setSelectedReport(null)}
+                onClick={() => selectReport(null)}
                 className="text-gray-500 hover:text-gray-700"
+                aria-label={t('common.close')}
               >
                 <X className="close-icon" />
               </button>
@@ -291,40 +344,144 @@ const AdminMap = () => {
             
             <div className="mt-4 space-y-3">
               <div>
-                <p className="text-sm text-gray-500">Category</p>
-                <p className="font-medium">{selectedReport.category}</p>
+                <p className="text-sm text-gray-500">{t('adminMap.category')}</p>
+                <p className="font-medium">{formatCategory(selectedReport.category)}</p>
+              </div>
+
+              {selectedReport.filed_as_guest && (
+                <div>
+                  <p className="text-sm text-gray-500">{t('adminMap.reporter')}</p>
+                  <p className="font-medium">
+                    <span className="inline-flex items-center px-2 py-0.5 me-2 rounded text-xs font-medium bg-amber-100 text-amber-800">{t('adminMap.guest')}</span>
+                    {t('adminMap.guestDetail')}
+                  </p>
+                </div>
+              )}
+
+              <div>
+                <p className="text-sm text-gray-500">{t('adminMap.supporters')}</p>
+                <p className="font-medium">
+                  {selectedReport.support_count > 0
+                    ? t('adminMap.supporterCount', { count: selectedReport.support_count })
+                    : t('adminMap.onlyReporter')}
+                </p>
               </div>
               
               <div>
-                <p className="text-sm text-gray-500">Status</p>
+                <p className="text-sm text-gray-500">{t('adminMap.status')}</p>
                 <select
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm disabled:bg-gray-100"
+                  value={pendingStatus || selectedReport.status}
+                  disabled={getAllowedTransitions(selectedReport.status, role).length === 0}
+                  onChange={(e) => handleStatusChange(e.target.value)}
+                >
+                  <option value={selectedReport.status}>{formatStatus(selectedReport.status)}</option>
+                  {getAllowedTransitions(selectedReport.status, role).map((transition) => (
+                    <option key={transition.to} value={transition.to}>{formatStatus(transition.to)}</option>
+                  ))}
+                </select>
+
+                {pendingStatus && (
+                  <div className="mt-2 space-y-2">
+                    <label htmlFor="resolutionNotes" className="block text-sm text-gray-500">
+                      {t('adminMap.resolutionNote')}
+                    </label>
+                    <textarea
+                      id="resolutionNotes"
+                      rows={3}
+                      className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                      value={resolutionNotes}
+                      onChange={(e) => setResolutionNotes(e.target.value)}
+                    />
+                    <div className="flex space-x-2">
+                      <button
+                        type="button"
+                        disabled={!resolutionNotes.trim()}
+                        onClick={() => updateReportStatus(selectedReport.id, pendingStatus, { resolutionNotes })}
+                        className="px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                      >
+                        {t('adminMap.markAs', { status: formatStatus(pendingStatus) })}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleStatusChange(selectedReport.status)}
+                        className="px-3 py-1 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-200"
+                      >
+                        {t('common.cancel')}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {statusError && <p className="mt-1 text-sm text-red-600">{formatError(statusError)}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="assignee" className="block text-sm text-gray-500">{t('adminMap.assignee')}</label>
+                <select
+                  id="assignee"
                   className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                  value={selectedReport.status}
-                  onChange={(e) => updateReportStatus(selectedReport.id, e.target.value)}
+                  value={selectedReport.assigned_to || ''}
+                  onChange={(e) => handleAssign(e.target.value || null)}
                 >
-                  <option value="open">Open</option>
-                  <option value="in_progress">In Progress</option>
-                  <option value="resolved">Resolved</option>
-                  <option value="closed">Closed</option>
+                  <option value="">{t('adminMap.unassigned')}</option>
+                  {selectedReport.assigned_to && !staff.some((member) => member.id === selectedReport.assigned_to) && (
+                    <option value={selectedReport.assigned_to}>{t('adminMap.formerStaff')}</option>
+                  )}
+                  {staff.map((member) => (
+                    <option key={member.id} value={member.id}>{member.name || member.email}</option>
+                  ))}
                 </select>
+                {assignError && <p className="mt-1 text-sm text-red-600">{formatError(assignError)}</p>}
               </div>
+
+              {selectedReport.resolution_notes && (
+                <div>
+                  <p className="text-sm text-gray-500">{t('adminMap.resolution')}</p>
+                  <p className="font-medium">{selectedReport.resolution_notes}</p>
+                </div>
+              )}
+
+              <ResidentFeedback reportId={selectedReport.id} status={selectedReport.status} />
               
               <div>
-                <p className="text-sm text-gray-500">Description</p>
-                <p className="font-medium">{selectedReport.description || 'No description provided'}</p>
+                <p className="text-sm text-gray-500">{t('adminMap.description')}</p>
+                <p className="font-medium">{selectedReport.description || t('common.noDescription')}</p>
               </div>
               
               <div>
-                <p className="text-sm text-gray-500">Submitted</p>
-                <p className="font-medium">{new Date(selectedReport.created_at).toLocaleDateString()}</p>
+                <p className="text-sm text-gray-500">{t('adminMap.submitted')}</p>
+                <p className="font-medium">{formatDate(selectedReport.created_at)}</p>
               </div>
               
-              {selectedReport.image_url && (
+              {getReportImages(selectedReport).length > 0 && (
                 <div>
-                  <p className="text-sm text-gray-500">Photo</p>
-                  <img src={selectedReport.image_url} alt="Report" className="mt-2 h-40 w-auto rounded-md" />
+                  <p className="text-sm text-gray-500">{t('adminMap.photos')}</p>
+                  <div className="mt-2">
+                    <PhotoGallery images={getReportImages(selectedReport)} thumbnailClassName="h-24 w-24" />
+                  </div>
+                  <div className="mt-2 space-y-1">
+                    {getReportImages(selectedReport).filter((image) => !image.legacy).map((image, index) => (
+                      <label key={image.id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          className="me-2"
+                          checked={image.is_public}
+                          onChange={(e) => toggleImagePublic(image.id, e.target.checked)}
+                        />
+                        {t('adminMap.photoPublic', { number: index + 1 })}
+                      </label>
+                    ))}
+                  </div>
                 </div>
               )}
+
+              <div>
+                <p className="text-sm text-gray-500 mb-2">{t('adminMap.history')}</p>
+                <ReportTimeline reportId={selectedReport.id} includeInternal />
+              </div>
+
+              <ReportReply key={selectedReport.id} reportId={selectedReport.id} />
             </div>
           </div>
         )}
@@ -1,9 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../App.jsx';
+import { listReports } from '../../../shared/reports.js';
+import { listEvents, getTimeInStatus, getResolutionTimes } from '../../../shared/reportEvents.js';
+import { listFeedback, summarizeFeedback } from '../../../shared/feedback.js';
 import { BarChart, Bar, PieChart, Pie, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import { useI18n } from '../../../shared/i18n/react.js';
 
 const Analytics = () => {
+  const { t, formatStatus, formatCategory, formatDate, formatNumber, formatError } = useI18n();
   const [reports, setReports] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [feedback, setFeedback] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -11,7 +17,8 @@ const Analytics = () => {
     open: '#F59E0B', // yellow
     in_progress: '#3B82F6', // blue
     resolved: '#10B981', // green
-    closed: '#6B7280' // gray
+    closed: '#6B7280', // gray
+    withdrawn: '#D1D5DB' // light gray
   };
 
   const categoryColors = {
@@ -29,15 +36,16 @@ const Analytics = () => {
   const fetchReports = async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
-        .from('reports')
-        .select('*')
-        .order('created_at', { ascending: true });
-
-      if (error) throw error;
-      setReports(data);
+      const [reportData, eventData, feedbackData] = await Promise.all([
+        listReports({ ascending: true }),
+        listEvents({ types: ['created', 'status_changed'] }),
+        listFeedback()
+      ]);
+      setReports(reportData);
+      setEvents(eventData);
+      setFeedback(feedbackData);
     } catch (err) {
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -53,7 +61,8 @@ const Analytics = () => {
     });
 
     return Object.keys(statusCounts).map(status => ({
-      name: status.replace('_', ' '),
+      status,
+      name: formatStatus(status),
       value: statusCounts[status],
       fill: statusColors[status]
     }));
@@ -66,7 +75,7 @@ const Analytics = () => {
     });
 
     return Object.keys(categoryCounts).map(category => ({
-      name: category,
+      name: formatCategory(category),
       count: categoryCounts[category],
       fill: categoryColors[category]
     }));
@@ -85,17 +94,52 @@ const Analytics = () => {
     })).sort((a, b) => new Date(a.date) - new Date(b.date));
   };
 
+  const DAY_MS = 1000 * 60 * 60 * 24;
+
+  // From submission to first resolved/closed, taken from the event history
   const getAverageResolutionTime = () => {
-    const resolvedReports = reports.filter(report => report.status === 'resolved' || report.status === 'closed');
-    if (resolvedReports.length === 0) return 0;
+    const times = [...getResolutionTimes(events).values()];
+    if (times.length === 0) return 0;
 
-    const totalResolutionTime = resolvedReports.reduce((total, report) => {
-      const created = new Date(report.created_at);
-      const updated = new Date(report.updated_at);
-      return total + (updated - created);
-    }, 0);
+    const total = times.reduce((sum, time) => sum + time, 0);
+    return Math.round(total / times.length / DAY_MS); // in days
+  };
 
-    return Math.round(totalResolutionTime / resolvedReports.length / (1000 * 60 * 60 * 24)); // in days
+  // Average days a report spends in each active status, counting only reports
+  // that were in that status at some point
+  const getAverageTimeInStatus = () => {
+    const perReport = [...getTimeInStatus(events).values()];
+    return ['open', 'in_progress', 'resolved'].map(status => {
+      const durations = perReport.filter(times => times[status] !== undefined).map(times => times[status]);
+      const average = durations.length === 0 ? 0 : durations.reduce((sum, time) => sum + time, 0) / durations.length;
+      return {
+        name: formatStatus(status),
+        days: Math.round((average / DAY_MS) * 10) / 10,
+        fill: statusColors[status]
+      };
+    });
+  };
+
+  // Reporters' ratings of resolved reports, and the average per category
+  const getSatisfaction = () => {
+    const summary = summarizeFeedback(feedback);
+    const categoryOf = new Map(reports.map(report => [report.id, report.category]));
+    const byCategory = {};
+    feedback.forEach(row => {
+      const category = categoryOf.get(row.report_id);
+      if (!category) return;
+      byCategory[category] = [...(byCategory[category] || []), row];
+    });
+
+    return {
+      ...summary,
+      ratingData: summary.ratingCounts.map(({ rating, count }) => ({ name: `${formatNumber(rating)}★`, count })),
+      categoryData: Object.keys(byCategory).map(category => ({
+        name: formatCategory(category),
+        rating: Math.round(summarizeFeedback(byCategory[category]).averageRating * 10) / 10,
+        fill: categoryColors[category]
+      }))
+    };
   };
 
   if (loading) {
@@ -109,8 +153,8 @@ const Analytics = () => {
   if (error) {
     return (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
-        <strong className="font-bold">Error! </strong>
-        <span className="block sm:inline">{error}</span>
+        <strong className="font-bold">{t('common.error')} </strong>
+        <span className="block sm:inline">{formatError(error)}</span>
       </div>
     );
   }
@@ -120,10 +164,14 @@ const Analytics = () => {
   const categoryData = getCategoryBreakdown();
   const reportsOverTimeData = getReportsOverTime();
   const avgResolutionTime = getAverageResolutionTime();
+  const timeInStatusData = getAverageTimeInStatus();
+  const satisfaction = getSatisfaction();
+  // Days are UTC dates ("2024-05-01"), so they are shown in UTC too
+  const formatDay = (date) => formatDate(date, { dateStyle: 'medium', timeZone: 'UTC' });
 
   return (
     <div className="max-w-7xl mx-auto p-4">
-      <h2 className="text-2xl font-bold mb-6">Analytics Dashboard</h2>
+      <h2 className="text-2xl font-bold mb-6">{t('analytics.title')}</h2>
       
       {/* Key Metrics */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
@@ -134,8 +182,8 @@ const Analytics = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
               </svg>
             </div>
-            <div className="ml-4">
-              <h3 className="text-sm font-medium text-gray-500">Total Reports</h3>
+            <div className="ms-4">
+              <h3 className="text-sm font-medium text-gray-500">{t('analytics.totalReports')}</h3>
               <p className="text-2xl font-bold text-gray-900">{totalReports}</p>
             </div>
           </div>
@@ -148,9 +196,9 @@ const Analytics = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 0 01-18 0 9 9 0 0118 0z" />
               </svg>
             </div>
-            <div className="ml-4">
-              <h3 className="text-sm font-medium text-gray-500">Avg. Resolution Time</h3>
-              <p className="text-2xl font-bold text-gray-900">{avgResolutionTime} days</p>
+            <div className="ms-4">
+              <h3 className="text-sm font-medium text-gray-500">{t('analytics.avgResolutionTime')}</h3>
+              <p className="text-2xl font-bold text-gray-900">{t('analytics.days', { count: avgResolutionTime })}</p>
             </div>
           </div>
         </div>
@@ -162,10 +210,10 @@ const Analytics = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
               </svg>
             </div>
-            <div className="ml-4">
-              <h3 className="text-sm font-medium text-gray-500">Open Reports</h3>
+            <div className="ms-4">
+              <h3 className="text-sm font-medium text-gray-500">{t('analytics.openReports')}</h3>
               <p className="text-2xl font-bold text-gray-900">
-                {statusData.find(item => item.name === 'open')?.value || 0}
+                {statusData.find(item => item.status === 'open')?.value || 0}
               </p>
             </div>
           </div>
@@ -178,8 +226,8 @@ const Analytics = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.28 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
               </svg>
             </div>
-            <div className="ml-4">
-              <h3 className="text-sm font-medium text-gray-500">Categories</h3>
+            <div className="ms-4">
+              <h3 className="text-sm font-medium text-gray-500">{t('analytics.categories')}</h3>
               <p className="text-2xl font-bold text-gray-900">{categoryData.length}</p>
             </div>
           </div>
@@ -190,7 +238,7 @@ const Analytics = () => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
         {/* Status Breakdown */}
         <div className="bg-white shadow rounded-lg p-6">
-          <h3 className="text-lg font-medium text-gray-900 mb-4">Reports by Status</h3>
+          <h3 className="text-lg font-medium text-gray-900 mb-4">{t('analytics.byStatus')}</h3>
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
               <PieChart>
@@ -202,7 +250,7 @@ const Analytics = () => {
                   outerRadius={80}
                   fill="#884d8"
                   dataKey="value"
-                  label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+                  label={({ name, percent }) => `${name}: ${formatNumber(percent, { style: 'percent' })}`}
                 >
                   {statusData.map((entry, index) => (
                     <Cell key={`cell-${index}`} fill={entry.fill} />
@@ -217,7 +265,7 @@ const Analytics = () => {
         
         {/* Category Breakdown */}
         <div className="bg-white shadow rounded-lg p-6">
-          <h3 className="text-lg font-medium text-gray-900 mb-4">Reports by Category</h3>
+          <h3 className="text-lg font-medium text-gray-900 mb-4">{t('analytics.byCategory')}</h3>
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
               <BarChart
@@ -234,7 +282,7 @@ const Analytics = () => {
                 <YAxis />
                 <Tooltip />
                 <Legend />
-                <Bar dataKey="count" name="Reports">
+                <Bar dataKey="count" name={t('analytics.reportsSeries')}>
                   {categoryData.map((entry, index) => (
                     <Cell key={`cell-${index}`} fill={entry.fill} />
                   ))}
@@ -245,9 +293,98 @@ const Analytics = () => {
         </div>
       </div>
       
+      {/* Time in Status */}
+      <div className="bg-white shadow rounded-lg p-6 mb-8">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">{t('analytics.timeInStatus')}</h3>
+        <div className="h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart
+              data={timeInStatusData}
+              margin={{
+                top: 5,
+                right: 30,
+                left: 20,
+                bottom: 5,
+              }}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip />
+              <Bar dataKey="days" name={t('analytics.daysSeries')}>
+                {timeInStatusData.map((entry, index) => (
+                  <Cell key={`cell-${index}`} fill={entry.fill} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+      
+      {/* Resident Satisfaction */}
+      <div className="bg-white shadow rounded-lg p-6 mb-8">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">{t('analytics.satisfaction')}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+          <div>
+            <h4 className="text-sm font-medium text-gray-500">{t('analytics.avgRating')}</h4>
+            <p className="text-2xl font-bold text-gray-900">
+              {satisfaction.averageRating === null
+                ? '–'
+                : t('analytics.ratingOutOf', {
+                    rating: formatNumber(satisfaction.averageRating, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                  })}
+            </p>
+            <p className="text-xs text-gray-500">{t('analytics.ratedResolutions', { count: satisfaction.count })}</p>
+          </div>
+          <div>
+            <h4 className="text-sm font-medium text-gray-500">{t('analytics.confirmed')}</h4>
+            <p className="text-2xl font-bold text-green-600">{satisfaction.confirmed}</p>
+          </div>
+          <div>
+            <h4 className="text-sm font-medium text-gray-500">{t('analytics.reopened')}</h4>
+            <p className="text-2xl font-bold text-red-600">
+              {satisfaction.reopened}
+              {satisfaction.count > 0 && (
+                <span className="ms-2 text-sm font-medium text-gray-500">
+                  ({formatNumber(satisfaction.reopened / satisfaction.count, { style: 'percent' })})
+                </span>
+              )}
+            </p>
+          </div>
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={satisfaction.ratingData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Bar dataKey="count" name={t('analytics.ratingsSeries')} fill="#FBBF24" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={satisfaction.categoryData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis domain={[0, 5]} />
+                <Tooltip />
+                <Bar dataKey="rating" name={t('analytics.avgRatingSeries')}>
+                  {satisfaction.categoryData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.fill} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
       {/* Reports Over Time */}
       <div className="bg-white shadow rounded-lg p-6 mb-8">
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Reports Over Time</h3>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">{t('analytics.overTime')}</h3>
         <div className="h-80">
           <ResponsiveContainer width="100%" height="100%">
             <LineChart
@@ -260,11 +397,11 @@ const Analytics = () => {
               }}
             >
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="date" />
+              <XAxis dataKey="date" tickFormatter={formatDay} />
               <YAxis />
-              <Tooltip />
+              <Tooltip labelFormatter={formatDay} />
               <Legend />
-              <Line type="monotone" dataKey="reports" stroke="#884d8" activeDot={{ r: 8 }} />
+              <Line type="monotone" dataKey="reports" name={t('analytics.reportsSeries')} stroke="#884d8" activeDot={{ r: 8 }} />
             </LineChart>
           </ResponsiveContainer>
         </div>
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LOCALES } from '../../../shared/i18n/index.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Picks the language of the dashboard; the choice is kept on this device.
+const LanguageSwitcher = () => {
+  const { t, locale, setLocale } = useI18n();
+
+  return (
+    <label className="inline-flex items-center text-sm text-gray-700">
+      <Languages className="h-4 w-4 me-1 text-gray-500" aria-hidden="true" />
+      <span className="sr-only">{t('common.language')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="border border-gray-300 rounded-md py-1 ps-2 pe-7 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {LOCALES.map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
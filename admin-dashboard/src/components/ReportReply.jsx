@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { replyToReport } from '../../../shared/reports.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Lets staff reply to the reporter and supporters of a report, or leave an
+// internal note for other staff. Posted comments show up in the report's
+// history, which updates in realtime.
+const ReportReply = ({ reportId }) => {
+  const { t, formatError } = useI18n();
+  const [message, setMessage] = useState('');
+  const [internal, setInternal] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      await replyToReport(reportId, message, { internal });
+      setMessage('');
+      setInternal(false);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <label htmlFor="reportReply" className="block text-sm text-gray-500">
+        {t('reportReply.label')}
+      </label>
+      <textarea
+        id="reportReply"
+        rows={3}
+        className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+      />
+      {!internal && <p className="text-xs text-gray-500">{t('reportReply.hint')}</p>}
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          className="me-2"
+          checked={internal}
+          onChange={(e) => setInternal(e.target.checked)}
+        />
+        {t('reportReply.internal')}
+      </label>
+      <button
+        type="submit"
+        disabled={sending || !message.trim()}
+        className="px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+      >
+        {sending ? t('reportReply.sending') : internal ? t('reportReply.sendNote') : t('reportReply.send')}
+      </button>
+      {error && <p className="text-sm text-red-600">{formatError(error)}</p>}
+    </form>
+  );
+};
+
+export default ReportReply;
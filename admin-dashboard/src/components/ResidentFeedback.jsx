@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { listFeedback, withFeedbackPhotos } from '../../../shared/feedback.js';
+import PhotoGallery from '../../../shared/components/PhotoGallery.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// The reporter's answers to each time the report was resolved, newest first,
+// with the photo sent when reopening. Renders nothing until there is one.
+const ResidentFeedback = ({ reportId, status }) => {
+  const { t, formatDateTime } = useI18n();
+  const [feedback, setFeedback] = useState([]);
+
+  // `status` reloads the list when the reporter reopens the report
+  useEffect(() => {
+    let cancelled = false;
+    listFeedback({ reportIds: [reportId] })
+      .then(withFeedbackPhotos)
+      .then((data) => {
+        if (!cancelled) setFeedback(data.reverse());
+      })
+      .catch((err) => console.error('ResidentFeedback: could not load the feedback', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId, status]);
+
+  if (feedback.length === 0) return null;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500">{t('residentFeedback.title')}</p>
+      <ul className="mt-1 space-y-2">
+        {feedback.map((row) => (
+          <li key={row.id} className="text-sm">
+            <p className="font-medium">
+              {'★'.repeat(row.rating)}
+              <span className="text-gray-300">{'★'.repeat(5 - row.rating)}</span>
+              <span className={`ms-2 ${row.reopened ? 'text-red-600' : 'text-green-600'}`}>
+                {row.reopened ? t('residentFeedback.reopened') : t('residentFeedback.confirmed')}
+              </span>
+            </p>
+            {row.comment && <p className="text-gray-700 whitespace-pre-line">{row.comment}</p>}
+            {row.photo && (
+              <div className="mt-1">
+                <PhotoGallery images={[row.photo]} thumbnailClassName="h-16 w-16" />
+              </div>
+            )}
+            <p className="text-xs text-gray-500">{formatDateTime(row.created_at)}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ResidentFeedback;
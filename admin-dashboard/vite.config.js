@@ -5,6 +5,11 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: process.env.NODE_ENV === 'production' ? '/admin/' : '/',
+  // Code in ../shared has no node_modules of its own for these; resolve them
+  // from this app so there is a single copy of React.
+  resolve: {
+    dedupe: ['react', 'react-dom', 'lucide-react']
+  },
   build: {
     outDir: 'dist'
   },
@@ -0,0 +1,35 @@
+// Imported into the generated service worker (see workbox.importScripts in
+// vite.config.js). Shows the notifications sent by
+// scripts/send-notifications.js, whose payload is `{ title, body, url, tag }`
+// with `url` a route of the portal, and opens that route when one is tapped.
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return
+  const { title, body, url, tag } = event.data.json()
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body,
+      tag,
+      // A later message about the same report replaces the earlier one but
+      // should still be noticed
+      renotify: Boolean(tag),
+      data: { url }
+    })
+  )
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  // Routes are relative to the app's base URL, which is the worker's scope
+  const route = (event.notification.data && event.notification.data.url) || '/'
+  const target = new URL(route.replace(/^\//, ''), self.registration.scope).href
+
+  event.waitUntil(
+    // Reuse an open window of the app if there is one
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      if (clients.length === 0) return self.clients.openWindow(target)
+      return clients[0].navigate(target).then((client) => (client || clients[0]).focus())
+    })
+  )
+})
@@ -0,0 +1,14 @@
+// Imported into the generated service worker (see workbox.importScripts in
+// vite.config.js). Submissions are queued and sent by the app itself, which
+// holds the session; Background Sync only tells open windows to try again.
+// Keep the tag and message type in step with shared/submissions.js.
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'submit-reports') return
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'flush-report-queue' }))
+    })
+  )
+})
@@ -1,12 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../../shared/supabase.js';
+import { Routes, Route, NavLink, Link, Navigate, useNavigate } from 'react-router-dom';
+import { supabase, signInAsGuest, isGuestUser, onPasswordRecovery } from '../../shared/supabase.js';
+import { startQueueSync } from '../../shared/submissions.js';
+import UpdatePrompt from './components/UpdatePrompt.jsx';
+import { clearUserDataCaches } from '../../shared/runtimeCaches.js';
+import { disablePushNotifications } from '../../shared/push.js';
+import { setProfileLocale } from '../../shared/profiles.js';
 import Auth from './components/Auth.jsx';
 import ReportForm from './components/ReportForm.jsx';
 import ReportsList from './components/ReportsList.jsx';
+import ReportDetail from './components/ReportDetail.jsx';
+import EditReport from './components/EditReport.jsx';
+import NearbyIssues from './components/NearbyIssues.jsx';
+import IssueMap from './components/IssueMap.jsx';
+import Unsubscribe from './components/Unsubscribe.jsx';
+import TrackReport from './components/TrackReport.jsx';
+import GuestBanner from './components/GuestBanner.jsx';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+import ResetPassword from '../../shared/components/ResetPassword.jsx';
+import AccountSettings from '../../shared/components/AccountSettings.jsx';
+import { useI18n } from '../../shared/i18n/react.js';
+import { HOME_PATH, MAP_PATH, NEARBY_PATH, NEW_REPORT_PATH, UNSUBSCRIBE_PATH, TRACK_PATH, RESET_PASSWORD_PATH, ACCOUNT_PATH, REPORT_ROUTE, EDIT_REPORT_ROUTE, portalUrl } from './paths.js';
+
+const navLinkClassName = ({ isActive }) =>
+  `px-3 py-2 rounded-md text-sm font-medium ${
+    isActive
+      ? 'bg-indigo-600 text-white'
+      : 'text-gray-700 hover:bg-gray-200'
+  }`;
 
 function App() {
+  const navigate = useNavigate();
+  const { t, locale, formatError } = useI18n();
   const [session, setSession] = useState(null);
-  const [activeView, setActiveView] = useState('reports'); // 'reports' or 'new-report'
+  const [guestError, setGuestError] = useState(null);
+  const guest = Boolean(session) && isGuestUser(session.user);
 
   useEffect(() => {
     console.log("Citizen App: useEffect for session running");
@@ -17,21 +45,140 @@ function App() {
 
     const {
       data: { subscription },
-    } = supabase.auth.onAuthStateChange((_event, session) => {
+    } = supabase.auth.onAuthStateChange((event, session) => {
       console.log("Citizen App: onAuthStateChange triggered", session);
       setSession(session);
+      if (event === 'SIGNED_OUT') clearUserDataCaches();
     });
 
     return () => subscription.unsubscribe();
   }, []);
 
+  // Reset links lead to RESET_PASSWORD_PATH, unless Supabase fell back to the
+  // site URL because the redirect is not allowed; catch those here.
+  useEffect(() => onPasswordRecovery(() => navigate(RESET_PASSWORD_PATH)), [navigate]);
+
+  // Send reports saved while offline once someone is signed in.
+  useEffect(() => {
+    if (!session) return undefined;
+    return startQueueSync();
+  }, [session]);
+
+  // Notifications are written in the language the portal was last used in.
+  const userId = session ? session.user.id : null;
+  useEffect(() => {
+    if (!userId) return;
+    setProfileLocale(locale).catch((err) => console.error('Citizen App: could not save the language', err));
+  }, [userId, locale]);
+
+  const handleReportAsGuest = async () => {
+    setGuestError(null);
+    try {
+      await signInAsGuest();
+      navigate(NEW_REPORT_PATH);
+    } catch (err) {
+      setGuestError(err);
+    }
+  };
+
   const handleSignOut = async () => {
+    if (
+      guest &&
+      !window.confirm(t('portal.guestSignOut'))
+    ) {
+      return;
+    }
+    // The next person to use this browser must not get this resident's notifications
+    await disablePushNotifications().catch((err) => console.error('Citizen App: could not turn off notifications', err));
     await supabase.auth.signOut();
     setSession(null);
   };
 
+ // The community map, tracking a report and unsubscribing from emails are
+ // public; everything else needs an account or a guest session.
  if (!session) {
-    return <Auth />;
+    return (
+      <>
+        <Routes>
+          <Route
+            path={MAP_PATH}
+            element={
+              <div className="min-h-screen bg-gray-50">
+                <header className="bg-white shadow">
+                  <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8 flex justify-between items-center">
+                    <h1 className="text-2xl font-bold text-gray-90">{t('portal.title')}</h1>
+                    <div className="flex items-center space-x-4">
+                      <LanguageSwitcher />
+                      <Link to={HOME_PATH} className="px-3 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">
+                        {t('portal.signInToReport')}
+                      </Link>
+                    </div>
+                  </div>
+                </header>
+                <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+                  <IssueMap />
+                </main>
+              </div>
+            }
+          />
+          <Route
+            path={UNSUBSCRIBE_PATH}
+            element={
+              <div className="min-h-screen bg-gray-50 py-6 px-4">
+                <Unsubscribe />
+              </div>
+            }
+          />
+          <Route
+            path={TRACK_PATH}
+            element={
+              <div className="min-h-screen bg-gray-50 py-6 px-4">
+                <TrackReport />
+              </div>
+            }
+          />
+          <Route
+            path={RESET_PASSWORD_PATH}
+            element={
+              <div className="min-h-screen bg-gray-50 py-6 px-4">
+                <ResetPassword onDone={() => navigate(HOME_PATH)} onCancel={() => navigate(HOME_PATH)} />
+              </div>
+            }
+          />
+          <Route
+            path="*"
+            element={
+              <>
+                <Auth />
+                <div className="pb-8 bg-gray-50 text-center text-sm space-y-3">
+                  <p>
+                    <button
+                      type="button"
+                      onClick={handleReportAsGuest}
+                      className="font-medium text-indigo-600 hover:text-indigo-500"
+                    >
+                      {t('portal.reportAsGuest')}
+                    </button>
+                  </p>
+                  {guestError && <p className="text-red-600">{formatError(guestError)}</p>}
+                  <p>
+                    <Link to={TRACK_PATH} className="font-medium text-indigo-600 hover:text-indigo-500">
+                      {t('portal.trackLink')}
+                    </Link>
+                  </p>
+                  <p>
+                    <Link to={MAP_PATH} className="font-medium text-indigo-600 hover:text-indigo-500">
+                      {t('portal.mapLink')}
+                    </Link>
+                  </p>
+                </div>
+              </>
+            }
+          />
+        </Routes>
+        <UpdatePrompt />
+      </>
+    );
  }
 
   return (
@@ -39,43 +186,62 @@ function App() {
       {/* Navigation Header */}
       <header className="bg-white shadow">
         <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8 flex justify-between items-center">
-          <h1 className="text-2xl font-bold text-gray-90">Civic Reporter</h1>
+          <h1 className="text-2xl font-bold text-gray-90">{t('portal.title')}</h1>
           <div className="flex items-center space-x-4">
-            <button
-              onClick={() => setActiveView('reports')}
-              className={`px-3 py-2 rounded-md text-sm font-medium ${
-                activeView === 'reports'
-                  ? 'bg-indigo-600 text-white'
-                  : 'text-gray-700 hover:bg-gray-200'
-              }`}
-            >
-              My Reports
-            </button>
-            <button
-              onClick={() => setActiveView('new-report')}
-              className={`px-3 py-2 rounded-md text-sm font-medium ${
-                activeView === 'new-report'
-                  ? 'bg-indigo-600 text-white'
-                  : 'text-gray-700 hover:bg-gray-200'
-              }`}
-            >
-              New Report
-            </button>
+            <NavLink to={HOME_PATH} end className={navLinkClassName}>
+              {t('portal.myReports')}
+            </NavLink>
+            {/* Guests cannot support reports, which is what Nearby is for */}
+            {!guest && (
+              <NavLink to={NEARBY_PATH} className={navLinkClassName}>
+                {t('portal.nearby')}
+              </NavLink>
+            )}
+            <NavLink to={MAP_PATH} className={navLinkClassName}>
+              {t('portal.map')}
+            </NavLink>
+            <NavLink to={NEW_REPORT_PATH} className={navLinkClassName}>
+              {t('portal.newReport')}
+            </NavLink>
+            {/* Guests have no email address or password to change */}
+            {!guest && (
+              <NavLink to={ACCOUNT_PATH} className={navLinkClassName}>
+                {t('portal.account')}
+              </NavLink>
+            )}
+            <LanguageSwitcher />
             <button
               onClick={handleSignOut}
               className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-200"
             >
-              Sign Out
+              {t('portal.signOut')}
             </button>
           </div>
         </div>
       </header>
+      <GuestBanner user={session.user} />
 
       <main>
         <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-          {activeView === 'new-report' ? <ReportForm /> : <ReportsList />}
+          <Routes>
+            <Route path={HOME_PATH} element={<ReportsList />} />
+            {!guest && <Route path={NEARBY_PATH} element={<NearbyIssues />} />}
+            <Route path={MAP_PATH} element={<IssueMap />} />
+            <Route path={NEW_REPORT_PATH} element={<ReportForm guest={guest} />} />
+            <Route path={REPORT_ROUTE} element={<ReportDetail />} />
+            <Route path={EDIT_REPORT_ROUTE} element={<EditReport />} />
+            <Route path={UNSUBSCRIBE_PATH} element={<Unsubscribe />} />
+            <Route path={TRACK_PATH} element={<TrackReport canClaim={!guest} />} />
+            <Route
+              path={RESET_PASSWORD_PATH}
+              element={<ResetPassword onDone={() => navigate(HOME_PATH)} onCancel={() => navigate(HOME_PATH)} />}
+            />
+            {!guest && <Route path={ACCOUNT_PATH} element={<AccountSettings emailRedirectTo={portalUrl(ACCOUNT_PATH)} />} />}
+            <Route path="*" element={<Navigate to={HOME_PATH} replace />} />
+          </Routes>
         </div>
       </main>
+      <UpdatePrompt />
     </div>
   );
 }
@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Loader, Search } from 'lucide-react';
+import { searchAddress, suggestsAsYouType } from '../../../shared/geocoding/index.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Wait for a pause in typing before searching.
+const SEARCH_DELAY_MS = 400;
+const MIN_QUERY_LENGTH = 3;
+
+// Address field with suggestions from the geocoder. `onChange(text)` is
+// called as the resident types, `onSelect(place)` when they pick a
+// suggestion; `busy` shows that an address is being looked up for the pin.
+// Suggestions come as the resident types when the geocoder allows it, and
+// otherwise when they press Enter or the search button.
+const AddressInput = ({ value, onChange, onSelect, disabled, busy }) => {
+  const { t } = useI18n();
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [searching, setSearching] = useState(false);
+  // Only text the resident typed is searched, not addresses filled in for them
+  const [query, setQuery] = useState('');
+  // Number of the latest search; results of earlier ones are dropped
+  const searchRef = useRef(0);
+
+  const search = useCallback((text) => {
+    const current = ++searchRef.current;
+    setSearching(true);
+    searchAddress(text)
+      .then((places) => {
+        if (current !== searchRef.current) return;
+        setSuggestions(places);
+        setHighlighted(-1);
+      })
+      .catch((err) => console.warn('AddressInput: address search failed', err))
+      .finally(() => {
+        if (current === searchRef.current) setSearching(false);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!suggestsAsYouType) return undefined;
+    if (query.trim().length < MIN_QUERY_LENGTH) {
+      searchRef.current++;
+      setSuggestions([]);
+      return undefined;
+    }
+    const timer = setTimeout(() => search(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, search]);
+
+  const close = () => {
+    searchRef.current++;
+    setSearching(false);
+    setQuery('');
+    setSuggestions([]);
+  };
+
+  const select = (place) => {
+    close();
+    onSelect(place);
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter would submit the report form
+    if (!suggestsAsYouType && e.key === 'Enter' && highlighted < 0) {
+      e.preventDefault();
+      if (value.trim()) search(value);
+      return;
+    }
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      select(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <label htmlFor="address" className="block text-sm font-medium text-gray-700">{t('address.label')}</label>
+      <div className="relative">
+        <input
+          type="text"
+          id="address"
+          autoComplete="off"
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-controls="address-suggestions"
+          disabled={disabled}
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 ps-3 pe-9 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder={t('address.placeholder')}
+          value={value}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            onChange(e.target.value);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={close}
+        />
+        {busy || searching ? (
+          <Loader className="absolute end-3 top-1/2 -translate-y-1/2 mt-0.5 h-4 w-4 animate-spin text-gray-400" />
+        ) : (
+          !suggestsAsYouType && (
+            <button
+              type="button"
+              disabled={disabled || !value.trim()}
+              aria-label={t('address.search')}
+              title={t('address.search')}
+              // Keep focus in the field so it does not blur and close the list
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => search(value)}
+              className="absolute end-2 top-1/2 -translate-y-1/2 mt-0.5 p-1 text-gray-400 hover:text-indigo-600 disabled:opacity-50"
+            >
+              <Search className="h-4 w-4" />
+            </button>
+          )
+        )}
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul
+          id="address-suggestions"
+          role="listbox"
+          className="absolute z-[1000] mt-1 w-full bg-white shadow-lg rounded-md border border-gray-200 max-h-60 overflow-auto"
+        >
+          {suggestions.map((place, index) => (
+            <li
+              key={`${place.lat},${place.lng},${place.address}`}
+              role="option"
+              aria-selected={index === highlighted}
+              // Keep focus in the field so it does not blur and close the list
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => select(place)}
+              className={`px-3 py-2 text-sm cursor-pointer ${index === highlighted ? 'bg-indigo-50 text-indigo-900' : 'text-gray-900 hover:bg-gray-50'}`}
+            >
+              {place.address}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AddressInput;
@@ -1,24 +1,36 @@
 import React, { useState } from 'react';
-import { supabase } from '../../../shared/supabase.js';
+import { useLocation } from 'react-router-dom';
+import { supabase, backend } from '../../../shared/supabase.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+import LanguageSwitcher from './LanguageSwitcher.jsx';
+import ForgotPassword from '../../../shared/components/ForgotPassword.jsx';
+import EmailSignIn from './EmailSignIn.jsx';
+import PasswordRules from '../../../shared/components/PasswordRules.jsx';
+import { isStrongPassword } from '../../../shared/passwords.js';
+import { RESET_PASSWORD_PATH, portalUrl } from '../paths.js';
 
 const Auth = () => {
+  const { t, formatError } = useI18n();
+  const location = useLocation();
   const [isLogin, setIsLogin] = useState(true);
+  // 'forgotPassword' or 'emailSignIn' in place of the password form
+  const [flow, setFlow] = useState(null);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [name, setName] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Links in auth emails bring the resident back to the page they were on,
+  // under the app's base URL (/ in development, /citizen/ in production).
+  const redirectTo = portalUrl(`${location.pathname}${location.search}`);
+
   const handleAuth = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
 
     try {
-      // Get current URL for proper redirects
-      const currentOrigin = window.location.origin
-      const redirectTo = `${currentOrigin}/citizen`
-
       if (isLogin) {
         const { data, error } = await supabase.auth.signInWithPassword({
           email,
@@ -32,14 +44,14 @@ const Auth = () => {
           password,
           options: {
             data: { name },
-            emailRedirectTo: redirectTo // Dynamic redirect URL
+            emailRedirectTo: redirectTo
           }
         });
         if (error) throw error;
-        alert('Check your email to confirm your account!');
+        alert(t('auth.confirmEmail'));
       }
     } catch (err) {
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -49,100 +61,133 @@ const Auth = () => {
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
         <div>
+          <div className="flex justify-end">
+            <LanguageSwitcher />
+          </div>
           <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-            {isLogin ? 'Sign in to your account' : 'Create a new account'}
+            {isLogin ? t('auth.signInTitle') : t('auth.signUpTitle')}
           </h2>
+          {backend === 'local' && (
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {t('auth.localDemo', { email: 'resident@example.com' })}
+            </p>
+          )}
         </div>
-        <form className="mt-8 space-y-6" onSubmit={handleAuth}>
-          <input type="hidden" name="remember" value="true" />
-          <div className="rounded-md shadow-sm -space-y-px">
-            {!isLogin && (
+        {flow === 'forgotPassword' && (
+          <ForgotPassword redirectTo={portalUrl(RESET_PASSWORD_PATH)} onBack={() => setFlow(null)} />
+        )}
+        {flow === 'emailSignIn' && (
+          <EmailSignIn initialEmail={email} redirectTo={redirectTo} onBack={() => setFlow(null)} />
+        )}
+        {!flow && (
+          <form className="mt-8 space-y-6" onSubmit={handleAuth}>
+            <input type="hidden" name="remember" value="true" />
+            <div className="rounded-md shadow-sm -space-y-px">
+              {!isLogin && (
+                <div>
+                  <label htmlFor="name" className="sr-only">{t('auth.name')}</label>
+                  <input
+                    id="name"
+                    name="name"
+                    type="text"
+                    required={!isLogin}
+                    className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                    placeholder={t('auth.name')}
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                  />
+                </div>
+              )}
               <div>
-                <label htmlFor="name" className="sr-only">Name</label>
+                <label htmlFor="email-address" className="sr-only">{t('auth.email')}</label>
                 <input
-                  id="name"
-                  name="name"
-                  type="text"
-                  required={!isLogin}
-                  className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
-                  placeholder="Full Name"
-                  value={name}
-                  onChange={(e) => setName(e.target.value)}
+                  id="email-address"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 ${isLogin ? 'rounded-t-md' : ''} focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm`}
+                  placeholder={t('auth.email')}
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+              <div>
+                <label htmlFor="password" className="sr-only">{t('auth.password')}</label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete={isLogin ? 'current-password' : 'new-password'}
+                  required
+                  className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                  placeholder={t('auth.password')}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
                 />
               </div>
-            )}
-            <div>
-              <label htmlFor="email-address" className="sr-only">Email address</label>
-              <input
-                id="email-address"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 ${isLogin ? 'rounded-t-md' : ''} focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm`}
-                placeholder="Email address"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-              />
-            </div>
-            <div>
-              <label htmlFor="password" className="sr-only">Password</label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
-                required
-                className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
-                placeholder="Password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-              />
             </div>
-          </div>
+            {!isLogin && <PasswordRules password={password} email={email} />}
 
-          {error && (
-            <div className="text-red-500 text-sm text-center">
-              {error}
+            {error && (
+              <div className="text-red-500 text-sm text-center">
+                {formatError(error)}
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <div className="text-sm">
+                <button
+                  type="button"
+                  className="font-medium text-indigo-600 hover:text-indigo-500"
+                  onClick={() => setIsLogin(!isLogin)}
+                >
+                  {isLogin ? t('auth.toSignUp') : t('auth.toSignIn')}
+                </button>
+              </div>
+
+              {isLogin && (
+                <div className="text-sm">
+                  <button
+                    type="button"
+                    className="font-medium text-indigo-600 hover:text-indigo-500"
+                    onClick={() => setFlow('forgotPassword')}
+                  >
+                    {t('auth.forgotPassword')}
+                  </button>
+                </div>
+              )}
             </div>
-          )}
 
-          <div className="flex items-center justify-between">
-            <div className="text-sm">
+            <div>
               <button
-                type="button"
-                className="font-medium text-indigo-600 hover:text-indigo-500"
-                onClick={() => setIsLogin(!isLogin)}
+                type="submit"
+                disabled={loading || (!isLogin && !isStrongPassword(password, { email }))}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-50 disabled:opacity-50"
               >
-                {isLogin ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
+                {loading ? (
+                  <svg className="animate-spin -ms-1 me-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                ) : null}
+                {isLogin ? t('auth.signIn') : t('auth.signUp')}
               </button>
             </div>
 
             {isLogin && (
-              <div className="text-sm">
-                <a href="#" className="font-medium text-indigo-600 hover:text-indigo-500">
-                  Forgot your password?
-                </a>
+              <div className="text-sm text-center">
+                <button
+                  type="button"
+                  className="font-medium text-indigo-600 hover:text-indigo-500"
+                  onClick={() => setFlow('emailSignIn')}
+                >
+                  {t('auth.emailSignIn')}
+                </button>
               </div>
             )}
-          </div>
-
-          <div>
-            <button
-              type="submit"
-              disabled={loading}
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-50 disabled:opacity-50"
-            >
-              {loading ? (
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-              ) : null}
-              {isLogin ? 'Sign in' : 'Sign up'}
-            </button>
-          </div>
-        </form>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader } from 'lucide-react';
+import { getCurrentUser } from '../../../shared/supabase.js';
+import { getReport, editReport, canReporterChange, REPORT_CATEGORIES } from '../../../shared/reports.js';
+import LocationPicker from './LocationPicker.jsx';
+import AddressInput from './AddressInput.jsx';
+import { reportPath } from '../paths.js';
+import useAddressForPin from '../useAddressForPin.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+const inputClassName =
+  'mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// Lets the reporter correct their report, at /reports/:id/edit, until staff
+// pick it up (see canReporterChange). Photos cannot be changed here.
+const EditReport = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { t, formatCategory, formatError } = useI18n();
+  const [report, setReport] = useState(null);
+  const [editable, setEditable] = useState(false);
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [category, setCategory] = useState('');
+  // Moving the pin looks up its address unless the resident typed one during
+  // this edit.
+  const {
+    location,
+    address,
+    geocoding,
+    handleLocationChange,
+    handleAddressChange,
+    handleAddressSelect,
+    setPlace
+  } = useAddressForPin();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    Promise.all([getReport(id), getCurrentUser()])
+      .then(([data, user]) => {
+        if (cancelled) return;
+        setReport(data);
+        setEditable(canReporterChange(data, user && user.id));
+        setTitle(data.title);
+        setDescription(data.description || '');
+        setCategory(data.category);
+        setPlace({
+          address: data.address || '',
+          location: data.latitude !== null && data.longitude !== null
+            ? { lat: Number(data.latitude), lng: Number(data.longitude), accuracy: data.location_accuracy }
+            : null
+        });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, setPlace]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!location) {
+      setError(t('editReport.noLocation'));
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await editReport(id, { title, description, category, location, address });
+      navigate(reportPath(id));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const backLink = (
+    <Link to={reportPath(id)} className="inline-flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-500">
+      <ArrowLeft className="h-4 w-4 me-1 rtl:rotate-180" />
+      {t('editReport.back')}
+    </Link>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (!report || !editable) {
+    return (
+      <div className="max-w-2xl mx-auto p-4 space-y-4">
+        {backLink}
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded relative" role="alert">
+          {error ? formatError(error) : t('editReport.notAllowed')}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto p-4 space-y-6">
+      {backLink}
+      <h2 className="text-2xl font-bold">{t('editReport.title')}</h2>
+
+      {error ? (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <strong className="font-bold">{t('common.error')} </strong>
+          <span className="block sm:inline">{formatError(error)}</span>
+        </div>
+      ) : null}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label htmlFor="title" className="block text-sm font-medium text-gray-700">{t('reportForm.fieldTitle')}</label>
+          <input
+            type="text"
+            id="title"
+            required
+            maxLength={200}
+            className={inputClassName}
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="description" className="block text-sm font-medium text-gray-700">{t('reportForm.fieldDescription')}</label>
+          <textarea
+            id="description"
+            rows={4}
+            required
+            className={inputClassName}
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="category" className="block text-sm font-medium text-gray-700">{t('reportForm.fieldCategory')}</label>
+          <select
+            id="category"
+            required
+            className={inputClassName}
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+          >
+            {REPORT_CATEGORIES.map((cat) => (
+              <option key={cat.id} value={cat.id}>
+                {cat.icon} {formatCategory(cat.id)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <AddressInput
+          value={address}
+          onChange={handleAddressChange}
+          onSelect={handleAddressSelect}
+          disabled={saving}
+          busy={geocoding}
+        />
+
+        <LocationPicker value={location} onChange={handleLocationChange} disabled={saving} />
+
+        <div className="flex space-x-3">
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex-1 flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {saving ? (
+              <>
+                <Loader className="loader-icon animate-spin -ms-1 me-3 text-white" />
+                {t('editReport.saving')}
+              </>
+            ) : t('editReport.save')}
+          </button>
+          <Link
+            to={reportPath(id)}
+            className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            {t('common.cancel')}
+          </Link>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EditReport;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { backend, sendSignInEmail, verifySignInCode } from '../../../shared/supabase.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+const inputClassName =
+  'appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+const buttonClassName =
+  'w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50';
+const linkClassName = 'font-medium text-indigo-600 hover:text-indigo-500';
+
+// Signing in without a password: emails a link that leads to `redirectTo`
+// and a code to type in here. Either one signs the resident in, and the
+// auth state change in App takes over from there.
+const EmailSignIn = ({ initialEmail = '', redirectTo, onBack }) => {
+  const { t, formatError } = useI18n();
+  const [email, setEmail] = useState(initialEmail);
+  const [sentTo, setSentTo] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [resent, setResent] = useState(false);
+
+  const send = async (address) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await sendSignInEmail(address, { redirectTo });
+      setSentTo(address);
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    send(email.trim());
+  };
+
+  const handleResend = async () => {
+    setCode('');
+    setResent(await send(sentTo));
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      // Signed in: App replaces this screen
+      await verifySignInCode(sentTo, code);
+    } catch (err) {
+      setError(err);
+      setLoading(false);
+    }
+  };
+
+  const startOver = () => {
+    setSentTo(null);
+    setCode('');
+    setError(null);
+    setResent(false);
+  };
+
+  return (
+    <div className="mt-8 space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">{t('emailSignIn.title')}</h3>
+        <p className="mt-1 text-sm text-gray-600">{t('emailSignIn.intro')}</p>
+      </div>
+
+      {sentTo ? (
+        <form className="space-y-4" onSubmit={handleVerify}>
+          <div className="bg-green-50 border border-green-200 rounded-md px-4 py-3 text-sm text-green-800" role="status">
+            <p>{resent ? t('emailSignIn.resent', { email: sentTo }) : t('emailSignIn.sent', { email: sentTo })}</p>
+            <p className="mt-1">{t('emailSignIn.howTo')}</p>
+            {backend === 'local' && <p className="mt-1 text-gray-600">{t('emailSignIn.localHint')}</p>}
+          </div>
+          <div>
+            <label htmlFor="sign-in-code" className="block text-sm font-medium text-gray-700">{t('emailSignIn.code')}</label>
+            <input
+              id="sign-in-code"
+              name="code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="[0-9 ]*"
+              maxLength={12}
+              required
+              className={`mt-1 tracking-widest ${inputClassName}`}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </div>
+
+          {error && <div className="text-red-500 text-sm text-center">{formatError(error)}</div>}
+
+          <button type="submit" disabled={loading || code.trim() === ''} className={buttonClassName}>
+            {loading ? t('emailSignIn.verifying') : t('emailSignIn.verify')}
+          </button>
+          <div className="flex items-center justify-between text-sm">
+            <button type="button" onClick={startOver} className={linkClassName}>
+              {t('emailSignIn.otherEmail')}
+            </button>
+            <button type="button" onClick={handleResend} disabled={loading} className={`${linkClassName} disabled:opacity-50`}>
+              {t('emailSignIn.resend')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form className="space-y-4" onSubmit={handleSend}>
+          <div>
+            <label htmlFor="sign-in-email" className="sr-only">{t('auth.email')}</label>
+            <input
+              id="sign-in-email"
+              name="email"
+              type="email"
+              autoComplete="email"
+              required
+              className={inputClassName}
+              placeholder={t('auth.email')}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </div>
+
+          {error && <div className="text-red-500 text-sm text-center">{formatError(error)}</div>}
+
+          <button type="submit" disabled={loading} className={buttonClassName}>
+            {loading ? t('emailSignIn.sending') : t('emailSignIn.submit')}
+          </button>
+        </form>
+      )}
+
+      <div className="text-sm text-center">
+        <button type="button" onClick={onBack} className={linkClassName}>
+          {t('emailSignIn.back')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailSignIn;
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { Mail, MailX } from 'lucide-react';
+import { getCurrentProfile, setEmailNotifications } from '../../../shared/profiles.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Lets the resident turn emails about their reports on or off. The same
+// setting is switched off by the unsubscribe link in every email.
+const EmailToggle = () => {
+  const { t, formatError } = useI18n();
+  const [enabled, setEnabled] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getCurrentProfile()
+      .then((profile) => setEnabled(Boolean(profile) && profile.email_notifications !== false))
+      .catch((err) => console.error('EmailToggle: could not read the email setting', err));
+  }, []);
+
+  // Not known yet
+  if (enabled === null) return null;
+
+  const handleToggle = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await setEmailNotifications(!enabled);
+      setEnabled(!enabled);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end">
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={busy}
+        aria-pressed={enabled}
+        className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200 disabled:opacity-50"
+      >
+        {enabled ? <Mail className="-ms-0.5 me-2 h-4 w-4" /> : <MailX className="-ms-0.5 me-2 h-4 w-4" />}
+        {enabled ? t('emailToggle.on') : t('emailToggle.off')}
+      </button>
+      {error && <p className="mt-1 text-xs text-red-600">{formatError(error)}</p>}
+    </div>
+  );
+};
+
+export default EmailToggle;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { UserPlus } from 'lucide-react';
+import { addEmailToGuestAccount, setAccountPassword, isGuestUser, needsPassword } from '../../../shared/supabase.js';
+import { getCurrentProfile, setContactEmail } from '../../../shared/profiles.js';
+import { isStrongPassword } from '../../../shared/passwords.js';
+import PasswordRules from '../../../shared/components/PasswordRules.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+const inputClassName =
+  'flex-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+const buttonClassName =
+  'inline-flex items-center justify-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50';
+
+// Shown above every page while the resident reports as a guest: where to
+// send updates, and turning the guest session into an account, which keeps
+// their reports. Also asks former guests who confirmed their email for the
+// password they have not chosen yet.
+const GuestBanner = ({ user }) => {
+  const { t, formatError } = useI18n();
+  const guest = isGuestUser(user);
+  const [contactEmail, setContactEmailInput] = useState('');
+  const [savedContactEmail, setSavedContactEmail] = useState(null);
+  const [accountEmail, setAccountEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!guest) return;
+    getCurrentProfile()
+      .then((profile) => {
+        const saved = (profile && profile.contact_email) || '';
+        setSavedContactEmail(saved);
+        setContactEmailInput(saved);
+      })
+      .catch((err) => console.error('GuestBanner: could not read the contact email', err));
+  }, [guest]);
+
+  const run = async (action, done) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      setMessage(done);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveContactEmail = (e) => {
+    e.preventDefault();
+    const email = contactEmail.trim();
+    run(async () => {
+      await setContactEmail(email);
+      setSavedContactEmail(email);
+    }, email ? t('guestBanner.contactSaved', { email }) : t('guestBanner.contactRemoved'));
+  };
+
+  const handleCreateAccount = (e) => {
+    e.preventDefault();
+    run(
+      () => addEmailToGuestAccount(accountEmail.trim(), { redirectTo: `${window.location.origin}${import.meta.env.BASE_URL}` }),
+      t('guestBanner.confirmSent', { email: accountEmail.trim() })
+    );
+  };
+
+  const handleSetPassword = (e) => {
+    e.preventDefault();
+    run(() => setAccountPassword(password), null);
+  };
+
+  if (!guest && !needsPassword(user)) return null;
+
+  if (!guest) {
+    return (
+      <div className="bg-indigo-50 border-b border-indigo-200">
+        <form onSubmit={handleSetPassword} className="max-w-7xl mx-auto px-4 py-3 sm:px-6 lg:px-8 flex flex-wrap items-center gap-3">
+          <p className="text-sm text-indigo-900">{t('guestBanner.choosePassword')}</p>
+          <label htmlFor="new-password" className="sr-only">{t('auth.password')}</label>
+          <input
+            id="new-password"
+            type="password"
+            autoComplete="new-password"
+            required
+            className={inputClassName}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={busy || !isStrongPassword(password, { email: user.email })}
+            className={buttonClassName}
+          >
+            {t('guestBanner.savePassword')}
+          </button>
+          <div className="w-full">
+            <PasswordRules password={password} email={user.email} />
+          </div>
+          {error && <p className="w-full text-sm text-red-600">{formatError(error)}</p>}
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-indigo-50 border-b border-indigo-200">
+      <div className="max-w-7xl mx-auto px-4 py-3 sm:px-6 lg:px-8 space-y-3">
+        <p className="text-sm text-indigo-900">{t('guestBanner.intro')}</p>
+
+        <div className="flex flex-wrap gap-6">
+          <form onSubmit={handleSaveContactEmail} className="flex-1 min-w-[16rem]">
+            <label htmlFor="contact-email" className="block text-xs font-medium text-gray-700">
+              {t('guestBanner.contactEmail')}
+            </label>
+            <div className="mt-1 flex space-x-2">
+              <input
+                id="contact-email"
+                type="email"
+                autoComplete="email"
+                placeholder={t('guestBanner.emailPlaceholder')}
+                className={inputClassName}
+                value={contactEmail}
+                onChange={(e) => setContactEmailInput(e.target.value)}
+              />
+              <button
+                type="submit"
+                disabled={busy || contactEmail.trim() === (savedContactEmail || '')}
+                className={buttonClassName}
+              >
+                {t('guestBanner.save')}
+              </button>
+            </div>
+          </form>
+
+          {creating ? (
+            <form onSubmit={handleCreateAccount} className="flex-1 min-w-[16rem]">
+              <label htmlFor="account-email" className="block text-xs font-medium text-gray-700">
+                {t('guestBanner.accountEmail')}
+              </label>
+              <div className="mt-1 flex space-x-2">
+                <input
+                  id="account-email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  placeholder={t('guestBanner.emailPlaceholder')}
+                  className={inputClassName}
+                  value={accountEmail}
+                  onChange={(e) => setAccountEmail(e.target.value)}
+                />
+                <button type="submit" disabled={busy} className={buttonClassName}>{t('common.continue')}</button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex items-end">
+              <button
+                type="button"
+                onClick={() => setCreating(true)}
+                className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200"
+              >
+                <UserPlus className="-ms-0.5 me-2 h-4 w-4" />
+                {t('guestBanner.createAccount')}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {message && <p className="text-sm text-green-700">{message}</p>}
+        {error && <p className="text-sm text-red-600">{formatError(error)}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default GuestBanner;
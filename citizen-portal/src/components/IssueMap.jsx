@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import '../leaflet.js';
+import 'leaflet.markercluster';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
+import { listPublicIssues, REPORT_CATEGORIES } from '../../../shared/reports.js';
+import { DEFAULT_MAP_CENTER, DEFAULT_MAP_ZOOM, TILE_URL, TILE_ATTRIBUTION } from '../../../shared/map.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+const RESOLVED_WINDOWS = [7, 30, 90];
+const DEFAULT_RESOLVED_WINDOW = 30;
+
+// Labelled by issueMap.showOptions.*
+const SHOW_OPTIONS = ['all', 'unresolved', 'resolved'];
+
+const UNRESOLVED = ['open', 'in_progress'];
+
+const MARKER_BORDERS = {
+  open: 'border-yellow-400',
+  in_progress: 'border-blue-500',
+  resolved: 'border-green-500',
+  closed: 'border-green-500'
+};
+
+const categoryFor = (id) => REPORT_CATEGORIES.find((cat) => cat.id === id);
+
+// A round marker with the category's icon, ringed in the status colour.
+const issueIcon = (issue) => {
+  const category = categoryFor(issue.category);
+  return L.divIcon({
+    className: '',
+    html: `<div class="flex items-center justify-center h-8 w-8 rounded-full bg-white shadow border-4 ${MARKER_BORDERS[issue.status] || MARKER_BORDERS.open} ${UNRESOLVED.includes(issue.status) ? '' : 'opacity-75'}">${category ? category.icon : '📍'}</div>`,
+    iconSize: [32, 32],
+    iconAnchor: [16, 16],
+    popupAnchor: [0, -16]
+  });
+};
+
+// Built as DOM nodes rather than an HTML string: titles are typed by residents.
+// `i18n` is the value of useI18n, as the popup is not rendered by React.
+const issuePopup = (issue, { t, formatDate, formatStatus, formatCategory }) => {
+  const category = categoryFor(issue.category);
+  const container = document.createElement('div');
+  const line = (text, className) => {
+    const element = document.createElement('p');
+    element.className = className;
+    element.textContent = text;
+    container.appendChild(element);
+  };
+
+  line(issue.title, 'font-bold');
+  line(`${category ? `${category.icon} ` : ''}${formatCategory(issue.category)} · ${formatStatus(issue.status)}`, 'text-sm');
+  line(t('issueMap.reportedOn', { date: formatDate(issue.created_at) }), 'text-sm');
+  if (issue.resolved_at) line(t('issueMap.resolvedOn', { date: formatDate(issue.resolved_at) }), 'text-sm');
+  if (issue.support_count > 0) {
+    line(t('nearbyReports.voices', { count: issue.support_count }), 'text-sm');
+  }
+  line(t('issueMap.approximate'), 'text-xs text-gray-500');
+  return container;
+};
+
+// leaflet.markercluster has no react-leaflet binding, so the cluster layer is
+// managed directly on the map.
+const ClusteredIssues = ({ issues }) => {
+  const map = useMap();
+  const i18n = useI18n();
+  const groupRef = useRef(null);
+
+  useEffect(() => {
+    const group = L.markerClusterGroup({ showCoverageOnHover: false });
+    groupRef.current = group;
+    map.addLayer(group);
+    return () => {
+      map.removeLayer(group);
+      groupRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+    group.clearLayers();
+    group.addLayers(
+      issues.map((issue) =>
+        L.marker([issue.latitude, issue.longitude], { icon: issueIcon(issue), title: issue.title })
+          .bindPopup(() => issuePopup(issue, i18n))
+      )
+    );
+  }, [issues, i18n]);
+
+  return null;
+};
+
+// Read-only map of what has been reported around the municipality and what
+// has been fixed lately. Open to everyone, signed in or not; locations are
+// approximate (see listPublicIssues).
+const IssueMap = () => {
+  const { t, formatCategory, formatStatus, formatError } = useI18n();
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [category, setCategory] = useState('all');
+  const [show, setShow] = useState('all');
+  const [resolvedWithinDays, setResolvedWithinDays] = useState(DEFAULT_RESOLVED_WINDOW);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    listPublicIssues({ resolvedWithinDays })
+      .then((data) => {
+        if (!cancelled) setIssues(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resolvedWithinDays]);
+
+  const visibleIssues = useMemo(
+    () =>
+      issues.filter((issue) => {
+        if (category !== 'all' && issue.category !== category) return false;
+        if (show === 'unresolved') return UNRESOLVED.includes(issue.status);
+        if (show === 'resolved') return !UNRESOLVED.includes(issue.status);
+        return true;
+      }),
+    [issues, category, show]
+  );
+
+  const unresolvedCount = visibleIssues.filter((issue) => UNRESOLVED.includes(issue.status)).length;
+
+  return (
+    <div className="max-w-7xl mx-auto p-4">
+      <h2 className="text-2xl font-bold">{t('issueMap.title')}</h2>
+      <p className="mt-1 mb-4 text-sm text-gray-500">{t('issueMap.intro', { count: resolvedWithinDays })}</p>
+
+      <div className="mb-4 grid grid-cols-1 gap-3 sm:grid-cols-3">
+        <div>
+          <label htmlFor="map-category" className="block text-sm font-medium text-gray-700">{t('issueMap.category')}</label>
+          <select
+            id="map-category"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          >
+            <option value="all">{t('issueMap.allCategories')}</option>
+            {REPORT_CATEGORIES.map((cat) => (
+              <option key={cat.id} value={cat.id}>{cat.icon} {formatCategory(cat.id)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="map-show" className="block text-sm font-medium text-gray-700">{t('issueMap.show')}</label>
+          <select
+            id="map-show"
+            value={show}
+            onChange={(e) => setShow(e.target.value)}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          >
+            {SHOW_OPTIONS.map((option) => (
+              <option key={option} value={option}>{t(`issueMap.showOptions.${option}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="map-resolved-window" className="block text-sm font-medium text-gray-700">{t('issueMap.resolvedWithin')}</label>
+          <select
+            id="map-resolved-window"
+            value={resolvedWithinDays}
+            onChange={(e) => setResolvedWithinDays(Number(e.target.value))}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          >
+            {RESOLVED_WINDOWS.map((days) => (
+              <option key={days} value={days}>{t('issueMap.lastDays', { count: days })}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <strong className="font-bold">{t('common.error')} </strong>
+          <span className="block sm:inline">{formatError(error)}</span>
+        </div>
+      )}
+
+      <p className="mb-2 text-sm text-gray-700" aria-live="polite">
+        {loading
+          ? t('issueMap.loading')
+          : t('issueMap.counts', { open: unresolvedCount, resolved: visibleIssues.length - unresolvedCount })}
+      </p>
+
+      <div className="h-[70vh] rounded-lg overflow-hidden shadow">
+        <MapContainer
+          center={[DEFAULT_MAP_CENTER.lat, DEFAULT_MAP_CENTER.lng]}
+          zoom={DEFAULT_MAP_ZOOM}
+          style={{ height: '100%', width: '100%' }}
+        >
+          <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+          <ClusteredIssues issues={visibleIssues} />
+        </MapContainer>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600">
+        <span className="flex items-center"><span className="me-1 h-3 w-3 rounded-full border-4 border-yellow-400" />{formatStatus('open')}</span>
+        <span className="flex items-center"><span className="me-1 h-3 w-3 rounded-full border-4 border-blue-500" />{formatStatus('in_progress')}</span>
+        <span className="flex items-center"><span className="me-1 h-3 w-3 rounded-full border-4 border-green-500" />{formatStatus('resolved')}</span>
+      </div>
+    </div>
+  );
+};
+
+export default IssueMap;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Circle, useMap, useMapEvents } from 'react-leaflet';
+import { LocateFixed, Loader } from 'lucide-react';
+import '../leaflet.js';
+import { DEFAULT_MAP_CENTER, DEFAULT_MAP_ZOOM, PIN_ZOOM, TILE_URL, TILE_ATTRIBUTION } from '../../../shared/map.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Places the pin where the map is tapped.
+const TapToPlace = ({ onPlace }) => {
+  useMapEvents({
+    click: (e) => onPlace(e.latlng)
+  });
+  return null;
+};
+
+// Brings a location chosen outside the map (GPS, a resumed draft) into view.
+const FollowLocation = ({ location, pickedRef }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (!location || location === pickedRef.current) return;
+    map.setView([location.lat, location.lng], Math.max(map.getZoom(), PIN_ZOOM));
+  }, [map, location, pickedRef]);
+  return null;
+};
+
+// Map for choosing where the issue is. `value` is `{ lat, lng, accuracy }`
+// with `accuracy` in metres from the device's GPS, or null once the resident
+// has placed the pin by hand. Tries the device's position on first show and
+// falls back to the municipal centre (see shared/map.js) without a pin.
+const LocationPicker = ({ value, onChange, disabled }) => {
+  const { t } = useI18n();
+  const [locating, setLocating] = useState(false);
+  const [locateError, setLocateError] = useState(null);
+  // The last location set from the map itself, which is already in view
+  const pickedRef = useRef(null);
+  const valueRef = useRef(value);
+  useEffect(() => {
+    valueRef.current = value;
+  }, [value]);
+
+  const place = ({ lat, lng }) => {
+    if (disabled) return;
+    const picked = { lat, lng, accuracy: null };
+    pickedRef.current = picked;
+    onChange(picked);
+  };
+
+  // `automatic` lookups never replace a location that is already set.
+  const locate = (automatic) => {
+    if (!navigator.geolocation) {
+      setLocateError(t('location.unsupported'));
+      return;
+    }
+    setLocating(true);
+    setLocateError(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        if (automatic && valueRef.current) return;
+        const { latitude, longitude, accuracy } = position.coords;
+        onChange({ lat: latitude, lng: longitude, accuracy: Math.round(accuracy) });
+      },
+      () => {
+        setLocating(false);
+        setLocateError(t('location.unavailable'));
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  };
+
+  // The latest `locate`, for the lookup on first show
+  const locateRef = useRef(locate);
+  useEffect(() => {
+    locateRef.current = locate;
+  });
+
+  useEffect(() => {
+    // Only on first show; later lookups are up to the resident.
+    if (!valueRef.current) locateRef.current(true);
+  }, []);
+
+  const center = value || DEFAULT_MAP_CENTER;
+
+  return (
+    <div>
+      <div className="flex justify-between items-center">
+        <span className="block text-sm font-medium text-gray-700">{t('location.label')}</span>
+        <button
+          type="button"
+          onClick={() => locate(false)}
+          disabled={disabled || locating}
+          className="inline-flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-500 disabled:opacity-50"
+        >
+          {locating
+            ? <Loader className="h-4 w-4 me-1 animate-spin" />
+            : <LocateFixed className="h-4 w-4 me-1" />}
+          {t('location.useMine')}
+        </button>
+      </div>
+
+      <div className="mt-1 h-64 rounded-lg overflow-hidden">
+        <MapContainer
+          center={[center.lat, center.lng]}
+          zoom={value ? PIN_ZOOM : DEFAULT_MAP_ZOOM}
+          style={{ height: '256px', width: '100%' }}
+        >
+          <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+          <TapToPlace onPlace={place} />
+          <FollowLocation location={value} pickedRef={pickedRef} />
+          {value && value.accuracy != null && (
+            <Circle
+              center={[value.lat, value.lng]}
+              radius={value.accuracy}
+              pathOptions={{ color: '#4f46e5', weight: 1, fillOpacity: 0.1 }}
+            />
+          )}
+          {value && (
+            <Marker
+              position={[value.lat, value.lng]}
+              draggable={!disabled}
+              eventHandlers={{
+                dragend: (e) => place(e.target.getLatLng())
+              }}
+            />
+          )}
+        </MapContainer>
+      </div>
+
+      <p className="mt-1 text-xs text-gray-500">
+        {value
+          ? t('location.picked', {
+              coordinates: `${value.lat.toFixed(5)}, ${value.lng.toFixed(5)}`,
+              precision: value.accuracy != null
+                ? t('location.accuracy', { metres: value.accuracy })
+                : t('location.placedByHand')
+            })
+          : t('location.tapToPlace')}
+      </p>
+      {locateError && <p className="mt-1 text-sm text-red-600">{locateError}</p>}
+    </div>
+  );
+};
+
+export default LocationPicker;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { LocateFixed } from 'lucide-react';
+import { listNearbyIssues, supportReport, getReportImages, REPORT_CATEGORIES } from '../../../shared/reports.js';
+import { DEFAULT_MAP_CENTER } from '../../../shared/map.js';
+import { reportPath } from '../paths.js';
+import PhotoGallery from '../../../shared/components/PhotoGallery.jsx';
+import StatusBadge from './StatusBadge.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+const MAX_RESULTS = 50;
+
+// "800 m", "1.5 km"; `formatNumber` is the one from useI18n.
+const formatDistance = (meters, formatNumber) =>
+  meters < 1000
+    ? formatNumber(Math.round(meters), { style: 'unit', unit: 'meter' })
+    : formatNumber(meters / 1000, { style: 'unit', unit: 'kilometer', maximumFractionDigits: 1 });
+
+// Unresolved issues reported around the resident, nearest first, so they can
+// see what is already known in their area and add their voice to it. Uses
+// the device's location, or the municipality's centre when that is not
+// available. How far around is up to the database.
+const NearbyIssues = () => {
+  const { t, formatDate, formatNumber, formatCategory, formatError } = useI18n();
+  const [origin, setOrigin] = useState(null);
+  const [usingFallback, setUsingFallback] = useState(false);
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Id of the report whose support is being sent
+  const [supporting, setSupporting] = useState(null);
+
+  const locate = () => {
+    const fallback = () => {
+      setUsingFallback(true);
+      setOrigin(DEFAULT_MAP_CENTER);
+    };
+    if (!navigator.geolocation) {
+      fallback();
+      return;
+    }
+    setLoading(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setUsingFallback(false);
+        setOrigin({ lat: position.coords.latitude, lng: position.coords.longitude });
+      },
+      fallback,
+      { enableHighAccuracy: false, timeout: 15000, maximumAge: 60000 }
+    );
+  };
+
+  useEffect(() => {
+    locate();
+  }, []);
+
+  useEffect(() => {
+    if (!origin) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    listNearbyIssues({ location: origin, limit: MAX_RESULTS })
+      .then((data) => {
+        if (!cancelled) setReports(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [origin]);
+
+  const handleSupport = async (report) => {
+    setSupporting(report.id);
+    setError(null);
+    try {
+      const count = await supportReport(report.id);
+      setReports((current) =>
+        current.map((existing) =>
+          existing.id === report.id ? { ...existing, is_supported: true, support_count: count } : existing
+        )
+      );
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSupporting(null);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto p-4">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+        <h2 className="text-2xl font-bold">{t('nearbyIssues.title')}</h2>
+        <button
+          type="button"
+          onClick={locate}
+          className="inline-flex items-center px-3 py-2 text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200"
+        >
+          <LocateFixed className="-ms-0.5 me-2 h-4 w-4" />
+          {t('location.useMine')}
+        </button>
+      </div>
+      <p className="mb-6 text-sm text-gray-500">
+        {usingFallback ? t('nearbyIssues.fallback') : t('nearbyIssues.intro')}
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <strong className="font-bold">{t('common.error')} </strong>
+          <span className="block sm:inline">{formatError(error)}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : reports.length === 0 ? (
+        <div className="text-center py-12">
+          <h3 className="mt-2 text-lg font-medium text-gray-900">{t('nearbyIssues.empty')}</h3>
+          <p className="mt-1 text-gray-500">{t('nearbyIssues.emptyHint')}</p>
+        </div>
+      ) : (
+        <ul className="space-y-4">
+          {reports.map((report) => {
+            const category = REPORT_CATEGORIES.find((cat) => cat.id === report.category);
+            const images = getReportImages(report);
+            // Only reports the resident filed or supports can be opened
+            const canOpen = report.is_own || report.is_supported;
+            return (
+              <li key={report.id} className="bg-white shadow sm:rounded-lg px-4 py-5 sm:px-6">
+                <div className="flex justify-between items-start">
+                  <div className="min-w-0">
+                    <h3 className="text-lg leading-6 font-medium text-gray-900">
+                      {canOpen ? (
+                        <Link to={reportPath(report.id)} className="hover:text-indigo-600">{report.title}</Link>
+                      ) : (
+                        report.title
+                      )}
+                    </h3>
+                    <p className="mt-1 text-sm text-gray-500">
+                      {t('nearbyIssues.away', { distance: formatDistance(report.distance_m, formatNumber) })}
+                      {` · ${category ? `${category.icon} ` : ''}${formatCategory(report.category)}`}
+                      {` · ${t('nearbyReports.reportedOn', { date: formatDate(report.created_at) })}`}
+                    </p>
+                    {report.support_count > 0 && (
+                      <p className="text-sm text-gray-500">{t('nearbyReports.voices', { count: report.support_count })}</p>
+                    )}
+                  </div>
+                  <StatusBadge status={report.status} />
+                </div>
+                {images.length > 0 && (
+                  <div className="mt-2">
+                    <PhotoGallery images={images} thumbnailClassName="h-14 w-14" />
+                  </div>
+                )}
+                <div className="mt-3 flex items-center justify-end space-x-4">
+                  {report.is_own ? (
+                    <span className="text-sm text-gray-500">{t('nearbyReports.own')}</span>
+                  ) : report.is_supported ? (
+                    <span className="text-sm text-gray-500">{t('reportsList.youSupport')}</span>
+                  ) : (
+                    <button
+                      type="button"
+                      disabled={supporting !== null}
+                      onClick={() => handleSupport(report)}
+                      className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                      {supporting === report.id ? t('nearbyIssues.adding') : t('nearbyReports.addVoice')}
+                    </button>
+                  )}
+                  {canOpen && (
+                    <Link to={reportPath(report.id)} className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+                      {t('reportsList.viewDetails')}
+                    </Link>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NearbyIssues;
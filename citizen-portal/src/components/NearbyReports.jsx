@@ -0,0 +1,84 @@
+import React from 'react';
+import { getReportImages } from '../../../shared/reports.js';
+import PhotoGallery from '../../../shared/components/PhotoGallery.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Reports close to the one being filed, offered before it is sent so the
+// resident can add their voice to an existing report instead of filing the
+// same issue again. `reports` come from `findNearbyReports`.
+const NearbyReports = ({ reports, busy, onSupport, onSubmitAnyway, onBack }) => {
+  const { t, formatDate, formatStatus } = useI18n();
+  return (
+    <div className="bg-yellow-50 border border-yellow-300 rounded-md px-4 py-4" role="status">
+      <h3 className="text-sm font-medium text-yellow-900">
+        {t('nearbyReports.title', { count: reports.length })}
+      </h3>
+      <p className="mt-1 text-sm text-yellow-800">
+        {t('nearbyReports.intro')}
+      </p>
+
+      <ul className="mt-3 space-y-3">
+        {reports.map((report) => (
+          <li key={report.id} className="bg-white rounded-md shadow-sm px-3 py-3">
+            <div className="flex justify-between items-start">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">{report.title}</p>
+                <p className="text-xs text-gray-500">
+                  {formatStatus(report.status)} · {t('nearbyReports.distance', { distance: Math.round(report.distance_m) })}
+                  {` · ${t('nearbyReports.reportedOn', { date: formatDate(report.created_at) })}`}
+                </p>
+                {report.support_count > 0 && (
+                  <p className="text-xs text-gray-500">
+                    {t('nearbyReports.voices', { count: report.support_count })}
+                  </p>
+                )}
+              </div>
+              <div className="ms-3 flex-shrink-0">
+                {report.is_own ? (
+                  <span className="text-xs text-gray-500">{t('nearbyReports.own')}</span>
+                ) : report.is_supported ? (
+                  <span className="text-xs text-gray-500">{t('nearbyReports.supported')}</span>
+                ) : (
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => onSupport(report)}
+                    className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    {t('nearbyReports.addVoice')}
+                  </button>
+                )}
+              </div>
+            </div>
+            {getReportImages(report).length > 0 && (
+              <div className="mt-2">
+                <PhotoGallery images={getReportImages(report)} thumbnailClassName="h-14 w-14" />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-4 flex justify-end space-x-3">
+        <button
+          type="button"
+          disabled={busy}
+          onClick={onBack}
+          className="px-3 py-1.5 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+        >
+          {t('nearbyReports.back')}
+        </button>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={onSubmitAnyway}
+          className="px-3 py-1.5 rounded-md text-sm font-medium text-indigo-700 bg-indigo-100 hover:bg-indigo-200 disabled:opacity-50"
+        >
+          {t('nearbyReports.submitAnyway')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NearbyReports;
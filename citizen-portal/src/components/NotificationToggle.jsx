@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, BellOff } from 'lucide-react';
+import {
+  isPushSupported,
+  isPushEnabled,
+  enablePushNotifications,
+  disablePushNotifications,
+  getNotificationPermission
+} from '../../../shared/push.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Lets the resident turn push notifications about their reports on or off
+// for this browser. Renders nothing where push is not available.
+const NotificationToggle = () => {
+  const { t, formatError } = useI18n();
+  const [enabled, setEnabled] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isPushSupported()) return;
+    isPushEnabled()
+      .then(setEnabled)
+      .catch((err) => console.error('NotificationToggle: could not read the push subscription', err));
+  }, []);
+
+  if (!isPushSupported()) return null;
+
+  const handleToggle = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      if (enabled) {
+        await disablePushNotifications();
+        setEnabled(false);
+      } else {
+        await enablePushNotifications();
+        setEnabled(true);
+      }
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const blocked = !enabled && getNotificationPermission() === 'denied';
+
+  return (
+    <div className="flex flex-col items-end">
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={busy || blocked}
+        aria-pressed={enabled}
+        title={blocked ? t('notificationToggle.blocked') : undefined}
+        className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200 disabled:opacity-50"
+      >
+        {enabled ? <Bell className="-ms-0.5 me-2 h-4 w-4" /> : <BellOff className="-ms-0.5 me-2 h-4 w-4" />}
+        {enabled ? t('notificationToggle.on') : t('notificationToggle.off')}
+      </button>
+      {error && <p className="mt-1 text-xs text-red-600">{formatError(error)}</p>}
+    </div>
+  );
+};
+
+export default NotificationToggle;
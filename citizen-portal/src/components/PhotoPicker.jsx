@@ -0,0 +1,76 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { ACCEPTED_IMAGE_TYPES } from '../../../shared/images.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Progress shown for each upload stage; labels are photoPicker.<stage>
+const STAGE_PROGRESS = {
+  ready: 0,
+  processing: 33,
+  uploading: 66,
+  done: 100,
+  error: 100
+};
+
+// Selected photos with a preview, upload progress and a remove button each.
+// `photos` items are `{ id, previewUrl, status }`; state lives in ReportForm.
+const PhotoPicker = ({ photos, max, disabled, onAdd, onRemove }) => {
+  const { t } = useI18n();
+  const handleChange = (e) => {
+    onAdd(Array.from(e.target.files));
+    // Allow picking the same file again after removing it.
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <label htmlFor="photos" className="block text-sm font-medium text-gray-700">
+        {t('photoPicker.label', { count: photos.length, max })}
+      </label>
+      <input
+        type="file"
+        id="photos"
+        multiple
+        accept={ACCEPTED_IMAGE_TYPES.join(',')}
+        disabled={disabled || photos.length >= max}
+        className="mt-1 block w-full text-sm text-gray-500 file:me-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100 disabled:opacity-50"
+        onChange={handleChange}
+      />
+
+      {photos.length > 0 && (
+        <ul className="mt-3 grid grid-cols-3 gap-3 sm:grid-cols-5">
+          {photos.map((photo) => (
+            <li key={photo.id} className="relative">
+              <img src={photo.previewUrl} alt="" className="h-20 w-full object-cover rounded-md" />
+              {!disabled && (
+                <button
+                  type="button"
+                  onClick={() => onRemove(photo.id)}
+                  className="absolute top-1 end-1 rounded-full bg-white bg-opacity-80 p-0.5 text-gray-700 hover:text-red-600"
+                  aria-label={t('photoPicker.remove')}
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+              {photo.status !== 'ready' && (
+                <div className="mt-1">
+                  <div className="h-1.5 w-full rounded bg-gray-200">
+                    <div
+                      className={`h-1.5 rounded ${photo.status === 'error' ? 'bg-red-500' : 'bg-indigo-600'}`}
+                      style={{ width: `${STAGE_PROGRESS[photo.status]}%` }}
+                    />
+                  </div>
+                  <p className={`mt-0.5 text-xs ${photo.status === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+                    {t(`photoPicker.${photo.status}`)}
+                  </p>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PhotoPicker;
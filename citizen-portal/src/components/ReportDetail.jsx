@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Pencil, Undo2 } from 'lucide-react';
+import { MapContainer, TileLayer, Marker, Circle } from 'react-leaflet';
+import '../leaflet.js';
+import { getCurrentUser } from '../../../shared/supabase.js';
+import { getReport, getReportImages, subscribeToReports, canReporterChange, withdrawReport, formatTrackingCode, REPORT_CATEGORIES } from '../../../shared/reports.js';
+import { PIN_ZOOM, TILE_URL, TILE_ATTRIBUTION } from '../../../shared/map.js';
+import { HOME_PATH, editReportPath } from '../paths.js';
+import PhotoGallery from '../../../shared/components/PhotoGallery.jsx';
+import ReportTimeline from '../../../shared/components/ReportTimeline.jsx';
+import StatusBadge from './StatusBadge.jsx';
+import ResolutionFeedback from './ResolutionFeedback.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// PostgREST's answer when `.single()` finds no row, which is also what the
+// resident gets for reports they may not read.
+const NOT_FOUND = 'PGRST116';
+
+// Everything about one report, at /reports/:id, so notifications and emails
+// can link straight to it.
+const ReportDetail = () => {
+  const { id } = useParams();
+  const { t, formatDateTime, formatCategory, formatError } = useI18n();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [withdrawing, setWithdrawing] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then((user) => setUserId(user ? user.id : null))
+      .catch((err) => console.error('ReportDetail: could not read the signed-in user', err));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getReport(id)
+      .then((data) => {
+        if (!cancelled) setReport(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    const unsubscribe = subscribeToReports({
+      channel: `report-${id}`,
+      filter: `id=eq.${id}`,
+      // Realtime rows carry no photos; keep the ones we already have
+      onUpdate: (updated) => setReport((current) => (current ? { ...current, ...updated, images: current.images } : current))
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [id]);
+
+  const handleWithdraw = async () => {
+    if (!window.confirm(t('reportDetail.withdrawConfirm'))) return;
+    setWithdrawing(true);
+    setActionError(null);
+    try {
+      const updated = await withdrawReport(id);
+      setReport((current) => ({ ...current, ...updated }));
+    } catch (err) {
+      setActionError(err);
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
+  // Show the report as open straight away rather than waiting for realtime
+  const handleReopened = () => {
+    getReport(id)
+      .then(setReport)
+      .catch((err) => setActionError(err));
+  };
+
+  const backLink = (
+    <Link to={HOME_PATH} className="inline-flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-500">
+      <ArrowLeft className="h-4 w-4 me-1 rtl:rotate-180" />
+      {t('portal.myReports')}
+    </Link>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-3xl mx-auto p-4 space-y-4">
+        {backLink}
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <strong className="font-bold">{t('common.error')} </strong>
+          <span className="block sm:inline">{error.code === NOT_FOUND ? t('reportDetail.notFound') : formatError(error)}</span>
+        </div>
+      </div>
+    );
+  }
+
+  const category = REPORT_CATEGORIES.find((cat) => cat.id === report.category);
+  const images = getReportImages(report);
+  const hasLocation = report.latitude !== null && report.longitude !== null;
+
+  return (
+    <div className="max-w-3xl mx-auto p-4 space-y-6">
+      {backLink}
+
+      <div className="bg-white shadow sm:rounded-lg">
+        <div className="px-4 py-5 sm:px-6">
+          <div className="flex justify-between items-start">
+            <h2 className="text-2xl font-bold text-gray-900">{report.title}</h2>
+            <StatusBadge status={report.status} />
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            {category ? `${category.icon} ${formatCategory(report.category)}` : formatCategory(report.category)}
+            {` · ${t('reportDetail.submittedAt', { date: formatDateTime(report.created_at) })}`}
+            {report.support_count > 0 && ` · ${t('reportsList.supporters', { count: report.support_count })}`}
+          </p>
+          {canReporterChange(report, userId) && (
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <Link
+                to={editReportPath(report.id)}
+                className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200"
+              >
+                <Pencil className="-ms-0.5 me-2 h-4 w-4" />
+                {t('reportDetail.edit')}
+              </Link>
+              <button
+                type="button"
+                onClick={handleWithdraw}
+                disabled={withdrawing}
+                className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50"
+              >
+                <Undo2 className="-ms-0.5 me-2 h-4 w-4" />
+                {withdrawing ? t('reportDetail.withdrawing') : t('reportDetail.withdraw')}
+              </button>
+              <span className="text-xs text-gray-500">{t('reportDetail.changeHint')}</span>
+            </div>
+          )}
+          {actionError && <p className="mt-2 text-sm text-red-600">{formatError(actionError)}</p>}
+          {report.status === 'resolved' && userId && report.user_id === userId && (
+            <div className="mt-4">
+              <ResolutionFeedback report={report} onReopened={handleReopened} />
+            </div>
+          )}
+        </div>
+
+        <dl className="border-t border-gray-200 sm:divide-y sm:divide-gray-200">
+          <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 px-4 sm:px-6">
+            <dt className="text-sm font-medium text-gray-500">{t('reportDetail.description')}</dt>
+            <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2 whitespace-pre-line">{report.description || t('common.noDescription')}</dd>
+          </div>
+          <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 px-4 sm:px-6">
+            <dt className="text-sm font-medium text-gray-500">{t('reportDetail.address')}</dt>
+            <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{report.address || t('reportDetail.noAddress')}</dd>
+          </div>
+          {report.tracking_code && (
+            <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 px-4 sm:px-6">
+              <dt className="text-sm font-medium text-gray-500">{t('reportDetail.trackingCode')}</dt>
+              <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2 font-mono">{formatTrackingCode(report.tracking_code)}</dd>
+            </div>
+          )}
+          {report.resolution_notes && (
+            <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 px-4 sm:px-6">
+              <dt className="text-sm font-medium text-gray-500">{t('reportDetail.resolution')}</dt>
+              <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{report.resolution_notes}</dd>
+            </div>
+          )}
+          {images.length > 0 && (
+            <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 px-4 sm:px-6">
+              <dt className="text-sm font-medium text-gray-500">{t('reportDetail.photos')}</dt>
+              <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                <PhotoGallery images={images} />
+              </dd>
+            </div>
+          )}
+        </dl>
+
+        {hasLocation && (
+          <div className="h-64 border-t border-gray-200 overflow-hidden sm:rounded-b-lg">
+            <MapContainer
+              center={[report.latitude, report.longitude]}
+              zoom={PIN_ZOOM}
+              style={{ height: '256px', width: '100%' }}
+            >
+              <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+              {report.location_accuracy != null && (
+                <Circle
+                  center={[report.latitude, report.longitude]}
+                  radius={report.location_accuracy}
+                  pathOptions={{ color: '#4f46e5', weight: 1, fillOpacity: 0.1 }}
+                />
+              )}
+              <Marker position={[report.latitude, report.longitude]} />
+            </MapContainer>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:px-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">{t('reportDetail.history')}</h3>
+        <ReportTimeline reportId={report.id} />
+      </div>
+    </div>
+  );
+};
+
+export default ReportDetail;
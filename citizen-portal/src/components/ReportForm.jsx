@@ -1,137 +1,405 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { Loader } from 'lucide-react';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
-import 'leaflet/dist/leaflet.css';
-import L from 'leaflet';
-import { supabase } from '../../../shared/supabase.js';
-import { uploadImage } from '../../../shared/supabase.js';
-
-// Fix for default marker icons in Leaflet
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-});
-
-const ReportForm = () => {
+import { validateImage } from '../../../shared/images.js';
+import { newId } from '../../../shared/ids.js';
+import { REPORT_CATEGORIES, MAX_PHOTOS_PER_REPORT, findNearbyReports, supportReport, formatTrackingCode } from '../../../shared/reports.js';
+import { submitReport, queueReport } from '../../../shared/submissions.js';
+import { isNetworkError } from '../../../shared/errors.js';
+import { saveDraft, listDrafts, discardDraft, isDraftEmpty } from '../../../shared/drafts.js';
+import { reverseGeocode, formatCoordinates } from '../../../shared/geocoding/index.js';
+import useAddressForPin from '../useAddressForPin.js';
+import PhotoPicker from './PhotoPicker.jsx';
+import LocationPicker from './LocationPicker.jsx';
+import AddressInput from './AddressInput.jsx';
+import NearbyReports from './NearbyReports.jsx';
+import { reportPath, TRACK_PATH } from '../paths.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Wait this long after the last keystroke before saving the draft.
+const AUTOSAVE_DELAY_MS = 500;
+
+// Saves the draft, or forgets it once everything has been cleared.
+const persistDraft = (draft) =>
+  (isDraftEmpty(draft) ? discardDraft(draft.id) : saveDraft(draft))
+    .catch((err) => console.error('ReportForm: could not save the draft', err));
+
+// `guest`: filing with a guest session, which cannot support existing
+// reports and gets a tracking code for each new one.
+const ReportForm = ({ guest = false }) => {
+  const { t, tElements, formatDateTime, formatCategory, formatError } = useI18n();
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [category, setCategory] = useState('pothole');
-  const [photo, setPhoto] = useState(null);
-  const [location, setLocation] = useState(null);
-  const [address, setAddress] = useState('');
+  const [photos, setPhotos] = useState([]);
+  // Generated up front so photos can be stored under the report's folder
+  const [draftId, setDraftId] = useState(() => newId());
+  const {
+    location,
+    address,
+    geocoding,
+    handleLocationChange,
+    handleAddressChange,
+    handleAddressSelect,
+    setPlace
+  } = useAddressForPin();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [reportId, setReportId] = useState(null);
+  const [trackingCode, setTrackingCode] = useState(null);
+  // Saved to the offline queue instead of sent
+  const [queued, setQueued] = useState(false);
+  // Other unfinished reports saved on this device
+  const [savedDrafts, setSavedDrafts] = useState([]);
+  // Possible duplicates found on submit, and whether the resident has seen
+  // them for the current location and category
+  const [nearbyReports, setNearbyReports] = useState(null);
+  const [duplicatesChecked, setDuplicatesChecked] = useState(false);
+  // The existing report the resident added their voice to
+  const [supported, setSupported] = useState(null);
 
-  const categories = [
-    { id: 'pothole', label: 'Pothole', icon: '🕳️' },
-    { id: 'streetlight', label: 'Street Light', icon: '💡' },
-    { id: 'garbage', label: 'Garbage', icon: '🗑️' },
-    { id: 'vandalism', label: 'Vandalism', icon: '🎨' },
-    { id: 'other', label: 'Other', icon: '📝' }
-  ];
+  useEffect(() => {
+    setDuplicatesChecked(false);
+    setNearbyReports(null);
+  }, [location, category]);
 
+  // Release preview object URLs when the form goes away.
+  const photosRef = useRef(photos);
   useEffect(() => {
-    // Get user's current location
-    if (navigator.geolocation) {
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          const { latitude, longitude } = position.coords;
-          setLocation({ lat: latitude, lng: longitude });
-        },
-        (err) => {
-          setError('Unable to get your location. Please enter manually.');
-        }
-      );
-    } else {
-      setError('Geolocation is not supported by this browser.');
-    }
+    photosRef.current = photos;
+  }, [photos]);
+  useEffect(() => () => {
+    photosRef.current.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+  }, []);
+
+  // Keep the draft saved while the resident types, and straight away when
+  // the page is hidden, which is often the last chance on mobile.
+  const draft = {
+    id: draftId,
+    title,
+    description,
+    category,
+    address,
+    location,
+    photos: photos.map(({ id, file, uploaded }) => ({ id, file, uploaded: uploaded || null }))
+  };
+  const draftRef = useRef(draft);
+  useEffect(() => {
+    draftRef.current = draft;
+  });
+
+  useEffect(() => {
+    if (loading) return undefined;
+    const timer = setTimeout(() => persistDraft(draftRef.current), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draftId, title, description, category, address, location, photos, loading]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') persistDraft(draftRef.current);
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handleVisibilityChange);
+    };
+  }, []);
+
+  const refreshDrafts = () =>
+    listDrafts()
+      .then(setSavedDrafts)
+      .catch((err) => console.error('ReportForm: could not read saved drafts', err));
+
+  useEffect(() => {
+    refreshDrafts();
   }, []);
 
+  const updatePhoto = (id, changes) => {
+    setPhotos((current) => current.map((photo) => (photo.id === id ? { ...photo, ...changes } : photo)));
+  };
+
+  const resetForm = () => {
+    setDraftId(newId());
+    setTitle('');
+    setDescription('');
+    setCategory('pothole');
+    photos.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+    setPhotos([]);
+    setPlace({ address: '' });
+    setDuplicatesChecked(false);
+    setNearbyReports(null);
+  };
+
+  // Replaces the form with a saved draft, keeping the current one saved.
+  const handleResumeDraft = async (saved) => {
+    await persistDraft(draftRef.current);
+    photos.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+    setDraftId(saved.id);
+    setTitle(saved.title);
+    setDescription(saved.description);
+    setCategory(saved.category);
+    setPlace({ address: saved.address, location: saved.location, typed: saved.address.trim() !== '' });
+    setPhotos(saved.photos.map((photo) => ({
+      ...photo,
+      previewUrl: URL.createObjectURL(photo.file),
+      status: photo.uploaded ? 'done' : 'ready'
+    })));
+    setSuccess(false);
+    setQueued(false);
+    setError(null);
+    refreshDrafts();
+  };
+
+  const handleDiscardDraft = async (id) => {
+    await discardDraft(id);
+    if (id === draftId) resetForm();
+    refreshDrafts();
+  };
+
+  // The report has been sent or queued, so its draft is no longer needed.
+  const finishDraft = () => {
+    discardDraft(draftId)
+      .catch((err) => console.error('ReportForm: could not remove the draft', err))
+      .finally(refreshDrafts);
+    resetForm();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setError(null);
+    setSuccess(false);
+    setQueued(false);
+    setSupported(null);
+
+    // Offer matching reports first, once per location and category. A failed
+    // lookup never stops the resident from filing.
+    if (!guest && !duplicatesChecked && location && navigator.onLine !== false) {
+      setLoading(true);
+      const nearby = await findNearbyReports({ location, category }).catch((err) => {
+        console.warn('ReportForm: could not look for nearby reports', err);
+        return [];
+      });
+      setDuplicatesChecked(true);
+      if (nearby.length > 0) {
+        setNearbyReports(nearby);
+        setLoading(false);
+        return;
+      }
+    }
+
+    await submitNewReport();
+  };
+
+  const handleSupport = async (report) => {
     setLoading(true);
     setError(null);
+    try {
+      await supportReport(report.id);
+      setSupported(report);
+      finishDraft();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmitAnyway = () => {
+    setNearbyReports(null);
+    submitNewReport();
+  };
+
+  const submitNewReport = async () => {
+    setLoading(true);
+
+    // Look the address up if the lookup for the pin has not finished or
+    // failed, and fall back to the coordinates, e.g. when offline.
+    let finalAddress = address.trim();
+    if (!finalAddress && location) {
+      const found = navigator.onLine === false
+        ? null
+        : await reverseGeocode(location).catch(() => null);
+      finalAddress = found ? found.address : formatCoordinates(location);
+    }
+
+    // Photos already uploaded by an earlier, failed attempt are not sent again.
+    const uploadedNow = {};
+    const submission = () => ({
+      id: draftId,
+      title,
+      description,
+      category,
+      location,
+      address: finalAddress,
+      photos: photos.map(({ id, file, uploaded }) => ({ id, file, uploaded: uploadedNow[id] || uploaded || null }))
+    });
 
     try {
-      let imageUrl = null;
-      
-      // Upload photo if provided
-      if (photo) {
-        imageUrl = await uploadImage(photo);
+      if (navigator.onLine === false) {
+        await queueReport(submission());
+        setQueued(true);
+        finishDraft();
+        return;
       }
 
-      // Get address if not provided
-      let finalAddress = address;
-      if (!finalAddress && location) {
-        // In a real app, you would use a reverse geocoding service here
-        finalAddress = `Lat: ${location.lat}, Lng: ${location.lng}`;
-      }
+      const report = await submitReport(submission(), {
+        onPhotoProgress: (photoId, status) => updatePhoto(photoId, { status }),
+        onPhotoUploaded: (photoId, uploaded) => {
+          uploadedNow[photoId] = uploaded;
+          updatePhoto(photoId, { uploaded });
+        }
+      });
 
-      // Save report to database
-      const { data, error } = await supabase
-        .from('reports')
-        .insert([
-          {
-            title,
-            description,
-            category,
-            location: location ? `SRID=4326;POINT(${location.lng} ${location.lat})` : null,
-            latitude: location ? location.lat : null,
-            longitude: location ? location.lng : null,
-            address: finalAddress,
-            image_url: imageUrl
-          }
-        ])
-        .select();
-
-      if (error) throw error;
-      
       setSuccess(true);
-      setReportId(data[0].id);
-      
-      // Clear form
-      setTitle('');
-      setDescription('');
-      setCategory('pothole');
-      setPhoto(null);
-      setAddress('');
+      setReportId(report.id);
+      setTrackingCode(report.tracking_code);
+      finishDraft();
     } catch (err) {
-      setError(err.message);
+      if (!isNetworkError(err)) {
+        setError(err);
+        return;
+      }
+      // Lost the connection part way: keep everything for later.
+      try {
+        await queueReport(submission());
+        setQueued(true);
+        finishDraft();
+      } catch (queueError) {
+        setError(queueError);
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleLocationSelect = (e) => {
-    const { lat, lng } = e.latlng;
-    setLocation({ lat, lng });
+  const handleAddPhotos = (files) => {
+    const room = MAX_PHOTOS_PER_REPORT - photos.length;
+    const added = [];
+    let message = null;
+
+    for (const file of files) {
+      try {
+        validateImage(file);
+      } catch (err) {
+        message = t('photoPicker.fileError', { file: file.name, error: formatError(err) });
+        continue;
+      }
+      if (added.length === room) {
+        message = t('reportForm.tooManyPhotos', { max: MAX_PHOTOS_PER_REPORT });
+        break;
+      }
+      added.push({ id: newId(), file, previewUrl: URL.createObjectURL(file), status: 'ready' });
+    }
+
+    setError(message);
+    setPhotos((current) => [...current, ...added]);
+  };
+
+  const handleRemovePhoto = (id) => {
+    setPhotos((current) => {
+      const removed = current.find((photo) => photo.id === id);
+      if (removed) URL.revokeObjectURL(removed.previewUrl);
+      return current.filter((photo) => photo.id !== id);
+    });
   };
 
+  const otherDrafts = savedDrafts.filter(({ draft: saved }) => saved.id !== draftId);
+
   return (
     <div className="max-w-2xl mx-auto p-4">
-      <h2 className="text-2xl font-bold mb-6">Report an Issue</h2>
+      <h2 className="text-2xl font-bold mb-6">{t('reportForm.title')}</h2>
       
       {success ? (
         <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4" role="alert">
-          <strong className="font-bold">Success! </strong>
-          <span className="block sm:inline">Your report has been submitted successfully. Report ID: {reportId}</span>
+          <strong className="font-bold">{t('reportForm.success')} </strong>
+          <span className="block sm:inline">
+            {t('reportForm.submitted')}{' '}
+            <Link to={reportPath(reportId)} className="font-medium underline">{t('reportForm.viewReport')}</Link>
+          </span>
+          {trackingCode && (
+            <span className="block mt-2">
+              {tElements('reportForm.trackingCode', {
+                code: <strong className="font-mono">{formatTrackingCode(trackingCode)}</strong>,
+                link: (
+                  <Link to={`${TRACK_PATH}?code=${trackingCode}`} className="font-medium underline">
+                    {t('reportForm.trackingLink')}
+                  </Link>
+                )
+              })}
+            </span>
+          )}
+        </div>
+      ) : null}
+
+      {supported ? (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4" role="alert">
+          <strong className="font-bold">{t('reportForm.thankYou')} </strong>
+          <span className="block sm:inline">
+            {tElements('reportForm.supported', {
+              report: <Link to={reportPath(supported.id)} className="font-medium underline">&ldquo;{supported.title}&rdquo;</Link>
+            })}
+          </span>
+        </div>
+      ) : null}
+
+      {queued ? (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded relative mb-4" role="status">
+          <strong className="font-bold">{t('reportForm.savedOffline')} </strong>
+          <span className="block sm:inline">{t('reportForm.savedOfflineDetail')}</span>
         </div>
       ) : null}
 
       {error ? (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">
-          <strong className="font-bold">Error! </strong>
-          <span className="block sm:inline">{error}</span>
+          <strong className="font-bold">{t('common.error')} </strong>
+          <span className="block sm:inline">{formatError(error)}</span>
         </div>
       ) : null}
 
+      {otherDrafts.length > 0 && (
+        <div className="bg-indigo-50 border border-indigo-200 rounded-md px-4 py-3 mb-6">
+          <h3 className="text-sm font-medium text-indigo-900">
+            {t('reportForm.draftsPrompt', { count: otherDrafts.length })}
+          </h3>
+          <ul className="mt-2 divide-y divide-indigo-100">
+            {otherDrafts.map(({ draft: saved, updatedAt }) => (
+              <li key={saved.id} className="py-2 flex items-center justify-between">
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-900 truncate">{saved.title.trim() || t('reportForm.untitled')}</p>
+                  <p className="text-xs text-gray-500">
+                    {t('reportForm.savedAt', { date: formatDateTime(updatedAt) })}
+                    {saved.photos.length > 0 && ` · ${t('common.photoCount', { count: saved.photos.length })}`}
+                  </p>
+                </div>
+                <div className="ms-4 flex-shrink-0 flex space-x-3">
+                  <button
+                    type="button"
+                    disabled={loading}
+                    onClick={() => handleResumeDraft(saved)}
+                    className="text-sm font-medium text-indigo-600 hover:text-indigo-500 disabled:opacity-50"
+                  >
+                    {t('common.continue')}
+                  </button>
+                  <button
+                    type="button"
+                    disabled={loading}
+                    onClick={() => handleDiscardDraft(saved.id)}
+                    className="text-sm font-medium text-red-600 hover:text-red-500 disabled:opacity-50"
+                  >
+                    {t('common.discard')}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         <div>
-          <label htmlFor="title" className="block text-sm font-medium text-gray-700">Title</label>
+          <label htmlFor="title" className="block text-sm font-medium text-gray-700">{t('reportForm.fieldTitle')}</label>
           <input
             type="text"
             id="title"
@@ -143,7 +411,7 @@ const ReportForm = () => {
         </div>
 
         <div>
-          <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
+          <label htmlFor="description" className="block text-sm font-medium text-gray-700">{t('reportForm.fieldDescription')}</label>
           <textarea
             id="description"
             rows={4}
@@ -155,7 +423,7 @@ const ReportForm = () => {
         </div>
 
         <div>
-          <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
+          <label htmlFor="category" className="block text-sm font-medium text-gray-700">{t('reportForm.fieldCategory')}</label>
           <select
             id="category"
             required
@@ -163,72 +431,69 @@ const ReportForm = () => {
             value={category}
             onChange={(e) => setCategory(e.target.value)}
           >
-            {categories.map((cat) => (
+            {REPORT_CATEGORIES.map((cat) => (
               <option key={cat.id} value={cat.id}>
-                {cat.icon} {cat.label}
+                {cat.icon} {formatCategory(cat.id)}
               </option>
             ))}
           </select>
         </div>
 
-        <div>
-          <label htmlFor="photo" className="block text-sm font-medium text-gray-700">Photo</label>
-          <input
-            type="file"
-            id="photo"
-            accept="image/*"
-            className="mt-1 block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
-            onChange={(e) => setPhoto(e.target.files[0])}
-          />
-        </div>
+        <PhotoPicker
+          photos={photos}
+          max={MAX_PHOTOS_PER_REPORT}
+          disabled={loading}
+          onAdd={handleAddPhotos}
+          onRemove={handleRemovePhoto}
+        />
 
-        <div>
-          <label htmlFor="address" className="block text-sm font-medium text-gray-700">Address</label>
-          <input
-            type="text"
-            id="address"
-            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-            placeholder="Enter address or it will be detected from your location"
-            value={address}
-            onChange={(e) => setAddress(e.target.value)}
-          />
-        </div>
+        <AddressInput
+          value={address}
+          onChange={handleAddressChange}
+          onSelect={handleAddressSelect}
+          disabled={loading}
+          busy={geocoding}
+        />
+
+        <LocationPicker value={location} onChange={handleLocationChange} disabled={loading} />
 
-        {location && (
-          <div className="h-64 rounded-lg overflow-hidden">
-            <MapContainer
-              center={[location.lat, location.lng]}
-              zoom={15}
-              style={{ height: '256px', width: '100%' }}
-              onclick={handleLocationSelect}
+        {!isDraftEmpty(draft) && !loading && (
+          <p className="text-sm text-gray-500">
+            {t('reportForm.draftSaved')}{' '}
+            <button
+              type="button"
+              onClick={() => handleDiscardDraft(draftId)}
+              className="font-medium text-red-600 hover:text-red-500"
             >
-              <TileLayer
-                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-              />
-              <Marker position={[location.lat, location.lng]}>
-                <Popup>
-                  Selected location
-                </Popup>
-              </Marker>
-            </MapContainer>
-          </div>
+              {t('reportForm.discardDraft')}
+            </button>
+          </p>
         )}
 
-        <div>
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-50 disabled:opacity-50"
-          >
-            {loading ? (
-              <>
-                <Loader className="loader-icon animate-spin -ml-1 mr-3 text-white" />
-                Submitting...
-              </>
-            ) : 'Submit Report'}
-          </button>
-        </div>
+        {nearbyReports && nearbyReports.length > 0 ? (
+          <NearbyReports
+            reports={nearbyReports}
+            busy={loading}
+            onSupport={handleSupport}
+            onSubmitAnyway={handleSubmitAnyway}
+            onBack={() => setNearbyReports(null)}
+          />
+        ) : (
+          <div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-50 disabled:opacity-50"
+            >
+              {loading ? (
+                <>
+                  <Loader className="loader-icon animate-spin -ms-1 me-3 text-white" />
+                  {t('reportForm.submitting')}
+                </>
+              ) : t('reportForm.submit')}
+            </button>
+          </div>
+        )}
       </form>
     </div>
   );
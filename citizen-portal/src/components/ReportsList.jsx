@@ -1,69 +1,84 @@
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../../../shared/supabase.js';
+import { Link } from 'react-router-dom';
+import { getCurrentUser } from '../../../shared/supabase.js';
+import { listMyReports, subscribeToReports, getReportImages } from '../../../shared/reports.js';
+import { listQueuedReports, subscribeToQueue, retryQueuedReport, discardQueuedReport } from '../../../shared/submissions.js';
+import { NEW_REPORT_PATH, reportPath } from '../paths.js';
+import NotificationToggle from './NotificationToggle.jsx';
+import EmailToggle from './EmailToggle.jsx';
+import PhotoGallery from '../../../shared/components/PhotoGallery.jsx';
+import StatusBadge from './StatusBadge.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Applies a realtime change to a report already in the list.
+const mergeUpdate = (report) => (prevReports) =>
+  prevReports.map((existing) =>
+    // Realtime rows carry no photos; keep the ones we already have
+    existing.id === report.id ? { ...existing, ...report } : existing
+  );
 
 const ReportsList = () => {
+  const { t, formatDate, formatDateTime, formatCategory, formatError } = useI18n();
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-
-  const statusColors = {
-    open: 'bg-yellow-100 text-yellow-800',
-    in_progress: 'bg-blue-100 text-blue-800',
-    resolved: 'bg-green-100 text-green-800',
-    closed: 'bg-gray-100 text-gray-800'
-  };
+  // Submissions waiting in the offline queue
+  const [queuedReports, setQueuedReports] = useState([]);
+  // Reports filed by someone else that the resident added their voice to
+  const [supportedIds, setSupportedIds] = useState([]);
+  const [userId, setUserId] = useState(null);
 
   useEffect(() => {
     fetchReports();
-    
-    // Subscribe to real-time updates
-    const channel = supabase
-      .channel('reports-changes')
-      .on(
-        'postgres_changes',
-        {
-          event: 'INSERT',
-          schema: 'public',
-          table: 'reports'
-        },
-        (payload) => {
-          setReports((prevReports) => [payload.new, ...prevReports]);
-        }
-      )
-      .on(
-        'postgres_changes',
-        {
-          event: 'UPDATE',
-          schema: 'public',
-          table: 'reports'
-        },
-        (payload) => {
-          setReports((prevReports) =>
-            prevReports.map((report) =>
-              report.id === payload.new.id ? payload.new : report
-            )
-          );
-        }
-      )
-      .subscribe();
+    getCurrentUser()
+      .then((user) => setUserId(user ? user.id : null))
+      .catch((err) => console.error('ReportsList: could not load the current user', err));
+  }, []);
 
-    return () => {
-      supabase.removeChannel(channel);
+  // Real-time updates for the resident's own reports, including new ones
+  useEffect(() => {
+    if (!userId) return undefined;
+    return subscribeToReports({
+      channel: 'my-reports',
+      filter: `user_id=eq.${userId}`,
+      onInsert: (report) => {
+        setReports((prevReports) =>
+          prevReports.some((existing) => existing.id === report.id) ? prevReports : [report, ...prevReports]
+        );
+      },
+      onUpdate: (report) => setReports(mergeUpdate(report))
+    });
+  }, [userId]);
+
+  // ...and for the ones they support, which are followed by id
+  const supportedKey = supportedIds.join(',');
+  useEffect(() => {
+    if (!supportedKey) return undefined;
+    return subscribeToReports({
+      channel: 'supported-reports',
+      filter: `id=in.(${supportedKey})`,
+      onUpdate: (report) => setReports(mergeUpdate(report))
+    });
+  }, [supportedKey]);
+
+  useEffect(() => {
+    const loadQueue = () => {
+      listQueuedReports()
+        .then(setQueuedReports)
+        .catch((err) => console.error('ReportsList: could not read the offline queue', err));
     };
+    loadQueue();
+    return subscribeToQueue(loadQueue);
   }, []);
 
   const fetchReports = async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
-        .from('reports')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setReports(data);
+      const mine = await listMyReports();
+      setReports(mine.reports);
+      setSupportedIds(mine.supportedIds);
     } catch (err) {
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -85,8 +100,8 @@ const ReportsList = () => {
   if (error) {
     return (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
-        <strong className="font-bold">Error! </strong>
-        <span className="block sm:inline">{error}</span>
+        <strong className="font-bold">{t('common.error')} </strong>
+        <span className="block sm:inline">{formatError(error)}</span>
       </div>
     );
   }
@@ -94,35 +109,81 @@ const ReportsList = () => {
   return (
     <div className="max-w-4xl mx-auto p-4">
       <div className="flex justify-between items-center mb-6">
-        <h2 className="text-2xl font-bold">My Reports</h2>
-        <button
-          onClick={handleRefresh}
-          className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-50"
-        >
-          <svg className="-ml-0.5 mr-2 h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-            <path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.01 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd" />
-          </svg>
-          Refresh
-        </button>
+        <h2 className="text-2xl font-bold">{t('reportsList.title')}</h2>
+        <div className="flex items-start space-x-3">
+          <EmailToggle />
+          <NotificationToggle />
+          <button
+            onClick={handleRefresh}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-50"
+          >
+            <svg className="-ms-0.5 me-2 h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.01 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd" />
+            </svg>
+            {t('reportsList.refresh')}
+          </button>
+        </div>
       </div>
 
-      {reports.length === 0 ? (
+      {queuedReports.length > 0 && (
+        <div className="mb-6 space-y-3">
+          {queuedReports.map(({ submission, queuedAt, lastError }) => (
+            <div key={submission.id} className="bg-white shadow sm:rounded-lg px-4 py-4 sm:px-6">
+              <div className="flex justify-between">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">{submission.title}</h3>
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${lastError ? 'bg-red-100 text-red-800' : 'bg-orange-100 text-orange-800'}`}>
+                  {lastError ? t('reportsList.uploadFailed') : t('reportsList.pendingUpload')}
+                </span>
+              </div>
+              <p className="mt-1 text-sm text-gray-500">
+                {formatCategory(submission.category)} · {t('reportsList.savedAt', { date: formatDateTime(queuedAt) })}
+                {submission.photos.length > 0 && ` · ${t('common.photoCount', { count: submission.photos.length })}`}
+              </p>
+              {lastError ? (
+                <div className="mt-2">
+                  <p className="text-sm text-red-600">{formatError(lastError)}</p>
+                  <div className="mt-2 flex space-x-3">
+                    <button
+                      type="button"
+                      onClick={() => retryQueuedReport(submission.id)}
+                      className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+                    >
+                      {t('common.retry')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => discardQueuedReport(submission.id)}
+                      className="text-sm font-medium text-red-600 hover:text-red-500"
+                    >
+                      {t('common.discard')}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className="mt-2 text-sm text-gray-500">{t('reportsList.willSend')}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {reports.length === 0 && queuedReports.length === 0 ? (
         <div className="text-center py-12">
           <svg className="mx-auto h-12 w-12 text-gray-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
           </svg>
-          <h3 className="mt-2 text-lg font-medium text-gray-900">No reports</h3>
-          <p className="mt-1 text-gray-500">Get started by submitting a new report.</p>
+          <h3 className="mt-2 text-lg font-medium text-gray-900">{t('reportsList.empty')}</h3>
+          <p className="mt-1 text-gray-500">{t('reportsList.emptyHint')}</p>
           <div className="mt-6">
-            <button
-              type="button"
+            <Link
+              to={NEW_REPORT_PATH}
               className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
             >
-              <svg className="-ml-1 mr-2 h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+              <svg className="-ms-1 me-2 h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 0 011-1z" clipRule="evenodd" />
               </svg>
-              New Report
-            </button>
+              {t('reportsList.newReport')}
+            </Link>
           </div>
         </div>
       ) : (
@@ -131,33 +192,45 @@ const ReportsList = () => {
             <div key={report.id} className="bg-white shadow overflow-hidden sm:rounded-lg">
               <div className="px-4 py-5 sm:px-6">
                 <div className="flex justify-between">
-                  <h3 className="text-lg leading-6 font-medium text-gray-900">{report.title}</h3>
-                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusColors[report.status] || statusColors.open}`}>
-                    {report.status.replace('_', ' ')}
-                  </span>
+                  <h3 className="text-lg leading-6 font-medium text-gray-900">
+                    <Link to={reportPath(report.id)} className="hover:text-indigo-600">{report.title}</Link>
+                  </h3>
+                  <StatusBadge status={report.status} />
                 </div>
-                <p className="mt-1 max-w-2xl text-sm text-gray-500">{report.category}</p>
+                <p className="mt-1 max-w-2xl text-sm text-gray-500">
+                  {formatCategory(report.category)}
+                  {supportedIds.includes(report.id) && ` · ${t('reportsList.youSupport')}`}
+                  {report.support_count > 0 && ` · ${t('reportsList.supporters', { count: report.support_count })}`}
+                </p>
               </div>
               <div className="border-t border-gray-200 px-4 py-5 sm:p-0">
                 <dl className="sm:divide-y sm:divide-gray-200">
                   <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Description</dt>
-                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{report.description || 'No description provided'}</dd>
+                    <dt className="text-sm font-medium text-gray-500">{t('reportsList.description')}</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{report.description || t('common.noDescription')}</dd>
                   </div>
                   <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Submitted</dt>
+                    <dt className="text-sm font-medium text-gray-500">{t('reportsList.submitted')}</dt>
                     <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {new Date(report.created_at).toLocaleDateString()}
+                      {formatDate(report.created_at)}
                     </dd>
                   </div>
-                  {report.image_url && (
+                  {getReportImages(report).length > 0 && (
                     <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                      <dt className="text-sm font-medium text-gray-500">Photo</dt>
+                      <dt className="text-sm font-medium text-gray-500">{t('reportsList.photos')}</dt>
                       <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                        <img src={report.image_url} alt="Report" className="h-20 w-auto rounded-md" />
+                        <PhotoGallery images={getReportImages(report)} />
                       </dd>
                     </div>
                   )}
+                  <div className="py-4 sm:py-5 sm:px-6">
+                    <Link
+                      to={reportPath(report.id)}
+                      className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+                    >
+                      {t('reportsList.viewDetails')}
+                    </Link>
+                  </div>
                 </dl>
               </div>
             </div>
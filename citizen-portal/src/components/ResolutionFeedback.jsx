@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Star, ThumbsUp, RotateCcw } from 'lucide-react';
+import { uploadImage } from '../../../shared/supabase.js';
+import { validateImage } from '../../../shared/images.js';
+import { newId } from '../../../shared/ids.js';
+import { getResolutionFeedback, confirmResolution, reopenReport, RATINGS, REOPEN_WINDOW_DAYS } from '../../../shared/feedback.js';
+import PhotoPicker from './PhotoPicker.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+const Stars = ({ rating }) => {
+  const { t } = useI18n();
+  return (
+    <span className="inline-flex" aria-label={t('resolutionFeedback.stars', { rating, max: RATINGS.length })}>
+      {RATINGS.map((value) => (
+        <Star key={value} className={`h-4 w-4 ${value <= rating ? 'text-yellow-400 fill-current' : 'text-gray-300'}`} />
+      ))}
+    </span>
+  );
+};
+
+// Asks the reporter of a resolved report whether it is really fixed: they
+// rate how it was handled and either confirm the fix or reopen the report
+// with a comment and a new photo. `onReopened` is called once the report is
+// back to open.
+const ResolutionFeedback = ({ report, onReopened }) => {
+  const { t, tElements, formatError } = useI18n();
+  const [state, setState] = useState(null);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [reopening, setReopening] = useState(false);
+  const [photos, setPhotos] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getResolutionFeedback(report)
+      .then((found) => {
+        if (!cancelled) setState(found);
+      })
+      .catch((err) => console.error('ResolutionFeedback: could not read the feedback', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [report]);
+
+  const photosRef = useRef(photos);
+  useEffect(() => {
+    photosRef.current = photos;
+  }, [photos]);
+  useEffect(() => () => {
+    photosRef.current.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+  }, []);
+
+  if (!state) return null;
+
+  if (state.feedback) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-md px-4 py-3 text-sm text-green-800">
+        {tElements('resolutionFeedback.thanks', { stars: <Stars rating={state.feedback.rating} /> })}
+        {state.feedback.comment && <p className="mt-1 text-gray-700 whitespace-pre-line">{state.feedback.comment}</p>}
+      </div>
+    );
+  }
+
+  const handleAddPhotos = (files) => {
+    const [file] = files;
+    if (!file) return;
+    try {
+      validateImage(file);
+    } catch (err) {
+      setError(t('photoPicker.fileError', { file: file.name, error: formatError(err) }));
+      return;
+    }
+    setError(null);
+    setPhotos([{ id: newId(), file, previewUrl: URL.createObjectURL(file), status: 'ready' }]);
+  };
+
+  const handleRemovePhoto = () => {
+    photos.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+    setPhotos([]);
+  };
+
+  const handleConfirm = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const feedback = await confirmResolution(report.id, { rating, comment });
+      setState((current) => ({ ...current, feedback }));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReopen = async (e) => {
+    e.preventDefault();
+    if (photos.length === 0) {
+      setError(t('resolutionFeedback.photoNeeded'));
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    const [photo] = photos;
+    try {
+      const uploaded = await uploadImage(photo.file, {
+        reportId: report.id,
+        onProgress: (status) => setPhotos([{ ...photo, status }])
+      });
+      await reopenReport(report.id, { rating, comment, photo: uploaded });
+      onReopened();
+    } catch (err) {
+      setPhotos([{ ...photo, status: 'error' }]);
+      setError(err);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-indigo-50 border border-indigo-200 rounded-md px-4 py-4 space-y-4">
+      <div>
+        <h3 className="text-sm font-medium text-indigo-900">{t('resolutionFeedback.title')}</h3>
+        <p className="text-sm text-gray-600">{t('resolutionFeedback.intro')}</p>
+      </div>
+
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700">{t('resolutionFeedback.ratingLabel')}</legend>
+        <div className="mt-1 flex items-center space-x-1">
+          {RATINGS.map((value) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setRating(value)}
+              disabled={busy}
+              aria-pressed={rating === value}
+              title={t(`resolutionFeedback.ratings.${value}`)}
+              className="p-1 disabled:opacity-50"
+            >
+              <Star className={`h-6 w-6 ${value <= rating ? 'text-yellow-400 fill-current' : 'text-gray-300'}`} />
+              <span className="sr-only">{t('resolutionFeedback.ratingOption', { rating: value, label: t(`resolutionFeedback.ratings.${value}`) })}</span>
+            </button>
+          ))}
+          {rating > 0 && <span className="ms-2 text-sm text-gray-600">{t(`resolutionFeedback.ratings.${rating}`)}</span>}
+        </div>
+      </fieldset>
+
+      <div>
+        <label htmlFor="feedback-comment" className="block text-sm font-medium text-gray-700">
+          {reopening ? t('resolutionFeedback.whatIsWrong') : t('resolutionFeedback.comment')}
+        </label>
+        <textarea
+          id="feedback-comment"
+          rows={3}
+          maxLength={2000}
+          required={reopening}
+          disabled={busy}
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+        />
+      </div>
+
+      {reopening ? (
+        <form onSubmit={handleReopen} className="space-y-4">
+          <PhotoPicker photos={photos} max={1} disabled={busy} onAdd={handleAddPhotos} onRemove={handleRemovePhoto} />
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={busy || rating === 0 || comment.trim() === ''}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+            >
+              <RotateCcw className="-ms-0.5 me-2 h-4 w-4" />
+              {busy ? t('resolutionFeedback.reopening') : t('resolutionFeedback.reopen')}
+            </button>
+            <button
+              type="button"
+              onClick={() => setReopening(false)}
+              disabled={busy}
+              className="text-sm font-medium text-gray-600 hover:text-gray-500 disabled:opacity-50"
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={busy || rating === 0}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+          >
+            <ThumbsUp className="-ms-0.5 me-2 h-4 w-4" />
+            {t('resolutionFeedback.confirm')}
+          </button>
+          {state.canReopen ? (
+            <button
+              type="button"
+              onClick={() => setReopening(true)}
+              disabled={busy}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50"
+            >
+              <RotateCcw className="-ms-0.5 me-2 h-4 w-4" />
+              {t('resolutionFeedback.stillBroken')}
+            </button>
+          ) : (
+            <span className="text-xs text-gray-500">{t('resolutionFeedback.tooLate', { count: REOPEN_WINDOW_DAYS })}</span>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{formatError(error)}</p>}
+    </div>
+  );
+};
+
+export default ResolutionFeedback;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+const STATUS_COLORS = {
+  open: 'bg-yellow-100 text-yellow-800',
+  in_progress: 'bg-blue-100 text-blue-800',
+  resolved: 'bg-green-100 text-green-800',
+  closed: 'bg-gray-100 text-gray-800',
+  withdrawn: 'bg-gray-100 text-gray-500'
+};
+
+const StatusBadge = ({ status }) => {
+  const { formatStatus } = useI18n();
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[status] || STATUS_COLORS.open}`}>
+      {formatStatus(status)}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Search } from 'lucide-react';
+import { trackReport, claimGuestReport, formatTrackingCode, REPORT_CATEGORIES } from '../../../shared/reports.js';
+import { HOME_PATH, reportPath } from '../paths.js';
+import StatusBadge from './StatusBadge.jsx';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Looks up a guest report by its tracking code, signed in or not:
+// /track?code=<code>, which is also where guests' emails link. Signed-in
+// residents can add the report to their account (`canClaim`).
+const TrackReport = ({ canClaim = false }) => {
+  const navigate = useNavigate();
+  const { t, formatDateTime, formatCategory, formatError } = useI18n();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const code = searchParams.get('code') || '';
+  const [input, setInput] = useState(formatTrackingCode(code));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [claiming, setClaiming] = useState(false);
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!code) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setNotFound(false);
+    setReport(null);
+
+    trackReport(code)
+      .then((found) => {
+        if (cancelled) return;
+        if (found) setReport(found);
+        else setNotFound(true);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSearchParams({ code: input.trim() });
+  };
+
+  const handleClaim = async () => {
+    setClaiming(true);
+    setError(null);
+    try {
+      const id = await claimGuestReport(code);
+      navigate(reportPath(id));
+    } catch (err) {
+      setError(err);
+      setClaiming(false);
+    }
+  };
+
+  const category = report && REPORT_CATEGORIES.find((cat) => cat.id === report.category);
+
+  return (
+    <div className="max-w-md mx-auto mt-12 space-y-6">
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-lg font-medium text-gray-900">{t('trackReport.title')}</h2>
+        <p className="mt-1 text-sm text-gray-600">{t('trackReport.intro')}</p>
+        <form onSubmit={handleSubmit} className="mt-4 flex space-x-2">
+          <label htmlFor="tracking-code" className="sr-only">{t('trackReport.code')}</label>
+          <input
+            id="tracking-code"
+            type="text"
+            required
+            autoComplete="off"
+            placeholder={t('trackReport.codePlaceholder')}
+            className="flex-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 font-mono uppercase focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Search className="-ms-1 me-2 h-4 w-4" />
+            {t('trackReport.submit')}
+          </button>
+        </form>
+        {notFound && <p className="mt-4 text-sm text-red-600">{t('trackReport.notFound')}</p>}
+        {error && <p className="mt-4 text-sm text-red-600">{formatError(error)}</p>}
+      </div>
+
+      {loading && <p className="text-center text-sm text-gray-600">{t('trackReport.loading')}</p>}
+
+      {report && (
+        <div className="bg-white shadow rounded-lg p-6 space-y-3">
+          <div className="flex justify-between items-start">
+            <h3 className="text-lg font-medium text-gray-900">{report.title}</h3>
+            <StatusBadge status={report.status} />
+          </div>
+          <p className="text-sm text-gray-500">
+            {category ? `${category.icon} ${formatCategory(report.category)}` : formatCategory(report.category)}
+            {` · ${t('reportDetail.submittedAt', { date: formatDateTime(report.created_at) })}`}
+            {` · ${t('trackReport.updatedAt', { date: formatDateTime(report.updated_at) })}`}
+          </p>
+          {report.resolution_notes && (
+            <p className="text-sm text-gray-900 whitespace-pre-line">{report.resolution_notes}</p>
+          )}
+          {canClaim && (
+            <div className="pt-3 border-t border-gray-200">
+              <p className="text-sm text-gray-600">{t('trackReport.claimHint')}</p>
+              <button
+                type="button"
+                onClick={handleClaim}
+                disabled={claiming}
+                className="mt-3 inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200 disabled:opacity-50"
+              >
+                {claiming ? t('trackReport.claiming') : t('trackReport.claim')}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <p className="text-center">
+        <Link to={HOME_PATH} className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+          {t('trackReport.home')}
+        </Link>
+      </p>
+    </div>
+  );
+};
+
+export default TrackReport;
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { unsubscribeFromEmails } from '../../../shared/profiles.js';
+import { HOME_PATH } from '../paths.js';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Where the unsubscribe link in report emails leads, signed in or not:
+// /unsubscribe?token=<token>. Emails can be turned back on from My Reports.
+const Unsubscribe = () => {
+  const { t, formatError } = useI18n();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [state, setState] = useState(token ? 'working' : 'invalid');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    let cancelled = false;
+
+    unsubscribeFromEmails(token)
+      .then((done) => {
+        if (!cancelled) setState(done ? 'done' : 'invalid');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err);
+        setState('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="max-w-md mx-auto mt-12 bg-white shadow rounded-lg p-6 text-center">
+      <h2 className="text-lg font-medium text-gray-900">{t('unsubscribe.title')}</h2>
+      {state === 'working' && <p className="mt-4 text-sm text-gray-600">{t('unsubscribe.working')}</p>}
+      {state === 'done' && <p className="mt-4 text-sm text-gray-600">{t('unsubscribe.done')}</p>}
+      {state === 'invalid' && <p className="mt-4 text-sm text-red-600">{t('unsubscribe.invalid')}</p>}
+      {state === 'error' && <p className="mt-4 text-sm text-red-600">{t('unsubscribe.failed', { error: formatError(error) })}</p>}
+      <Link to={HOME_PATH} className="mt-6 inline-block text-sm font-medium text-indigo-600 hover:text-indigo-500">
+        {t('trackReport.home')}
+      </Link>
+    </div>
+  );
+};
+
+export default Unsubscribe;
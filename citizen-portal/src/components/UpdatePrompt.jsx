@@ -0,0 +1,53 @@
+import React from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { useI18n } from '../../../shared/i18n/react.js';
+
+// Tells the resident when a new version of the app has been downloaded and
+// lets them choose when to switch to it, so a form being filled in is never
+// reloaded away. The service worker is registered with registerType 'prompt'
+// (see vite.config.js).
+const UpdatePrompt = () => {
+  const { t } = useI18n();
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisterError: (err) => console.error('Service worker registration failed', err)
+  });
+
+  if (!needRefresh && !offlineReady) return null;
+
+  const close = () => {
+    setNeedRefresh(false);
+    setOfflineReady(false);
+  };
+
+  return (
+    <div className="fixed bottom-4 end-4 z-[1000] max-w-sm bg-white shadow-lg rounded-lg border border-gray-200 p-4" role="status">
+      <p className="text-sm text-gray-900">
+        {needRefresh ? t('updatePrompt.available') : t('updatePrompt.offlineReady')}
+      </p>
+      <div className="mt-3 flex justify-end space-x-3">
+        {needRefresh && (
+          <button
+            type="button"
+            onClick={() => updateServiceWorker(true)}
+            className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            {t('updatePrompt.reload')}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={close}
+          className="px-3 py-1.5 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-200"
+        >
+          {needRefresh ? t('updatePrompt.later') : t('updatePrompt.dismiss')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -1,10 +1,17 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
+import { I18nProvider } from '../../shared/i18n/react.js'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {/* BASE_URL is /citizen/ in production (see vite.config.js) */}
+    <BrowserRouter basename={import.meta.env.BASE_URL}>
+      <I18nProvider>
+        <App />
+      </I18nProvider>
+    </BrowserRouter>
   </StrictMode>,
 )
@@ -0,0 +1,23 @@
+import { generatePath } from 'react-router-dom';
+
+// Routes of the citizen portal, relative to its base URL (/citizen/ in
+// production). Build links with these so deep links from notifications and
+// emails keep working when routes move.
+export const HOME_PATH = '/';
+export const NEW_REPORT_PATH = '/reports/new';
+// Route patterns for <Route path>; link to them with the functions below.
+export const REPORT_ROUTE = '/reports/:id';
+export const EDIT_REPORT_ROUTE = '/reports/:id/edit';
+export const reportPath = (id) => generatePath(REPORT_ROUTE, { id });
+export const editReportPath = (id) => generatePath(EDIT_REPORT_ROUTE, { id });
+export const NEARBY_PATH = '/nearby';
+export const MAP_PATH = '/map';
+export const UNSUBSCRIBE_PATH = '/unsubscribe';
+export const TRACK_PATH = '/track';
+export const RESET_PASSWORD_PATH = '/reset-password';
+export const ACCOUNT_PATH = '/account';
+
+// Full URL of a route, for links that leave the app, e.g. the ones in auth
+// emails.
+export const portalUrl = (path) =>
+  `${window.location.origin}${import.meta.env.BASE_URL}${path.replace(/^\//, '')}`;
@@ -0,0 +1,78 @@
+import { useState, useRef, useCallback } from 'react';
+import { reverseGeocode } from '../../shared/geocoding/index.js';
+
+// The pin and address fields of the report forms (ReportForm, EditReport),
+// wired to LocationPicker and AddressInput. Moving the pin looks up its
+// address, but an address the resident typed is never replaced by one looked
+// up for the pin. Refs, because the picker's first GPS fix may arrive much
+// later.
+const useAddressForPin = () => {
+  const [location, setLocation] = useState(null);
+  const [address, setAddress] = useState('');
+  // Looking up the address of the pin
+  const [geocoding, setGeocoding] = useState(false);
+  const addressTypedRef = useRef(false);
+  const geocodeRequestRef = useRef(0);
+
+  // Drops any lookup still running for the pin.
+  const cancelLookup = useCallback(() => {
+    geocodeRequestRef.current += 1;
+    setGeocoding(false);
+  }, []);
+
+  const fillAddress = async (place) => {
+    const request = ++geocodeRequestRef.current;
+    setGeocoding(true);
+    try {
+      const found = await reverseGeocode(place);
+      if (found && request === geocodeRequestRef.current && !addressTypedRef.current) {
+        setAddress(found.address);
+      }
+    } catch (err) {
+      console.warn('useAddressForPin: could not look up the address', err);
+    } finally {
+      if (request === geocodeRequestRef.current) setGeocoding(false);
+    }
+  };
+
+  const handleLocationChange = (next) => {
+    setLocation(next);
+    if (!addressTypedRef.current) fillAddress(next);
+  };
+
+  const handleAddressChange = (text) => {
+    addressTypedRef.current = text.trim() !== '';
+    cancelLookup();
+    setAddress(text);
+  };
+
+  // A suggestion moves the pin; moving the pin again updates the address.
+  const handleAddressSelect = (place) => {
+    addressTypedRef.current = false;
+    cancelLookup();
+    setAddress(place.address);
+    setLocation({ lat: place.lat, lng: place.lng, accuracy: null });
+  };
+
+  // Fills the fields from elsewhere, e.g. a saved draft or the stored report.
+  // Without a `location` the pin stays where it is. `typed`: treat the
+  // address as the resident's own, so moving the pin keeps it.
+  const setPlace = useCallback(({ address: nextAddress, location: nextLocation, typed = false }) => {
+    addressTypedRef.current = typed;
+    cancelLookup();
+    setAddress(nextAddress);
+    if (nextLocation) setLocation(nextLocation);
+  }, [cancelLookup]);
+
+  return {
+    location,
+    address,
+    geocoding,
+    handleLocationChange,
+    handleAddressChange,
+    handleAddressSelect,
+    setPlace
+  };
+};
+
+export default useAddressForPin;
@@ -1,60 +1,120 @@
-import { defineConfig } from 'vite'
+import { fileURLToPath } from 'node:url'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
+import { REST_CACHE, IMAGE_CACHE } from '../shared/runtimeCaches.js'
 
-// https://vite.dev/config/
-export default defineConfig({
-  plugins: [
-    react(),
-    VitePWA({
-      registerType: 'autoUpdate',
-      devOptions: {
-        enabled: true
-      },
-      manifest: {
-        name: 'Civic Issue Reporter',
-        short_name: 'CivicReporter',
-        description: 'Report civic issues in your community',
-        theme_color: '#ffffff',
-        icons: [
-          {
-            src: 'src/assets/logo.png',
-            sizes: '192x192',
-            type: 'image/png'
-          },
-          {
-            src: 'src/assets/logo.png',
-            sizes: '512x512',
-            type: 'image/png'
-          }
-        ]
-      },
-      workbox: {
-        globPatterns: ['**/*.{js,css,html,png,jpg,jpeg,svg}'],
-        runtimeCaching: [
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Runtime caching for Supabase traffic. Only GET requests are ever cached,
+// so writes always hit the network.
+// - REST reads: network first, falling back to the last response offline.
+// - Auth: never cached.
+// - Storage objects: cache first. Object paths are unique and never change
+//   (see uploadImage), so the signed URL's token is left out of the cache key.
+// Both caches are emptied on sign-out (shared/runtimeCaches.js).
+// Returns no rules when VITE_SUPABASE_URL is unset (e.g. VITE_BACKEND=local).
+const supabaseRuntimeCaching = (supabaseUrl) => {
+  if (!supabaseUrl) return []
+  const origin = escapeRegExp(new URL(supabaseUrl).origin)
+
+  return [
+    {
+      urlPattern: new RegExp(`^${origin}/auth/v1/`),
+      handler: 'NetworkOnly'
+    },
+    {
+      urlPattern: new RegExp(`^${origin}/rest/v1/`),
+      handler: 'NetworkFirst',
+      options: {
+        cacheName: REST_CACHE,
+        networkTimeoutSeconds: 5,
+        expiration: {
+          maxEntries: 100,
+          maxAgeSeconds: 60 * 60 * 24 // 24 hours
+        },
+        cacheableResponse: {
+          statuses: [200]
+        }
+      }
+    },
+    {
+      urlPattern: new RegExp(`^${origin}/storage/v1/object/`),
+      handler: 'CacheFirst',
+      options: {
+        cacheName: IMAGE_CACHE,
+        expiration: {
+          maxEntries: 200,
+          maxAgeSeconds: 60 * 60 * 24 * 30 // 30 days
+        },
+        cacheableResponse: {
+          statuses: [200]
+        },
+        plugins: [
           {
-            urlPattern: /^https:\/\/ymhbicqwpfxxoucuqrvd\.supabase\.co/,
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'supabase-cache',
-              expiration: {
-                maxEntries: 50,
-                maxAgeSeconds: 60 * 24 // 24 hours
-              },
-              cacheableResponse: {
-                statuses: [0, 200]
-              }
+            cacheKeyWillBeUsed: async ({ request }) => {
+              const url = new URL(request.url)
+              url.searchParams.delete('token')
+              return url.href
             }
           }
         ]
       }
-    })
-  ],
-  base: process.env.NODE_ENV === 'production' ? '/citizen/' : '/',
-  build: {
-    outDir: 'dist'
-  },
-  server: {
-    port: 5173
+    }
+  ]
+}
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, fileURLToPath(new URL('.', import.meta.url)))
+
+  return {
+    plugins: [
+      react(),
+      VitePWA({
+        // New versions wait for the resident to accept them (see UpdatePrompt.jsx)
+        registerType: 'prompt',
+        devOptions: {
+          enabled: true
+        },
+        manifest: {
+          name: 'Civic Issue Reporter',
+          short_name: 'CivicReporter',
+          description: 'Report civic issues in your community',
+          theme_color: '#ffffff',
+          icons: [
+            {
+              src: 'src/assets/logo.png',
+              sizes: '192x192',
+              type: 'image/png'
+            },
+            {
+              src: 'src/assets/logo.png',
+              sizes: '512x512',
+              type: 'image/png'
+            }
+          ]
+        },
+        workbox: {
+          globPatterns: ['**/*.{js,css,html,png,jpg,jpeg,svg}'],
+          // Relays Background Sync to the offline report queue, and shows
+          // push notifications
+          importScripts: ['sw-sync.js', 'sw-push.js'],
+          runtimeCaching: supabaseRuntimeCaching(env.VITE_SUPABASE_URL)
+        }
+      })
+    ],
+    base: mode === 'production' ? '/citizen/' : '/',
+    // Code in ../shared has no node_modules of its own for these; resolve them
+    // from this app so there is a single copy of React.
+    resolve: {
+      dedupe: ['react', 'react-dom', 'lucide-react']
+    },
+    build: {
+      outDir: 'dist'
+    },
+    server: {
+      port: 5173
+    }
   }
 })
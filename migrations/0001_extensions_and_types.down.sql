@@ -0,0 +1,7 @@
+-- PostGIS is left installed: other schemas on the database may use it.
+
+DROP FUNCTION IF EXISTS public.set_updated_at();
+
+DROP TYPE IF EXISTS public.report_priority;
+DROP TYPE IF EXISTS public.report_status;
+DROP TYPE IF EXISTS public.user_role;
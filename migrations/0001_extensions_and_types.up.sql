@@ -0,0 +1,17 @@
+-- Extensions, enum types and helpers shared by the rest of the schema.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+CREATE TYPE public.user_role AS ENUM ('citizen', 'staff', 'admin');
+CREATE TYPE public.report_status AS ENUM ('open', 'in_progress', 'resolved', 'closed');
+CREATE TYPE public.report_priority AS ENUM ('low', 'medium', 'high', 'urgent');
+
+CREATE FUNCTION public.set_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,8 @@
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+
+DROP TABLE IF EXISTS public.profiles;
+
+DROP FUNCTION IF EXISTS public.protect_profile_role();
+DROP FUNCTION IF EXISTS public.is_staff();
+DROP FUNCTION IF EXISTS public.current_user_role();
+DROP FUNCTION IF EXISTS public.handle_new_user();
@@ -0,0 +1,77 @@
+-- One profile per auth user, carrying the role used for authorisation.
+
+CREATE TABLE public.profiles (
+  id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT UNIQUE NOT NULL,
+  name TEXT,
+  role public.user_role NOT NULL DEFAULT 'citizen',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX profiles_role_idx ON public.profiles (role);
+
+CREATE TRIGGER profiles_set_updated_at
+  BEFORE UPDATE ON public.profiles
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Every new auth user gets a citizen profile. A role in the sign-up metadata
+-- is deliberately ignored: staff and admin roles are granted by an admin.
+CREATE FUNCTION public.handle_new_user()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.profiles (id, email, name)
+  VALUES (NEW.id, NEW.email, NEW.raw_user_meta_data ->> 'name');
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION public.handle_new_user();
+
+-- Role of the signed-in user, for use in policies. SECURITY DEFINER so that
+-- policies on profiles itself can call it without recursing.
+CREATE FUNCTION public.current_user_role()
+RETURNS public.user_role
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT role FROM public.profiles WHERE id = auth.uid()
+$$;
+
+CREATE FUNCTION public.is_staff()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(public.current_user_role() IN ('staff', 'admin'), false)
+$$;
+
+-- Users may edit their own profile but not promote themselves. Changes made
+-- outside a user session (SQL editor, service role) are not restricted.
+CREATE FUNCTION public.protect_profile_role()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.role IS DISTINCT FROM OLD.role
+     AND auth.uid() IS NOT NULL
+     AND public.current_user_role() IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can change roles' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER profiles_protect_role
+  BEFORE UPDATE OF role ON public.profiles
+  FOR EACH ROW EXECUTE FUNCTION public.protect_profile_role();
@@ -0,0 +1,16 @@
+-- Reference list of issue types. Keep in step with REPORT_CATEGORIES in
+-- shared/reports.js.
+
+CREATE TABLE public.report_categories (
+  id TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  icon TEXT,
+  color TEXT
+);
+
+INSERT INTO public.report_categories (id, label, icon, color) VALUES
+  ('pothole', 'Pothole', '🕳️', '#EF4444'),
+  ('streetlight', 'Street Light', '💡', '#F59E0B'),
+  ('garbage', 'Garbage', '🗑️', '#10B981'),
+  ('vandalism', 'Vandalism', '🎨', '#8B5CF6'),
+  ('other', 'Other', '📝', '#6B7280');
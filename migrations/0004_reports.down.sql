@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS public.reports;
+
+DROP FUNCTION IF EXISTS public.sync_report_location();
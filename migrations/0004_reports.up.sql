@@ -0,0 +1,51 @@
+-- Civic issue reports.
+
+CREATE TABLE public.reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  title TEXT NOT NULL CHECK (char_length(title) BETWEEN 1 AND 200),
+  description TEXT,
+  category TEXT NOT NULL REFERENCES public.report_categories(id),
+  status public.report_status NOT NULL DEFAULT 'open',
+  priority public.report_priority NOT NULL DEFAULT 'medium',
+  location GEOGRAPHY(POINT, 4326),
+  latitude DECIMAL(10, 8) CHECK (latitude BETWEEN -90 AND 90),
+  longitude DECIMAL(11, 8) CHECK (longitude BETWEEN -180 AND 180),
+  address TEXT,
+  -- Single photo of reports filed before report_images existed.
+  image_url TEXT,
+  assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX reports_location_idx ON public.reports USING GIST (location);
+CREATE INDEX reports_status_idx ON public.reports (status);
+CREATE INDEX reports_category_idx ON public.reports (category);
+CREATE INDEX reports_user_id_idx ON public.reports (user_id);
+CREATE INDEX reports_assigned_to_idx ON public.reports (assigned_to);
+CREATE INDEX reports_created_at_idx ON public.reports (created_at DESC);
+
+CREATE TRIGGER reports_set_updated_at
+  BEFORE UPDATE ON public.reports
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- latitude/longitude are the source of truth; keep the PostGIS point in step
+-- so radius queries work whichever columns a client wrote.
+CREATE FUNCTION public.sync_report_location()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.latitude IS NOT NULL AND NEW.longitude IS NOT NULL THEN
+    NEW.location = ST_SetSRID(ST_MakePoint(NEW.longitude, NEW.latitude), 4326)::geography;
+  ELSE
+    NEW.location = NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER reports_sync_location
+  BEFORE INSERT OR UPDATE OF latitude, longitude, location ON public.reports
+  FOR EACH ROW EXECUTE FUNCTION public.sync_report_location();
@@ -0,0 +1,15 @@
+-- Photos attached to a report, stored in the private report-images bucket.
+
+CREATE TABLE public.report_images (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID NOT NULL REFERENCES public.reports(id) ON DELETE CASCADE,
+  position SMALLINT NOT NULL DEFAULT 0 CHECK (position BETWEEN 0 AND 4),
+  path TEXT NOT NULL UNIQUE,
+  thumbnail_path TEXT UNIQUE,
+  -- Set by staff once a photo is safe to show beyond the reporter and staff.
+  is_public BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (report_id, position)
+);
+
+CREATE INDEX report_images_public_idx ON public.report_images (report_id) WHERE is_public;
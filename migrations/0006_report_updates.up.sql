@@ -0,0 +1,12 @@
+-- Comments on a report. Internal notes are only visible to staff.
+
+CREATE TABLE public.report_updates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID NOT NULL REFERENCES public.reports(id) ON DELETE CASCADE,
+  user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  message TEXT NOT NULL,
+  is_internal BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX report_updates_report_id_idx ON public.report_updates (report_id, created_at);
@@ -0,0 +1,24 @@
+DROP POLICY IF EXISTS "Staff and reporters can comment" ON public.report_updates;
+DROP POLICY IF EXISTS "Updates are readable by staff, and by the reporter unless internal" ON public.report_updates;
+
+DROP POLICY IF EXISTS "Staff can delete photos" ON public.report_images;
+DROP POLICY IF EXISTS "Staff can update photos" ON public.report_images;
+DROP POLICY IF EXISTS "Reporters can attach photos from their own folder" ON public.report_images;
+DROP POLICY IF EXISTS "Photos are readable by the reporter, staff, or everyone once public" ON public.report_images;
+
+DROP POLICY IF EXISTS "Admins can delete reports" ON public.reports;
+DROP POLICY IF EXISTS "Staff can update reports" ON public.reports;
+DROP POLICY IF EXISTS "Reporters and staff can read reports" ON public.reports;
+DROP POLICY IF EXISTS "Residents can file reports as themselves" ON public.reports;
+
+DROP POLICY IF EXISTS "Categories are readable by everyone" ON public.report_categories;
+
+DROP POLICY IF EXISTS "Admins can update any profile" ON public.profiles;
+DROP POLICY IF EXISTS "Users can update their own profile" ON public.profiles;
+DROP POLICY IF EXISTS "Profiles are readable by their owner and staff" ON public.profiles;
+
+ALTER TABLE public.report_updates DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.report_images DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reports DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.report_categories DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.profiles DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,112 @@
+-- Row-level security. Residents see and file their own reports; staff and
+-- admins see and manage everything.
+
+ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.report_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.report_images ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.report_updates ENABLE ROW LEVEL SECURITY;
+
+-- profiles
+
+CREATE POLICY "Profiles are readable by their owner and staff"
+  ON public.profiles FOR SELECT
+  USING (id = auth.uid() OR public.is_staff());
+
+CREATE POLICY "Users can update their own profile"
+  ON public.profiles FOR UPDATE TO authenticated
+  USING (id = auth.uid())
+  WITH CHECK (id = auth.uid());
+
+CREATE POLICY "Admins can update any profile"
+  ON public.profiles FOR UPDATE TO authenticated
+  USING (public.current_user_role() = 'admin')
+  WITH CHECK (public.current_user_role() = 'admin');
+
+-- report_categories
+
+CREATE POLICY "Categories are readable by everyone"
+  ON public.report_categories FOR SELECT
+  USING (true);
+
+-- reports
+
+CREATE POLICY "Residents can file reports as themselves"
+  ON public.reports FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Reporters and staff can read reports"
+  ON public.reports FOR SELECT
+  USING (user_id = auth.uid() OR public.is_staff());
+
+CREATE POLICY "Staff can update reports"
+  ON public.reports FOR UPDATE TO authenticated
+  USING (public.is_staff())
+  WITH CHECK (public.is_staff());
+
+CREATE POLICY "Admins can delete reports"
+  ON public.reports FOR DELETE TO authenticated
+  USING (public.current_user_role() = 'admin');
+
+-- report_images
+
+CREATE POLICY "Photos are readable by the reporter, staff, or everyone once public"
+  ON public.report_images FOR SELECT
+  USING (
+    is_public
+    OR public.is_staff()
+    OR EXISTS (
+      SELECT 1 FROM public.reports r
+      WHERE r.id = report_images.report_id AND r.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Reporters can attach photos from their own folder"
+  ON public.report_images FOR INSERT TO authenticated
+  WITH CHECK (
+    split_part(path, '/', 1) = auth.uid()::text
+    AND EXISTS (
+      SELECT 1 FROM public.reports r
+      WHERE r.id = report_images.report_id AND r.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Staff can update photos"
+  ON public.report_images FOR UPDATE TO authenticated
+  USING (public.is_staff())
+  WITH CHECK (public.is_staff());
+
+CREATE POLICY "Staff can delete photos"
+  ON public.report_images FOR DELETE TO authenticated
+  USING (public.is_staff());
+
+-- report_updates
+
+CREATE POLICY "Updates are readable by staff, and by the reporter unless internal"
+  ON public.report_updates FOR SELECT
+  USING (
+    public.is_staff()
+    OR (
+      NOT is_internal
+      AND EXISTS (
+        SELECT 1 FROM public.reports r
+        WHERE r.id = report_updates.report_id AND r.user_id = auth.uid()
+      )
+    )
+  );
+
+CREATE POLICY "Staff and reporters can comment"
+  ON public.report_updates FOR INSERT TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND (
+      public.is_staff()
+      OR (
+        NOT is_internal
+        AND EXISTS (
+          SELECT 1 FROM public.reports r
+          WHERE r.id = report_updates.report_id AND r.user_id = auth.uid()
+        )
+      )
+    )
+  );
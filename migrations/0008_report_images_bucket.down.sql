@@ -0,0 +1,5 @@
+-- The bucket itself is kept: it cannot be dropped while it holds photos.
+
+DROP POLICY IF EXISTS "Report photos are readable by the reporter, staff, or when public" ON storage.objects;
+DROP POLICY IF EXISTS "Users delete their own report photos" ON storage.objects;
+DROP POLICY IF EXISTS "Users upload report photos into their own folder" ON storage.objects;
@@ -0,0 +1,43 @@
+-- Private bucket for report photos. Objects live under
+-- <user id>/<report id>/ and are served through signed URLs.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('report-images', 'report-images', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+CREATE POLICY "Users upload report photos into their own folder"
+  ON storage.objects FOR INSERT TO authenticated
+  WITH CHECK (
+    bucket_id = 'report-images'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Users delete their own report photos"
+  ON storage.objects FOR DELETE TO authenticated
+  USING (
+    bucket_id = 'report-images'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+-- Reading (and so signing a URL) is allowed for the uploader, staff, photos
+-- staff have made public, and the reporter's own pre-migration photos, which
+-- sit at the bucket root and are referenced by reports.image_url.
+CREATE POLICY "Report photos are readable by the reporter, staff, or when public"
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'report-images'
+    AND (
+      (storage.foldername(name))[1] = auth.uid()::text
+      OR public.is_staff()
+      OR EXISTS (
+        SELECT 1 FROM public.report_images i
+        WHERE i.is_public
+          AND (i.path = storage.objects.name OR i.thumbnail_path = storage.objects.name)
+      )
+      OR EXISTS (
+        SELECT 1 FROM public.reports r
+        WHERE r.user_id = auth.uid()
+          AND r.image_url LIKE '%/report-images/' || storage.objects.name
+      )
+    )
+  );
@@ -0,0 +1,10 @@
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'reports'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime DROP TABLE public.reports;
+  END IF;
+END;
+$$;
@@ -0,0 +1,9 @@
+-- Stream report changes to the apps. The publication only exists on Supabase.
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.reports;
+  END IF;
+END;
+$$;
@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS reports_enforce_status_workflow ON public.reports;
+DROP FUNCTION IF EXISTS public.enforce_report_status_workflow();
+DROP TABLE IF EXISTS public.report_status_transitions;
+ALTER TABLE public.reports DROP COLUMN IF EXISTS resolution_notes;
@@ -0,0 +1,86 @@
+-- Report status workflow. The allowed transitions, the roles that may make
+-- them and the fields they need mirror shared/workflow.js; keep the two in
+-- step.
+
+ALTER TABLE public.reports ADD COLUMN resolution_notes TEXT;
+
+CREATE TABLE public.report_status_transitions (
+  from_status public.report_status NOT NULL,
+  to_status public.report_status NOT NULL,
+  roles public.user_role[] NOT NULL,
+  required_fields TEXT[] NOT NULL DEFAULT '{}',
+  PRIMARY KEY (from_status, to_status),
+  CHECK (from_status <> to_status)
+);
+
+INSERT INTO public.report_status_transitions (from_status, to_status, roles, required_fields) VALUES
+  ('open', 'in_progress', '{staff,admin}', '{}'),
+  ('open', 'resolved', '{staff,admin}', '{resolution_notes}'),
+  ('open', 'closed', '{staff,admin}', '{resolution_notes}'),
+  ('in_progress', 'open', '{staff,admin}', '{}'),
+  ('in_progress', 'resolved', '{staff,admin}', '{resolution_notes}'),
+  ('in_progress', 'closed', '{staff,admin}', '{resolution_notes}'),
+  ('resolved', 'in_progress', '{staff,admin}', '{}'),
+  ('resolved', 'closed', '{staff,admin}', '{}'),
+  ('closed', 'in_progress', '{admin}', '{}');
+
+ALTER TABLE public.report_status_transitions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Status transitions are readable by everyone"
+  ON public.report_status_transitions FOR SELECT
+  USING (true);
+
+-- New reports start open. Status changes must follow a declared transition
+-- and fill in its required fields. The role check only applies to user
+-- sessions; the SQL editor and the service role are trusted, but still
+-- cannot skip the workflow.
+CREATE FUNCTION public.enforce_report_status_workflow()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  transition public.report_status_transitions;
+  field TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.status <> 'open' AND auth.uid() IS NOT NULL THEN
+      RAISE EXCEPTION 'New reports must start as open' USING ERRCODE = '23514';
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO transition
+  FROM public.report_status_transitions
+  WHERE from_status = OLD.status AND to_status = NEW.status;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'A report cannot move from % to %', OLD.status, NEW.status
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF auth.uid() IS NOT NULL
+     AND NOT COALESCE(public.current_user_role() = ANY (transition.roles), false) THEN
+    RAISE EXCEPTION 'You do not have permission to move a report from % to %', OLD.status, NEW.status
+      USING ERRCODE = '42501';
+  END IF;
+
+  FOREACH field IN ARRAY transition.required_fields LOOP
+    IF NULLIF(btrim(to_jsonb(NEW) ->> field), '') IS NULL THEN
+      RAISE EXCEPTION '% is required to move a report to %', field, NEW.status
+        USING ERRCODE = '23514';
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER reports_enforce_status_workflow
+  BEFORE INSERT OR UPDATE OF status ON public.reports
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_report_status_workflow();
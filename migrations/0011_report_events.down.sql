@@ -0,0 +1,17 @@
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'report_events'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime DROP TABLE public.report_events;
+  END IF;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS report_updates_log_event ON public.report_updates;
+DROP FUNCTION IF EXISTS public.log_report_comment();
+DROP TRIGGER IF EXISTS reports_log_event ON public.reports;
+DROP FUNCTION IF EXISTS public.log_report_event();
+DROP TABLE IF EXISTS public.report_events;
+DROP TYPE IF EXISTS public.report_event_type;
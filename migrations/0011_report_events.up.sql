@@ -0,0 +1,129 @@
+-- Append-only history of each report: creation, status changes, assignment,
+-- comments and edits. Rows are written by triggers only, so the log cannot
+-- be forged or rewritten from the apps.
+
+CREATE TYPE public.report_event_type AS ENUM ('created', 'status_changed', 'assigned', 'commented', 'edited');
+
+CREATE TABLE public.report_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID NOT NULL REFERENCES public.reports(id) ON DELETE CASCADE,
+  actor_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  type public.report_event_type NOT NULL,
+  from_status public.report_status,
+  to_status public.report_status,
+  -- Event details: changed fields, assignee, comment text, resolution note.
+  data JSONB NOT NULL DEFAULT '{}',
+  -- Staff-only events (internal comments, priority changes).
+  is_internal BOOLEAN NOT NULL DEFAULT FALSE,
+  -- clock_timestamp() keeps events from one transaction in order.
+  created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX report_events_report_id_idx ON public.report_events (report_id, created_at);
+CREATE INDEX report_events_type_idx ON public.report_events (type, created_at);
+
+ALTER TABLE public.report_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Events are readable by staff, and by the reporter unless internal"
+  ON public.report_events FOR SELECT
+  USING (
+    public.is_staff()
+    OR (
+      NOT is_internal
+      AND EXISTS (
+        SELECT 1 FROM public.reports r
+        WHERE r.id = report_events.report_id AND r.user_id = auth.uid()
+      )
+    )
+  );
+
+-- Logs creation, status changes, assignment and edits of a report. An edit
+-- that only touches staff-facing fields (priority) is internal.
+CREATE FUNCTION public.log_report_event()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  edited TEXT[] := '{}';
+  public_fields CONSTANT TEXT[] := ARRAY['title', 'description', 'category', 'address', 'latitude', 'longitude'];
+  internal_fields CONSTANT TEXT[] := ARRAY['priority'];
+  field TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO public.report_events (report_id, actor_id, type, to_status, created_at)
+    VALUES (NEW.id, COALESCE(auth.uid(), NEW.user_id), 'created', NEW.status, NEW.created_at);
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO public.report_events (report_id, type, from_status, to_status, data)
+    VALUES (
+      NEW.id, 'status_changed', OLD.status, NEW.status,
+      jsonb_strip_nulls(jsonb_build_object('resolution_notes', NEW.resolution_notes))
+    );
+  END IF;
+
+  IF NEW.assigned_to IS DISTINCT FROM OLD.assigned_to THEN
+    INSERT INTO public.report_events (report_id, type, data)
+    VALUES (NEW.id, 'assigned', jsonb_build_object('assigned_to', NEW.assigned_to));
+  END IF;
+
+  FOREACH field IN ARRAY public_fields || internal_fields LOOP
+    IF (to_jsonb(NEW) -> field) IS DISTINCT FROM (to_jsonb(OLD) -> field) THEN
+      edited := edited || field;
+    END IF;
+  END LOOP;
+
+  IF cardinality(edited) > 0 THEN
+    INSERT INTO public.report_events (report_id, type, data, is_internal)
+    VALUES (NEW.id, 'edited', jsonb_build_object('fields', to_jsonb(edited)), edited <@ internal_fields);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER reports_log_event
+  AFTER INSERT OR UPDATE ON public.reports
+  FOR EACH ROW EXECUTE FUNCTION public.log_report_event();
+
+CREATE FUNCTION public.log_report_comment()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.report_events (report_id, actor_id, type, data, is_internal, created_at)
+  VALUES (
+    NEW.report_id, NEW.user_id, 'commented',
+    jsonb_build_object('update_id', NEW.id, 'message', NEW.message),
+    NEW.is_internal, NEW.created_at
+  );
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER report_updates_log_event
+  AFTER INSERT ON public.report_updates
+  FOR EACH ROW EXECUTE FUNCTION public.log_report_comment();
+
+-- Existing reports get a 'created' event, plus a status change at their last
+-- update for those no longer open. The latter is a best guess and marked so.
+INSERT INTO public.report_events (report_id, actor_id, type, to_status, created_at)
+SELECT id, user_id, 'created', 'open', created_at FROM public.reports;
+
+INSERT INTO public.report_events (report_id, actor_id, type, from_status, to_status, data, created_at)
+SELECT id, NULL, 'status_changed', 'open', status, '{"backfilled": true}', updated_at
+FROM public.reports
+WHERE status <> 'open';
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.report_events;
+  END IF;
+END;
+$$;
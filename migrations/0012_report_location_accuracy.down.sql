@@ -0,0 +1 @@
+ALTER TABLE public.reports DROP COLUMN IF EXISTS location_accuracy;
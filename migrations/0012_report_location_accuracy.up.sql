@@ -0,0 +1,6 @@
+-- How precisely the reporter's device knew the position, in metres (the
+-- radius of the accuracy circle shown while picking). NULL when the pin was
+-- placed or moved by hand.
+
+ALTER TABLE public.reports
+  ADD COLUMN location_accuracy DOUBLE PRECISION CHECK (location_accuracy >= 0);
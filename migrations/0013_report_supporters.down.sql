@@ -0,0 +1,27 @@
+DROP FUNCTION IF EXISTS public.withdraw_support(UUID);
+DROP FUNCTION IF EXISTS public.support_report(UUID);
+DROP FUNCTION IF EXISTS public.find_nearby_reports(DOUBLE PRECISION, DOUBLE PRECISION, TEXT);
+
+DROP POLICY IF EXISTS "Events are readable by staff, and by the reporter and supporters unless internal" ON public.report_events;
+
+CREATE POLICY "Events are readable by staff, and by the reporter unless internal"
+  ON public.report_events FOR SELECT
+  USING (
+    public.is_staff()
+    OR (
+      NOT is_internal
+      AND EXISTS (
+        SELECT 1 FROM public.reports r
+        WHERE r.id = report_events.report_id AND r.user_id = auth.uid()
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS "Reporters, supporters and staff can read reports" ON public.reports;
+
+CREATE POLICY "Reporters and staff can read reports"
+  ON public.reports FOR SELECT
+  USING (user_id = auth.uid() OR public.is_staff());
+
+DROP TABLE IF EXISTS public.report_supporters;
+ALTER TABLE public.reports DROP COLUMN IF EXISTS support_count;
@@ -0,0 +1,211 @@
+-- Residents who "add their voice" to an existing report instead of filing a
+-- duplicate. Supporters can follow the report like its reporter; staff see
+-- the count on each report. Residents cannot read other people's reports, so
+-- finding nearby reports and supporting one go through the SECURITY DEFINER
+-- functions below, which only expose what the resident needs.
+
+ALTER TABLE public.reports
+  ADD COLUMN support_count INTEGER NOT NULL DEFAULT 0 CHECK (support_count >= 0);
+
+CREATE TABLE public.report_supporters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID NOT NULL REFERENCES public.reports(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (report_id, user_id)
+);
+
+CREATE INDEX report_supporters_user_id_idx ON public.report_supporters (user_id);
+
+ALTER TABLE public.report_supporters ENABLE ROW LEVEL SECURITY;
+
+-- Written only by support_report() and withdraw_support().
+CREATE POLICY "Supporters are readable by the supporter and staff"
+  ON public.report_supporters FOR SELECT
+  USING (user_id = auth.uid() OR public.is_staff());
+
+-- Supporters follow the report: they can read it and its public history.
+DROP POLICY "Reporters and staff can read reports" ON public.reports;
+
+CREATE POLICY "Reporters, supporters and staff can read reports"
+  ON public.reports FOR SELECT
+  USING (
+    user_id = auth.uid()
+    OR public.is_staff()
+    OR EXISTS (
+      SELECT 1 FROM public.report_supporters s
+      WHERE s.report_id = reports.id AND s.user_id = auth.uid()
+    )
+  );
+
+DROP POLICY "Events are readable by staff, and by the reporter unless internal" ON public.report_events;
+
+CREATE POLICY "Events are readable by staff, and by the reporter and supporters unless internal"
+  ON public.report_events FOR SELECT
+  USING (
+    public.is_staff()
+    OR (
+      NOT is_internal
+      AND EXISTS (
+        SELECT 1 FROM public.reports r
+        WHERE r.id = report_events.report_id
+          AND (
+            r.user_id = auth.uid()
+            OR EXISTS (
+              SELECT 1 FROM public.report_supporters s
+              WHERE s.report_id = r.id AND s.user_id = auth.uid()
+            )
+          )
+      )
+    )
+  );
+
+-- Unresolved reports of a category near a point, nearest first, so a
+-- resident can spot a duplicate before filing. Every signed-in user can call
+-- this, so it shares only what is needed to recognise the issue: no
+-- description, address or reporter, and locations snapped to the centre of a
+-- grid cell about 150 m across. Distances are measured from that centre and
+-- the radius is the server's (the app.duplicate_radius_m setting, 150 m unless
+-- set with ALTER DATABASE ... SET), so calling from other points cannot narrow
+-- a report down to less than its cell. Photos are read separately and limited
+-- by their own policies.
+CREATE FUNCTION public.find_nearby_reports(
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  category_id TEXT
+)
+RETURNS TABLE (
+  id UUID,
+  title TEXT,
+  category TEXT,
+  status public.report_status,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  created_at TIMESTAMPTZ,
+  support_count INTEGER,
+  distance_m DOUBLE PRECISION,
+  is_own BOOLEAN,
+  is_supported BOOLEAN
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH settings AS (
+    SELECT COALESCE(NULLIF(current_setting('app.duplicate_radius_m', true), '')::DOUBLE PRECISION, 150) AS radius
+  ),
+  candidates AS (
+    SELECT
+      r.*,
+      -- 0.00135 degrees of latitude is about 150 m
+      (FLOOR(r.latitude::DOUBLE PRECISION / 0.00135) + 0.5) * 0.00135 AS cell_lat
+    FROM public.reports r, settings
+    WHERE auth.uid() IS NOT NULL
+      AND r.category = category_id
+      AND r.status IN ('open', 'in_progress')
+      AND r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+      -- A report is never more than ~110 m from the centre of its cell
+      AND ST_DWithin(r.location, ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography, settings.radius + 150)
+  ),
+  cells AS (
+    SELECT
+      c.*,
+      (FLOOR(c.longitude::DOUBLE PRECISION / (0.00135 / COS(RADIANS(c.cell_lat)))) + 0.5) * (0.00135 / COS(RADIANS(c.cell_lat))) AS cell_lng
+    FROM candidates c
+  ),
+  measured AS (
+    SELECT
+      c.*,
+      ST_Distance(
+        ST_SetSRID(ST_MakePoint(c.cell_lng, c.cell_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography
+      ) AS distance
+    FROM cells c
+  )
+  SELECT
+    m.id, m.title, m.category, m.status, m.cell_lat, m.cell_lng, m.created_at, m.support_count,
+    ROUND(m.distance / 10) * 10,
+    m.user_id = auth.uid(),
+    EXISTS (
+      SELECT 1 FROM public.report_supporters s
+      WHERE s.report_id = m.id AND s.user_id = auth.uid()
+    )
+  FROM measured m, settings
+  WHERE m.distance <= settings.radius
+  ORDER BY m.distance
+  LIMIT 10
+$$;
+
+-- Adds the signed-in user as a supporter of an unresolved report filed by
+-- someone else. Supporting twice is a no-op. Returns the new support count.
+CREATE FUNCTION public.support_report(report_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  report public.reports;
+  added INTEGER;
+  new_count INTEGER;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'You must be signed in to support a report' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO report FROM public.reports r WHERE r.id = support_report.report_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Report not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF report.user_id = auth.uid() THEN
+    RAISE EXCEPTION 'You filed this report yourself' USING ERRCODE = '23514';
+  END IF;
+  IF report.status NOT IN ('open', 'in_progress') THEN
+    RAISE EXCEPTION 'This report has already been dealt with' USING ERRCODE = '23514';
+  END IF;
+
+  INSERT INTO public.report_supporters (report_id, user_id)
+  VALUES (report.id, auth.uid())
+  ON CONFLICT DO NOTHING;
+  GET DIAGNOSTICS added = ROW_COUNT;
+
+  IF added = 0 THEN
+    RETURN report.support_count;
+  END IF;
+
+  UPDATE public.reports r SET support_count = r.support_count + 1
+  WHERE r.id = report.id
+  RETURNING r.support_count INTO new_count;
+  RETURN new_count;
+END;
+$$;
+
+-- Removes the signed-in user's support. Returns the new support count.
+CREATE FUNCTION public.withdraw_support(report_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  removed INTEGER;
+  remaining INTEGER;
+BEGIN
+  DELETE FROM public.report_supporters s
+  WHERE s.report_id = withdraw_support.report_id AND s.user_id = auth.uid();
+  GET DIAGNOSTICS removed = ROW_COUNT;
+
+  UPDATE public.reports r SET support_count = GREATEST(r.support_count - removed, 0)
+  WHERE r.id = withdraw_support.report_id
+  RETURNING r.support_count INTO remaining;
+  RETURN COALESCE(remaining, 0);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_nearby_reports(DOUBLE PRECISION, DOUBLE PRECISION, TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.support_report(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.withdraw_support(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.find_nearby_reports(DOUBLE PRECISION, DOUBLE PRECISION, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.support_report(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.withdraw_support(UUID) TO authenticated;
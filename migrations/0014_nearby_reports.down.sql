@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS public.list_nearby_issues(DOUBLE PRECISION, DOUBLE PRECISION, INTEGER);
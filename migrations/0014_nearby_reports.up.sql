@@ -0,0 +1,76 @@
+-- The citizen portal's Nearby tab: unresolved reports of any category around
+-- the resident, nearest first, at most `max_results` (up to 100) of them.
+-- Like find_nearby_reports (0013_report_supporters) it shares only what is
+-- needed to recognise an issue, snaps locations to the centre of a grid cell
+-- about 150 m across and measures distances from that centre. The radius is
+-- the server's (the app.nearby_radius_m setting, 2 km unless set with ALTER
+-- DATABASE ... SET), not the caller's.
+CREATE FUNCTION public.list_nearby_issues(
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  max_results INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  title TEXT,
+  category TEXT,
+  status public.report_status,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  created_at TIMESTAMPTZ,
+  support_count INTEGER,
+  distance_m DOUBLE PRECISION,
+  is_own BOOLEAN,
+  is_supported BOOLEAN
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH settings AS (
+    SELECT COALESCE(NULLIF(current_setting('app.nearby_radius_m', true), '')::DOUBLE PRECISION, 2000) AS radius
+  ),
+  candidates AS (
+    SELECT
+      r.*,
+      -- 0.00135 degrees of latitude is about 150 m
+      (FLOOR(r.latitude::DOUBLE PRECISION / 0.00135) + 0.5) * 0.00135 AS cell_lat
+    FROM public.reports r, settings
+    WHERE auth.uid() IS NOT NULL
+      AND r.status IN ('open', 'in_progress')
+      AND r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+      -- A report is never more than ~110 m from the centre of its cell
+      AND ST_DWithin(r.location, ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography, settings.radius + 150)
+  ),
+  cells AS (
+    SELECT
+      c.*,
+      (FLOOR(c.longitude::DOUBLE PRECISION / (0.00135 / COS(RADIANS(c.cell_lat)))) + 0.5) * (0.00135 / COS(RADIANS(c.cell_lat))) AS cell_lng
+    FROM candidates c
+  ),
+  measured AS (
+    SELECT
+      c.*,
+      ST_Distance(
+        ST_SetSRID(ST_MakePoint(c.cell_lng, c.cell_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography
+      ) AS distance
+    FROM cells c
+  )
+  SELECT
+    m.id, m.title, m.category, m.status, m.cell_lat, m.cell_lng, m.created_at, m.support_count,
+    ROUND(m.distance / 10) * 10,
+    m.user_id = auth.uid(),
+    EXISTS (
+      SELECT 1 FROM public.report_supporters s
+      WHERE s.report_id = m.id AND s.user_id = auth.uid()
+    )
+  FROM measured m, settings
+  WHERE m.distance <= settings.radius
+  ORDER BY m.distance
+  LIMIT LEAST(GREATEST(max_results, 1), 100)
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.list_nearby_issues(DOUBLE PRECISION, DOUBLE PRECISION, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.list_nearby_issues(DOUBLE PRECISION, DOUBLE PRECISION, INTEGER) TO authenticated;
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS public.public_issue_map(INTEGER);
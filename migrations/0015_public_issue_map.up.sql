@@ -0,0 +1,57 @@
+-- The community issue map in the citizen portal: open reports and those
+-- resolved recently, readable by everyone, signed in or not. Only the title,
+-- category, status, dates and support count are shared; descriptions,
+-- addresses, photos and reporters are not, and locations are snapped to the
+-- centre of a grid cell about 150 m across so a report cannot be traced to
+-- a doorstep. Snapping (rather than random jitter) gives the same answer
+-- every time, so it cannot be averaged away.
+
+CREATE FUNCTION public.public_issue_map(
+  resolved_within_days INTEGER DEFAULT 30
+)
+RETURNS TABLE (
+  id UUID,
+  title TEXT,
+  category TEXT,
+  status public.report_status,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  created_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  support_count INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH issues AS (
+    SELECT
+      r.*,
+      (
+        SELECT MAX(e.created_at) FROM public.report_events e
+        WHERE e.report_id = r.id AND e.to_status = 'resolved'
+      ) AS resolved_at,
+      -- 0.00135 degrees of latitude is about 150 m
+      (FLOOR(r.latitude::DOUBLE PRECISION / 0.00135) + 0.5) * 0.00135 AS cell_lat
+    FROM public.reports r
+    WHERE r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+  )
+  SELECT
+    i.id, i.title, i.category, i.status,
+    i.cell_lat,
+    (FLOOR(i.longitude::DOUBLE PRECISION / (0.00135 / COS(RADIANS(i.cell_lat)))) + 0.5) * (0.00135 / COS(RADIANS(i.cell_lat))),
+    i.created_at, i.resolved_at, i.support_count
+  FROM issues i
+  WHERE i.status IN ('open', 'in_progress')
+    -- Closed without being resolved means dismissed, which is not shown
+    OR (
+      i.status IN ('resolved', 'closed')
+      AND i.resolved_at >= NOW() - MAKE_INTERVAL(days => LEAST(GREATEST(resolved_within_days, 0), 365))
+    )
+  ORDER BY i.created_at DESC
+  LIMIT 1000
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.public_issue_map(INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.public_issue_map(INTEGER) TO anon, authenticated;
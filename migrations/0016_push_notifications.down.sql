@@ -0,0 +1,6 @@
+DROP TRIGGER IF EXISTS report_events_queue_notifications ON public.report_events;
+DROP FUNCTION IF EXISTS public.queue_report_notifications();
+DROP FUNCTION IF EXISTS public.save_push_subscription(TEXT, TEXT, TEXT, TEXT);
+DROP TABLE IF EXISTS public.notifications;
+DROP TABLE IF EXISTS public.push_subscriptions;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS locale;
@@ -0,0 +1,160 @@
+-- Web Push for residents. `push_subscriptions` holds the browsers a resident
+-- turned notifications on in; `notifications` is the queue of messages for
+-- them, filled when staff change a report's status or reply to it, and
+-- delivered by scripts/send-notifications.js in each resident's language.
+
+-- Language the user last used the apps in (a code from shared/i18n), kept up
+-- to date by the apps, so messages sent to them outside the apps are written
+-- in it too. NULL until they first sign in; senders then use English.
+ALTER TABLE public.profiles
+  ADD COLUMN locale TEXT;
+
+CREATE TABLE public.push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- From PushSubscription.toJSON(): the push service URL and the browser's
+  -- encryption keys.
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth_secret TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX push_subscriptions_user_id_idx ON public.push_subscriptions (user_id);
+
+ALTER TABLE public.push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- Written through save_push_subscription(), since a browser shared by two
+-- residents keeps one endpoint that has to move between their accounts.
+CREATE POLICY "Users can read their own push subscriptions"
+  ON public.push_subscriptions FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their own push subscriptions"
+  ON public.push_subscriptions FOR DELETE
+  USING (user_id = auth.uid());
+
+CREATE TABLE public.notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  report_id UUID NOT NULL REFERENCES public.reports(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES public.report_events(id) ON DELETE CASCADE,
+  -- 'status_changed' or 'reply'; the sender turns it and `data` into the
+  -- message's text in the recipient's language
+  template TEXT NOT NULL,
+  -- Values for the message, captured when the event happened
+  data JSONB NOT NULL DEFAULT '{}',
+  -- Route in the citizen portal, relative to its base URL
+  url TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Set once every subscription of the recipient was tried, or when there
+  -- were none; failed deliveries are retried a few times first.
+  push_sent_at TIMESTAMPTZ,
+  push_attempts INTEGER NOT NULL DEFAULT 0,
+  push_error TEXT,
+  UNIQUE (event_id, user_id)
+);
+
+CREATE INDEX notifications_user_id_idx ON public.notifications (user_id, created_at);
+CREATE INDEX notifications_push_pending_idx ON public.notifications (created_at) WHERE push_sent_at IS NULL;
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+-- Written by queue_report_notifications() and the sender only.
+CREATE POLICY "Users can read their own notifications"
+  ON public.notifications FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Subscribes the signed-in user's browser, taking the endpoint over from
+-- whoever had it before.
+CREATE FUNCTION public.save_push_subscription(
+  endpoint TEXT,
+  p256dh TEXT,
+  auth_secret TEXT,
+  user_agent TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'You must be signed in to turn on notifications' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO public.push_subscriptions AS s (user_id, endpoint, p256dh, auth_secret, user_agent)
+  VALUES (
+    auth.uid(),
+    save_push_subscription.endpoint,
+    save_push_subscription.p256dh,
+    save_push_subscription.auth_secret,
+    save_push_subscription.user_agent
+  )
+  ON CONFLICT ON CONSTRAINT push_subscriptions_endpoint_key DO UPDATE
+  SET user_id = EXCLUDED.user_id,
+      p256dh = EXCLUDED.p256dh,
+      auth_secret = EXCLUDED.auth_secret,
+      user_agent = EXCLUDED.user_agent,
+      created_at = NOW();
+END;
+$$;
+
+-- Queues a notification for the reporter and supporters of a report when
+-- staff change its status or reply to it publicly. Whoever caused the event
+-- is not notified; changes made outside a user session (actor unknown)
+-- count as staff ones.
+CREATE FUNCTION public.queue_report_notifications()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  report public.reports;
+BEGIN
+  IF NEW.is_internal OR NEW.type NOT IN ('status_changed', 'commented') THEN
+    RETURN NEW;
+  END IF;
+  IF NEW.actor_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.profiles p WHERE p.id = NEW.actor_id AND p.role IN ('staff', 'admin')
+  ) THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO report FROM public.reports r WHERE r.id = NEW.report_id;
+
+  INSERT INTO public.notifications (user_id, report_id, event_id, template, data, url)
+  SELECT
+    recipients.user_id,
+    report.id,
+    NEW.id,
+    CASE NEW.type WHEN 'commented' THEN 'reply' ELSE 'status_changed' END,
+    jsonb_strip_nulls(jsonb_build_object(
+      'title', report.title,
+      'status', NEW.to_status,
+      'resolution_notes', CASE WHEN NEW.to_status IN ('resolved', 'closed') THEN NEW.data ->> 'resolution_notes' END,
+      'message', NEW.data ->> 'message',
+      'is_supporter', recipients.user_id IS DISTINCT FROM report.user_id
+    )),
+    '/reports/' || report.id
+  FROM (
+    SELECT report.user_id
+    UNION
+    SELECT s.user_id FROM public.report_supporters s WHERE s.report_id = report.id
+  ) recipients
+  WHERE recipients.user_id IS NOT NULL
+    AND recipients.user_id IS DISTINCT FROM NEW.actor_id
+  ON CONFLICT DO NOTHING;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER report_events_queue_notifications
+  AFTER INSERT ON public.report_events
+  FOR EACH ROW EXECUTE FUNCTION public.queue_report_notifications();
+
+REVOKE EXECUTE ON FUNCTION public.save_push_subscription(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.save_push_subscription(TEXT, TEXT, TEXT, TEXT) TO authenticated;
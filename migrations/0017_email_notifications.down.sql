@@ -0,0 +1,8 @@
+DROP TRIGGER IF EXISTS report_events_queue_emails ON public.report_events;
+DROP FUNCTION IF EXISTS public.queue_report_emails();
+DROP FUNCTION IF EXISTS public.unsubscribe_from_emails(UUID);
+DROP TABLE IF EXISTS public.email_outbox;
+DROP TYPE IF EXISTS public.email_status;
+DROP TABLE IF EXISTS public.email_unsubscribe_tokens;
+
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS email_notifications;
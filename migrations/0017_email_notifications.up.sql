@@ -0,0 +1,141 @@
+-- Email for residents about their reports: received, acknowledged (work
+-- started), assigned, resolved, closed and staff replies. Each email is a row
+-- in `email_outbox`, queued by a trigger on report_events and sent, with
+-- retries, by scripts/send-emails.js. Residents can opt out in the portal or
+-- through the unsubscribe link in every email.
+
+ALTER TABLE public.profiles
+  ADD COLUMN email_notifications BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Secret per user for unsubscribe links, so a link cannot be made up for
+-- someone else. Created by the sender when it first needs one; no policies,
+-- so only SECURITY DEFINER functions and the sender can read it.
+CREATE TABLE public.email_unsubscribe_tokens (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  token UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.email_unsubscribe_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE TYPE public.email_status AS ENUM ('pending', 'sent', 'failed', 'skipped');
+
+-- Only the sender reads and writes this table; there are no policies.
+CREATE TABLE public.email_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  report_id UUID NOT NULL REFERENCES public.reports(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES public.report_events(id) ON DELETE CASCADE,
+  -- One of the templates in scripts/lib/email-templates.js
+  template TEXT NOT NULL,
+  -- Values for the template, captured when the event happened
+  data JSONB NOT NULL DEFAULT '{}',
+  status public.email_status NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (event_id, user_id)
+);
+
+CREATE INDEX email_outbox_pending_idx ON public.email_outbox (next_attempt_at) WHERE status = 'pending';
+
+ALTER TABLE public.email_outbox ENABLE ROW LEVEL SECURITY;
+
+-- Turns off report emails for the owner of an unsubscribe link. Anyone with
+-- the link may call it, signed in or not. Returns false for unknown tokens.
+CREATE FUNCTION public.unsubscribe_from_emails(token UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  owner UUID;
+BEGIN
+  SELECT t.user_id INTO owner FROM public.email_unsubscribe_tokens t WHERE t.token = unsubscribe_from_emails.token;
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE public.profiles p SET email_notifications = FALSE WHERE p.id = owner;
+  RETURN TRUE;
+END;
+$$;
+
+-- Queues an email for the people following a report when something they
+-- care about happens to it. The reporter hears that it was received; the
+-- reporter and supporters hear when staff start work, assign it, resolve or
+-- close it, or reply publicly. Whoever caused the event is not emailed, and
+-- changes made outside a user session count as staff ones. Opt-outs are
+-- checked when sending, so unsubscribing also stops emails already queued.
+CREATE FUNCTION public.queue_report_emails()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  report public.reports;
+  template TEXT;
+BEGIN
+  IF NEW.is_internal OR NEW.data ? 'backfilled' THEN
+    RETURN NEW;
+  END IF;
+
+  template := CASE
+    WHEN NEW.type = 'created' THEN 'received'
+    WHEN NEW.type = 'assigned' AND NEW.data ->> 'assigned_to' IS NOT NULL THEN 'assigned'
+    WHEN NEW.type = 'commented' THEN 'reply'
+    WHEN NEW.type = 'status_changed' AND NEW.to_status = 'in_progress' THEN 'acknowledged'
+    WHEN NEW.type = 'status_changed' AND NEW.to_status = 'resolved' THEN 'resolved'
+    WHEN NEW.type = 'status_changed' AND NEW.to_status = 'closed' THEN 'closed'
+  END;
+  IF template IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF template <> 'received' AND NEW.actor_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.profiles p WHERE p.id = NEW.actor_id AND p.role IN ('staff', 'admin')
+  ) THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO report FROM public.reports r WHERE r.id = NEW.report_id;
+
+  INSERT INTO public.email_outbox (user_id, report_id, event_id, template, data)
+  SELECT
+    recipients.user_id,
+    report.id,
+    NEW.id,
+    template,
+    jsonb_strip_nulls(jsonb_build_object(
+      'title', report.title,
+      'category', report.category,
+      'address', report.address,
+      'status', COALESCE(NEW.to_status, report.status),
+      'resolution_notes', NEW.data ->> 'resolution_notes',
+      'message', NEW.data ->> 'message',
+      'is_supporter', recipients.user_id IS DISTINCT FROM report.user_id
+    ))
+  FROM (
+    SELECT report.user_id
+    UNION
+    SELECT s.user_id FROM public.report_supporters s
+    WHERE s.report_id = report.id AND template <> 'received'
+  ) recipients
+  WHERE recipients.user_id IS NOT NULL
+    AND (template = 'received' OR recipients.user_id IS DISTINCT FROM NEW.actor_id)
+  ON CONFLICT DO NOTHING;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER report_events_queue_emails
+  AFTER INSERT ON public.report_events
+  FOR EACH ROW EXECUTE FUNCTION public.queue_report_emails();
+
+REVOKE EXECUTE ON FUNCTION public.unsubscribe_from_emails(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.unsubscribe_from_emails(UUID) TO anon, authenticated;
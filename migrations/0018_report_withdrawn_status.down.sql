@@ -0,0 +1,2 @@
+-- Postgres cannot remove a value from an enum, so 'withdrawn' stays in
+-- report_status; with 0019_reporter_edits rolled back nothing can set it.
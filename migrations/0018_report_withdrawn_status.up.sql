@@ -0,0 +1,5 @@
+-- Status of a report its reporter took back before staff started on it (see
+-- 0019_reporter_edits). Added on its own because a new enum value cannot be
+-- used in the transaction that adds it.
+
+ALTER TYPE public.report_status ADD VALUE IF NOT EXISTS 'withdrawn';
@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS reports_protect_reporter_edits ON public.reports;
+DROP FUNCTION IF EXISTS public.protect_reporter_edits();
+DROP POLICY IF EXISTS "Reporters can edit or withdraw their reports until triage" ON public.reports;
+
+DELETE FROM public.report_status_transitions WHERE from_status = 'open' AND to_status = 'withdrawn';
@@ -0,0 +1,45 @@
+-- Residents may correct or withdraw their own report until staff pick it up:
+-- while it is open and nobody is assigned to it. The edits and the
+-- withdrawal are logged by the report_events trigger like any other change.
+-- shared/workflow.js mirrors the new transition.
+
+INSERT INTO public.report_status_transitions (from_status, to_status, roles, required_fields) VALUES
+  ('open', 'withdrawn', '{citizen}', '{}');
+
+CREATE POLICY "Reporters can edit or withdraw their reports until triage"
+  ON public.reports FOR UPDATE TO authenticated
+  USING (user_id = auth.uid() AND status = 'open' AND assigned_to IS NULL)
+  WITH CHECK (user_id = auth.uid() AND status IN ('open', 'withdrawn') AND assigned_to IS NULL);
+
+-- Reporters who are not staff may only change what they wrote and where the
+-- issue is, plus withdraw the report; priority, assignment and the rest stay
+-- with staff. Changes made outside a user session, or by someone else such
+-- as a supporter bumping the support count, are not restricted here.
+CREATE FUNCTION public.protect_reporter_edits()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  editable CONSTANT TEXT[] := ARRAY[
+    'title', 'description', 'category', 'address', 'latitude', 'longitude', 'location',
+    'location_accuracy', 'status', 'updated_at'
+  ];
+BEGIN
+  IF auth.uid() IS NULL
+     OR OLD.user_id IS DISTINCT FROM auth.uid()
+     OR public.is_staff() THEN
+    RETURN NEW;
+  END IF;
+
+  IF (to_jsonb(NEW) - editable) IS DISTINCT FROM (to_jsonb(OLD) - editable) THEN
+    RAISE EXCEPTION 'Reporters can only change the title, description, category and location of a report'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER reports_protect_reporter_edits
+  BEFORE UPDATE ON public.reports
+  FOR EACH ROW EXECUTE FUNCTION public.protect_reporter_edits();
@@ -0,0 +1,25 @@
+DROP POLICY IF EXISTS "Report photos are readable by the report's current reporter" ON storage.objects;
+DROP FUNCTION IF EXISTS public.claim_guest_report(TEXT);
+DROP FUNCTION IF EXISTS public.track_report(TEXT);
+DROP FUNCTION IF EXISTS public.normalize_tracking_code(TEXT);
+
+DROP TRIGGER IF EXISTS report_supporters_prevent_guest_support ON public.report_supporters;
+DROP FUNCTION IF EXISTS public.prevent_guest_support();
+
+DROP TRIGGER IF EXISTS reports_prepare_guest_report ON public.reports;
+DROP FUNCTION IF EXISTS public.prepare_guest_report();
+DROP FUNCTION IF EXISTS public.request_ip_address();
+DROP TABLE IF EXISTS public.guest_report_sources;
+
+ALTER TABLE public.reports
+  DROP COLUMN IF EXISTS tracking_code,
+  DROP COLUMN IF EXISTS filed_as_guest;
+
+DROP FUNCTION IF EXISTS public.is_anonymous_user();
+
+DROP TRIGGER IF EXISTS on_auth_user_email_changed ON auth.users;
+DROP FUNCTION IF EXISTS public.sync_profile_email();
+
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS contact_email;
+-- Fails while guests without an email have profiles; delete those users first.
+ALTER TABLE public.profiles ALTER COLUMN email SET NOT NULL;
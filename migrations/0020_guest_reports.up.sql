@@ -0,0 +1,241 @@
+-- Reporting without an account. Guests get an anonymous Supabase Auth session
+-- (supabase.auth.signInAnonymously), so their reports, photos and history
+-- work like everyone else's. On top of that:
+--   - each guest report gets a tracking code, which anyone can use to look up
+--     its progress (track_report) and a signed-in account to take the report
+--     over (claim_guest_report), e.g. from another device;
+--   - guests may leave a contact email for updates (profiles.contact_email);
+--   - guests may file at most three reports a day and cannot add their voice
+--     to other reports, and at most ten guest reports a day (the
+--     app.guest_reports_per_address setting) may come from one IP address.
+--     Every anonymous sign-in is a new user, so only the per-address limit
+--     holds across sessions; with it, throwaway sessions cannot flood the
+--     queue or inflate support counts.
+-- A guest who adds an email and password to their session keeps the same
+-- user id, so their reports simply become the new account's.
+
+-- Anonymous users have no email address until they convert.
+ALTER TABLE public.profiles ALTER COLUMN email DROP NOT NULL;
+
+ALTER TABLE public.profiles
+  ADD COLUMN contact_email TEXT CHECK (contact_email ~ '^[^@[:space:]]+@[^@[:space:]]+\.[^@[:space:]]+$');
+
+-- Keeps profiles.email in step when an anonymous user adds an email, or
+-- anyone changes theirs.
+CREATE FUNCTION public.sync_profile_email()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.profiles p SET email = NEW.email WHERE p.id = NEW.id AND p.email IS DISTINCT FROM NEW.email;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_auth_user_email_changed
+  AFTER UPDATE OF email ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION public.sync_profile_email();
+
+-- True when the signed-in user is a guest.
+CREATE FUNCTION public.is_anonymous_user()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE((SELECT u.is_anonymous FROM auth.users u WHERE u.id = auth.uid()), false)
+$$;
+
+ALTER TABLE public.reports
+  ADD COLUMN filed_as_guest BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Ten characters from 0-9 and A-F, shown to the guest as XXXXX-XXXXX
+  ADD COLUMN tracking_code TEXT UNIQUE;
+
+-- Where guest reports came from in the last day, for the per-address limit.
+-- Only prepare_guest_report() reads and writes it, and it drops rows older
+-- than a day, so addresses are not kept any longer than the limit needs.
+CREATE TABLE public.guest_report_sources (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  ip_address TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX guest_report_sources_ip_address_idx ON public.guest_report_sources (ip_address, created_at);
+
+ALTER TABLE public.guest_report_sources ENABLE ROW LEVEL SECURITY;
+
+-- The caller's IP address, from the request headers PostgREST passes on:
+-- cf-connecting-ip or x-real-ip as set by Supabase's API gateway, else the
+-- first X-Forwarded-For entry. A self-hosted proxy must overwrite these
+-- rather than pass on what the client sent. NULL outside an API request.
+CREATE FUNCTION public.request_ip_address()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+  WITH headers AS (
+    SELECT NULLIF(current_setting('request.headers', true), '')::json AS h
+  )
+  SELECT NULLIF(trim(COALESCE(
+    h->>'cf-connecting-ip',
+    h->>'x-real-ip',
+    split_part(h->>'x-forwarded-for', ',', 1)
+  )), '')
+  FROM headers
+$$;
+
+-- Marks guest reports and gives them a tracking code; neither can be set by
+-- the client. Also holds guests to their daily limits.
+CREATE FUNCTION public.prepare_guest_report()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  address TEXT := public.request_ip_address();
+  per_address INTEGER := COALESCE(NULLIF(current_setting('app.guest_reports_per_address', true), '')::INTEGER, 10);
+BEGIN
+  IF NOT public.is_anonymous_user() THEN
+    NEW.filed_as_guest := FALSE;
+    NEW.tracking_code := NULL;
+    RETURN NEW;
+  END IF;
+
+  IF (
+    SELECT count(*) FROM public.reports r
+    WHERE r.user_id = auth.uid() AND r.created_at > NOW() - INTERVAL '1 day'
+  ) >= 3 THEN
+    RAISE EXCEPTION 'Guests can file up to 3 reports a day. Create an account to report more.'
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF address IS NOT NULL THEN
+    DELETE FROM public.guest_report_sources s WHERE s.created_at <= NOW() - INTERVAL '1 day';
+    IF (SELECT count(*) FROM public.guest_report_sources s WHERE s.ip_address = address) >= per_address THEN
+      RAISE EXCEPTION 'Too many guest reports have come from your network today. Create an account to report more.'
+        USING ERRCODE = '23514';
+    END IF;
+    INSERT INTO public.guest_report_sources (ip_address) VALUES (address);
+  END IF;
+
+  NEW.filed_as_guest := TRUE;
+  -- gen_random_uuid() is cryptographically random; its first 12 hex digits
+  -- carry no version bits
+  NEW.tracking_code := upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10));
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER reports_prepare_guest_report
+  BEFORE INSERT ON public.reports
+  FOR EACH ROW EXECUTE FUNCTION public.prepare_guest_report();
+
+CREATE FUNCTION public.prevent_guest_support()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF public.is_anonymous_user() THEN
+    RAISE EXCEPTION 'Create an account to add your voice to a report' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER report_supporters_prevent_guest_support
+  BEFORE INSERT ON public.report_supporters
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_guest_support();
+
+-- Codes are compared without the dash, spaces or case.
+CREATE FUNCTION public.normalize_tracking_code(code TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT upper(regexp_replace(normalize_tracking_code.code, '[^0-9A-Za-z]', '', 'g'))
+$$;
+
+-- Progress of the guest report with this tracking code, for anyone who has
+-- the code, signed in or not. Returns no row for unknown codes.
+CREATE FUNCTION public.track_report(code TEXT)
+RETURNS TABLE (
+  title TEXT,
+  category TEXT,
+  status public.report_status,
+  resolution_notes TEXT,
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT r.title, r.category, r.status, r.resolution_notes, r.created_at, r.updated_at
+  FROM public.reports r
+  WHERE r.tracking_code = public.normalize_tracking_code(track_report.code)
+$$;
+
+-- Moves the guest report with this tracking code to the signed-in account,
+-- which then sees it like any report it filed. Only reports still held by a
+-- guest session (or whose guest session was deleted) can be claimed. Returns
+-- the report id.
+CREATE FUNCTION public.claim_guest_report(code TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  report public.reports;
+BEGIN
+  IF auth.uid() IS NULL OR public.is_anonymous_user() THEN
+    RAISE EXCEPTION 'Sign in to your account to add this report to it' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO report FROM public.reports r
+  WHERE r.tracking_code = public.normalize_tracking_code(claim_guest_report.code)
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No report has this tracking code' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF report.user_id = auth.uid() THEN
+    RETURN report.id;
+  END IF;
+  IF report.user_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM auth.users u WHERE u.id = report.user_id AND u.is_anonymous
+  ) THEN
+    RAISE EXCEPTION 'This report already belongs to an account' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.reports r SET user_id = auth.uid() WHERE r.id = report.id;
+  RETURN report.id;
+END;
+$$;
+
+-- Photos stay in the guest's storage folder when a report is claimed, so the
+-- reporter may also read the photos of any report that is theirs now.
+CREATE POLICY "Report photos are readable by the report's current reporter"
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'report-images'
+    AND EXISTS (
+      SELECT 1 FROM public.report_images i
+      JOIN public.reports r ON r.id = i.report_id
+      WHERE r.user_id = auth.uid()
+        AND (i.path = storage.objects.name OR i.thumbnail_path = storage.objects.name)
+    )
+  );
+
+REVOKE EXECUTE ON FUNCTION public.track_report(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.track_report(TEXT) TO anon, authenticated;
+
+REVOKE EXECUTE ON FUNCTION public.claim_guest_report(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.claim_guest_report(TEXT) TO authenticated;
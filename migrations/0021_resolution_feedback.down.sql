@@ -0,0 +1,4 @@
+DROP FUNCTION IF EXISTS public.respond_to_resolution(UUID, INTEGER, TEXT, BOOLEAN, TEXT, TEXT);
+DROP TABLE IF EXISTS public.report_feedback;
+
+DELETE FROM public.report_status_transitions WHERE from_status = 'resolved' AND to_status = 'open';
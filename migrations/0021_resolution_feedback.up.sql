@@ -0,0 +1,121 @@
+-- The reporter's answer when staff mark their report resolved: either they
+-- confirm the fix, or they say it is still broken, which reopens the report.
+-- Both come with a 1-5 rating of how the report was handled, kept in
+-- report_feedback for the satisfaction figures in the admin dashboard.
+-- Reopening needs a comment and a new photo, is only possible within 30 days
+-- of the resolution, and sends the report back to open for triage; the
+-- comment is posted to the report as the reporter's reply. shared/workflow.js
+-- mirrors the new transition.
+
+INSERT INTO public.report_status_transitions (from_status, to_status, roles, required_fields) VALUES
+  ('resolved', 'open', '{citizen}', '{}');
+
+CREATE TABLE public.report_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID NOT NULL REFERENCES public.reports(id) ON DELETE CASCADE,
+  -- The 'status_changed' event that resolved the report; one answer each
+  resolution_event_id UUID NOT NULL UNIQUE REFERENCES public.report_events(id) ON DELETE CASCADE,
+  user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT CHECK (char_length(comment) <= 2000),
+  reopened BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX report_feedback_report_id_idx ON public.report_feedback (report_id);
+CREATE INDEX report_feedback_created_at_idx ON public.report_feedback (created_at);
+
+ALTER TABLE public.report_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Written only through respond_to_resolution below.
+CREATE POLICY "Feedback is readable by staff and by the reporter"
+  ON public.report_feedback FOR SELECT
+  USING (
+    public.is_staff()
+    OR EXISTS (
+      SELECT 1 FROM public.reports r
+      WHERE r.id = report_feedback.report_id AND r.user_id = auth.uid()
+    )
+  );
+
+-- Records the reporter's answer to the latest resolution of their report.
+-- With `reopen`, also attaches the photo (uploaded to the reporter's folder
+-- for this report, see shared/supabase.js uploadImage), posts the comment
+-- and moves the report back to open. Returns the feedback row.
+CREATE FUNCTION public.respond_to_resolution(
+  report_id UUID,
+  rating INTEGER,
+  comment TEXT DEFAULT NULL,
+  reopen BOOLEAN DEFAULT FALSE,
+  photo_path TEXT DEFAULT NULL,
+  photo_thumbnail_path TEXT DEFAULT NULL
+)
+RETURNS public.report_feedback
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  report public.reports;
+  resolution public.report_events;
+  note TEXT := NULLIF(btrim(respond_to_resolution.comment), '');
+  folder TEXT;
+  feedback public.report_feedback;
+BEGIN
+  SELECT * INTO report FROM public.reports r WHERE r.id = respond_to_resolution.report_id FOR UPDATE;
+  IF NOT FOUND OR auth.uid() IS NULL OR report.user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the reporter can respond to a resolution' USING ERRCODE = '42501';
+  END IF;
+  IF report.status <> 'resolved' THEN
+    RAISE EXCEPTION 'This report is not waiting for your confirmation' USING ERRCODE = '23514';
+  END IF;
+
+  SELECT * INTO resolution FROM public.report_events e
+  WHERE e.report_id = report.id AND e.type = 'status_changed' AND e.to_status = 'resolved'
+  ORDER BY e.created_at DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This report is not waiting for your confirmation' USING ERRCODE = '23514';
+  END IF;
+  IF EXISTS (SELECT 1 FROM public.report_feedback f WHERE f.resolution_event_id = resolution.id) THEN
+    RAISE EXCEPTION 'You have already responded to this resolution' USING ERRCODE = '23505';
+  END IF;
+
+  IF respond_to_resolution.reopen THEN
+    IF resolution.created_at < NOW() - INTERVAL '30 days' THEN
+      RAISE EXCEPTION 'Reports can only be reopened within 30 days of being resolved. Please file a new report.'
+        USING ERRCODE = '23514';
+    END IF;
+    folder := auth.uid()::text || '/' || report.id::text || '/';
+    IF note IS NULL OR respond_to_resolution.photo_path IS NULL THEN
+      RAISE EXCEPTION 'Describe what is still wrong and add a photo to reopen a report' USING ERRCODE = '23514';
+    END IF;
+    IF left(respond_to_resolution.photo_path, length(folder)) <> folder
+       OR left(COALESCE(respond_to_resolution.photo_thumbnail_path, folder), length(folder)) <> folder THEN
+      RAISE EXCEPTION 'The photo must be uploaded for this report' USING ERRCODE = '42501';
+    END IF;
+  END IF;
+
+  INSERT INTO public.report_feedback (report_id, resolution_event_id, user_id, rating, comment, reopened)
+  VALUES (report.id, resolution.id, auth.uid(), respond_to_resolution.rating, note, respond_to_resolution.reopen)
+  RETURNING * INTO feedback;
+
+  IF respond_to_resolution.reopen THEN
+    INSERT INTO public.report_images (report_id, path, thumbnail_path, position)
+    SELECT report.id, respond_to_resolution.photo_path, respond_to_resolution.photo_thumbnail_path,
+           COALESCE(max(i.position) + 1, 0)
+    FROM public.report_images i
+    WHERE i.report_id = report.id;
+
+    INSERT INTO public.report_updates (report_id, user_id, message)
+    VALUES (report.id, auth.uid(), note);
+
+    UPDATE public.reports r SET status = 'open' WHERE r.id = report.id;
+  END IF;
+
+  RETURN feedback;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.respond_to_resolution(UUID, INTEGER, TEXT, BOOLEAN, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.respond_to_resolution(UUID, INTEGER, TEXT, BOOLEAN, TEXT, TEXT) TO authenticated;
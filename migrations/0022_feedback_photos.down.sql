@@ -0,0 +1,85 @@
+-- Restores the 0021_resolution_feedback version, which adds the photo to
+-- report_images. Photos kept on feedback rows since are lost with the columns.
+
+-- Records the reporter's answer to the latest resolution of their report.
+-- With `reopen`, also attaches the photo (uploaded to the reporter's folder
+-- for this report, see shared/supabase.js uploadImage), posts the comment
+-- and moves the report back to open. Returns the feedback row.
+CREATE OR REPLACE FUNCTION public.respond_to_resolution(
+  report_id UUID,
+  rating INTEGER,
+  comment TEXT DEFAULT NULL,
+  reopen BOOLEAN DEFAULT FALSE,
+  photo_path TEXT DEFAULT NULL,
+  photo_thumbnail_path TEXT DEFAULT NULL
+)
+RETURNS public.report_feedback
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  report public.reports;
+  resolution public.report_events;
+  note TEXT := NULLIF(btrim(respond_to_resolution.comment), '');
+  folder TEXT;
+  feedback public.report_feedback;
+BEGIN
+  SELECT * INTO report FROM public.reports r WHERE r.id = respond_to_resolution.report_id FOR UPDATE;
+  IF NOT FOUND OR auth.uid() IS NULL OR report.user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the reporter can respond to a resolution' USING ERRCODE = '42501';
+  END IF;
+  IF report.status <> 'resolved' THEN
+    RAISE EXCEPTION 'This report is not waiting for your confirmation' USING ERRCODE = '23514';
+  END IF;
+
+  SELECT * INTO resolution FROM public.report_events e
+  WHERE e.report_id = report.id AND e.type = 'status_changed' AND e.to_status = 'resolved'
+  ORDER BY e.created_at DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This report is not waiting for your confirmation' USING ERRCODE = '23514';
+  END IF;
+  IF EXISTS (SELECT 1 FROM public.report_feedback f WHERE f.resolution_event_id = resolution.id) THEN
+    RAISE EXCEPTION 'You have already responded to this resolution' USING ERRCODE = '23505';
+  END IF;
+
+  IF respond_to_resolution.reopen THEN
+    IF resolution.created_at < NOW() - INTERVAL '30 days' THEN
+      RAISE EXCEPTION 'Reports can only be reopened within 30 days of being resolved. Please file a new report.'
+        USING ERRCODE = '23514';
+    END IF;
+    folder := auth.uid()::text || '/' || report.id::text || '/';
+    IF note IS NULL OR respond_to_resolution.photo_path IS NULL THEN
+      RAISE EXCEPTION 'Describe what is still wrong and add a photo to reopen a report' USING ERRCODE = '23514';
+    END IF;
+    IF left(respond_to_resolution.photo_path, length(folder)) <> folder
+       OR left(COALESCE(respond_to_resolution.photo_thumbnail_path, folder), length(folder)) <> folder THEN
+      RAISE EXCEPTION 'The photo must be uploaded for this report' USING ERRCODE = '42501';
+    END IF;
+  END IF;
+
+  INSERT INTO public.report_feedback (report_id, resolution_event_id, user_id, rating, comment, reopened)
+  VALUES (report.id, resolution.id, auth.uid(), respond_to_resolution.rating, note, respond_to_resolution.reopen)
+  RETURNING * INTO feedback;
+
+  IF respond_to_resolution.reopen THEN
+    INSERT INTO public.report_images (report_id, path, thumbnail_path, position)
+    SELECT report.id, respond_to_resolution.photo_path, respond_to_resolution.photo_thumbnail_path,
+           COALESCE(max(i.position) + 1, 0)
+    FROM public.report_images i
+    WHERE i.report_id = report.id;
+
+    INSERT INTO public.report_updates (report_id, user_id, message)
+    VALUES (report.id, auth.uid(), note);
+
+    UPDATE public.reports r SET status = 'open' WHERE r.id = report.id;
+  END IF;
+
+  RETURN feedback;
+END;
+$$;
+
+ALTER TABLE public.report_feedback
+  DROP COLUMN photo_thumbnail_path,
+  DROP COLUMN photo_path;
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const acorn = require('acorn');
+const jsx = require('acorn-jsx');
+
+// Flags untranslated and broken messages in the catalogues under
+// shared/i18n/locales, checking every locale against en.json:
+//
+//   - keys missing from a locale (shown in English until translated)
+//   - keys a locale has but en.json does not (left over after a rename)
+//   - plural messages without a form the locale needs (see Intl.PluralRules)
+//   - translations whose {placeholders} differ from the English ones
+//
+// and, in the apps, keys used with t('…') or tParts('…') that en.json lacks
+// and text written out in English instead of going through t(): JSX text,
+// strings rendered in JSX or given to an attribute people see
+// (placeholder, title, alt, aria-label), and alert()/confirm() messages.
+// Components must also show caught errors with formatError() rather than
+// their `message`, which is English or whatever the backend said.
+//
+//   node scripts/check-translations.js                 check every locale
+//   node scripts/check-translations.js --locale <code> check one locale
+//
+// Exits with status 1 when anything is flagged, so it can run in CI.
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'shared', 'i18n', 'locales');
+const REFERENCE_LOCALE = 'en';
+const SOURCE_DIRS = ['citizen-portal/src', 'admin-dashboard/src', 'shared'];
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+// Literal keys only; keys built at run time (`statuses.${status}`) are skipped
+const KEY_USAGE = /\bt(?:Parts)?\(\s*'([\w.]+)'/g;
+const TEXT_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+const DIALOGS = ['alert', 'confirm', 'prompt'];
+// err, error, queueError, …
+const ERROR_NAME = /^err$|^error$|Error$/;
+const JSXParser = acorn.Parser.extend(jsx());
+
+function parseArgs(argv) {
+  const options = { locale: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--locale') options.locale = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return options;
+}
+
+function isPlural(node) {
+  return (
+    node !== null &&
+    typeof node === 'object' &&
+    Object.keys(node).length > 0 &&
+    Object.keys(node).every((key) => PLURAL_CATEGORIES.includes(key) && typeof node[key] === 'string')
+  );
+}
+
+// { a: { b: 'x' } } -> Map { 'a.b' => 'x' }; plural messages stay objects.
+function flatten(node, prefix = '', messages = new Map()) {
+  for (const [key, value] of Object.entries(node)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string' || isPlural(value)) messages.set(name, value);
+    else if (value && typeof value === 'object') flatten(value, name, messages);
+    else messages.set(name, value);
+  }
+  return messages;
+}
+
+function loadCatalogue(locale) {
+  const file = path.join(LOCALES_DIR, `${locale}.json`);
+  return flatten(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Plural forms may leave out {count}, e.g. "one photo".
+function placeholders(message) {
+  const forms = typeof message === 'string' ? [message] : Object.values(message);
+  const names = new Set();
+  forms.forEach((form) => {
+    for (const match of form.matchAll(/\{(\w+)\}/g)) names.add(match[1]);
+  });
+  if (typeof message !== 'string') names.delete('count');
+  return [...names].sort().join(', ');
+}
+
+function checkLocale(locale, reference) {
+  const problems = [];
+  const messages = loadCatalogue(locale);
+  const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+
+  for (const [key, english] of reference) {
+    if (!messages.has(key)) {
+      if (locale !== REFERENCE_LOCALE) problems.push(`missing ${key}`);
+      continue;
+    }
+    const message = messages.get(key);
+    if (typeof message === 'string' ? message.trim() === '' : !isPlural(message)) {
+      problems.push(`empty or malformed ${key}`);
+      continue;
+    }
+    if (isPlural(english) !== isPlural(message)) {
+      problems.push(`${key} should ${isPlural(english) ? '' : 'not '}have plural forms`);
+      continue;
+    }
+    if (isPlural(message)) {
+      const missing = categories.filter((category) => message[category] === undefined);
+      if (missing.length > 0) problems.push(`${key} lacks the plural forms: ${missing.join(', ')}`);
+    }
+    if (placeholders(message) !== placeholders(english)) {
+      problems.push(`${key} has placeholders {${placeholders(message)}}, expected {${placeholders(english)}}`);
+    }
+  }
+
+  for (const key of messages.keys()) {
+    if (!reference.has(key)) problems.push(`unknown key ${key}`);
+  }
+
+  return problems;
+}
+
+function listSourceFiles(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name === 'dist') continue;
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) listSourceFiles(file, files);
+    // Tests ask for missing keys on purpose
+    else if (/\.jsx?$/.test(entry.name) && !/\.test\.js$/.test(entry.name)) files.push(file);
+  }
+  return files;
+}
+
+// Returning false from `callback` skips the node's children.
+function visit(node, callback) {
+  if (callback(node) === false) return;
+  for (const value of Object.values(node)) {
+    const children = Array.isArray(value) ? value : [value];
+    children.forEach((child) => {
+      if (child && typeof child.type === 'string') visit(child, callback);
+    });
+  }
+}
+
+// Only text with letters in it needs translating, not "·" or "5".
+const hasWords = (text) => /\p{L}/u.test(text);
+
+// The fixed strings an expression can evaluate to: both branches of
+// `a ? 'Yes' : 'No'`, the fallback of `name || 'Guest'`, the text around
+// the ${…} of a template literal, and so on.
+function literalStrings(node) {
+  if (!node) return [];
+  switch (node.type) {
+    case 'Literal':
+      return typeof node.value === 'string' ? [node.value] : [];
+    case 'TemplateLiteral':
+      return node.quasis.map((quasi) => quasi.value.cooked);
+    case 'ConditionalExpression':
+      return [...literalStrings(node.consequent), ...literalStrings(node.alternate)];
+    case 'LogicalExpression':
+      return literalStrings(node.right);
+    case 'BinaryExpression':
+      return node.operator === '+' ? [...literalStrings(node.left), ...literalStrings(node.right)] : [];
+    default:
+      return [];
+  }
+}
+
+function attributeName(node) {
+  return node.name.type === 'JSXNamespacedName' ? `${node.name.namespace.name}:${node.name.name.name}` : node.name.name;
+}
+
+function calleeName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) return node.property.name;
+  return null;
+}
+
+// [{ line, text }] for every piece of text in `source` shown without t().
+function findUntranslatedText(source) {
+  const found = [];
+  const flag = (node, strings) => {
+    strings.filter(hasWords).forEach((text) => found.push({ line: node.loc.start.line, text: text.trim() }));
+  };
+
+  const ast = JSXParser.parse(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+  visit(ast, (node) => {
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+      node.children.forEach((child) => {
+        if (child.type === 'JSXText') flag(child, [child.value]);
+        if (child.type === 'JSXExpressionContainer') flag(child, literalStrings(child.expression));
+      });
+    } else if (node.type === 'JSXAttribute' && TEXT_ATTRIBUTES.includes(attributeName(node)) && node.value) {
+      flag(node, literalStrings(node.value.type === 'JSXExpressionContainer' ? node.value.expression : node.value));
+    } else if (node.type === 'CallExpression' && DIALOGS.includes(calleeName(node.callee))) {
+      flag(node, literalStrings(node.arguments[0]));
+    }
+  });
+  return found;
+}
+
+// [{ line, text }] for every `message` of an error read in `source`, other
+// than for the console.
+function findErrorMessages(source) {
+  const found = [];
+  const ast = JSXParser.parse(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+  visit(ast, (node) => {
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && node.callee.object.name === 'console') {
+      return false;
+    }
+    if (
+      node.type === 'MemberExpression' &&
+      !node.computed &&
+      node.property.name === 'message' &&
+      node.object.type === 'Identifier' &&
+      ERROR_NAME.test(node.object.name)
+    ) {
+      found.push({ line: node.loc.start.line, text: `${node.object.name}.message` });
+    }
+    return true;
+  });
+  return found;
+}
+
+function checkUsage(reference) {
+  const problems = [];
+  SOURCE_DIRS.forEach((dir) => {
+    listSourceFiles(path.join(ROOT, dir)).forEach((file) => {
+      const name = path.relative(ROOT, file);
+      const source = fs.readFileSync(file, 'utf8');
+      for (const match of source.matchAll(KEY_USAGE)) {
+        if (!reference.has(match[1])) {
+          problems.push(`${name} uses ${match[1]}, which en.json lacks`);
+        }
+      }
+      try {
+        findUntranslatedText(source).forEach(({ line, text }) => {
+          problems.push(`${name}:${line} shows ${JSON.stringify(text)} without t()`);
+        });
+        if (file.endsWith('.jsx')) {
+          findErrorMessages(source).forEach(({ line, text }) => {
+            problems.push(`${name}:${line} shows ${text}; use formatError()`);
+          });
+        }
+      } catch (err) {
+        problems.push(`${name} could not be parsed: ${err.message}`);
+      }
+    });
+  });
+  return problems;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const reference = loadCatalogue(REFERENCE_LOCALE);
+  const locales = options.locale
+    ? [options.locale]
+    : fs.readdirSync(LOCALES_DIR).filter((file) => file.endsWith('.json')).map((file) => path.basename(file, '.json'));
+
+  let failed = false;
+  const report = (label, problems) => {
+    if (problems.length === 0) {
+      console.log(`${label}: ok`);
+      return;
+    }
+    failed = true;
+    console.log(`${label}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    problems.forEach((problem) => console.log(`  ${problem}`));
+  };
+
+  locales.forEach((locale) => report(locale, checkLocale(locale, reference)));
+  if (!options.locale) report('source', checkUsage(reference));
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,131 @@
+// The emails residents get about their reports, one per template name queued
+// by migration 0017_email_notifications. Each renders a subject, a plain-text
+// part and an HTML part around the same content: a heading, a few
+// paragraphs, an optional quote (a staff reply or resolution notes), a link
+// to the report and an unsubscribe link.
+
+const STATUS_LABELS = {
+  open: 'Open',
+  in_progress: 'In progress',
+  resolved: 'Resolved',
+  closed: 'Closed',
+  withdrawn: 'Withdrawn'
+};
+
+// XXXXX-XXXXX, as the portal shows it (shared/reports.js formatTrackingCode)
+const formatTrackingCode = (code) => code.replace(/^(.{5})(?=.)/, '$1-');
+
+// `data` holds the values captured by the trigger; `followerNote` says why
+// this person hears about the report.
+const TEMPLATES = {
+  received: (data) => ({
+    subject: `We received your report: ${data.title}`,
+    heading: 'Thanks for your report',
+    paragraphs: [
+      `Your report "${data.title}" has been received. We'll email you when someone starts working on it.`,
+      ...(data.tracking_code
+        ? [`Your tracking code is ${formatTrackingCode(data.tracking_code)}. Use it to check on the report at any time.`]
+        : [])
+    ]
+  }),
+  acknowledged: (data, followerNote) => ({
+    subject: `Work has started: ${data.title}`,
+    heading: 'Work has started',
+    paragraphs: [`Staff have started work on "${data.title}", ${followerNote}.`]
+  }),
+  assigned: (data, followerNote) => ({
+    subject: `Assigned to a crew: ${data.title}`,
+    heading: 'Someone is on it',
+    paragraphs: [`"${data.title}", ${followerNote}, has been assigned to a member of staff.`]
+  }),
+  resolved: (data, followerNote) => ({
+    subject: `Resolved: ${data.title}`,
+    heading: 'Fixed',
+    paragraphs: [`"${data.title}", ${followerNote}, has been marked as resolved.`],
+    quote: data.resolution_notes
+  }),
+  closed: (data, followerNote) => ({
+    subject: `Closed: ${data.title}`,
+    heading: 'Report closed',
+    paragraphs: [`"${data.title}", ${followerNote}, has been closed.`],
+    quote: data.resolution_notes
+  }),
+  reply: (data, followerNote) => ({
+    subject: `New reply: ${data.title}`,
+    heading: 'Staff replied',
+    paragraphs: [`Staff replied on "${data.title}", ${followerNote}:`],
+    quote: data.message
+  })
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function renderText(content, links) {
+  return [
+    content.heading,
+    '',
+    ...content.paragraphs.flatMap((paragraph) => [paragraph, '']),
+    ...(content.quote ? [content.quote.replace(/^/gm, '> '), ''] : []),
+    content.statusLine,
+    '',
+    `View the report: ${links.report}`,
+    '',
+    '--',
+    `You get these emails because you reported or support this issue. Unsubscribe: ${links.unsubscribe}`
+  ].join('\n');
+}
+
+function renderHtml(content, links) {
+  const paragraphs = content.paragraphs
+    .map((paragraph) => `<p style="margin:0 0 16px">${escapeHtml(paragraph)}</p>`)
+    .join('\n        ');
+  const quote = content.quote
+    ? `<blockquote style="margin:0 0 16px;padding:8px 16px;border-left:4px solid #c7d2fe;color:#374151;white-space:pre-line">${escapeHtml(content.quote)}</blockquote>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px">
+      <tr><td style="padding:24px">
+        <h1 style="margin:0 0 16px;font-size:20px">${escapeHtml(content.heading)}</h1>
+        ${paragraphs}
+        ${quote}
+        <p style="margin:0 0 24px;color:#4b5563">${escapeHtml(content.statusLine)}</p>
+        <a href="${escapeHtml(links.report)}" style="display:inline-block;padding:10px 16px;background:#4f46e5;color:#ffffff;text-decoration:none;border-radius:6px">View the report</a>
+      </td></tr>
+    </table>
+    <p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280">
+      You get these emails because you reported or support this issue.
+      <a href="${escapeHtml(links.unsubscribe)}" style="color:#6b7280">Unsubscribe</a>
+    </p>
+  </body>
+</html>
+`;
+}
+
+// Returns `{ subject, text, html }` for an outbox row's template and data.
+// `links` holds absolute `report` and `unsubscribe` URLs.
+function renderEmail(template, data, links) {
+  const build = TEMPLATES[template];
+  if (!build) throw new Error(`Unknown email template "${template}"`);
+
+  const followerNote = data.is_supporter ? 'which you support' : 'which you reported';
+  const content = build(data, followerNote);
+  const status = STATUS_LABELS[data.status] || data.status;
+  content.statusLine = [data.category_label, data.address, status && `Status: ${status}`].filter(Boolean).join(' · ');
+
+  return {
+    subject: content.subject,
+    text: renderText(content, links),
+    html: renderHtml(content, links)
+  };
+}
+
+module.exports = { renderEmail };
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderEmail } = require('./email-templates');
+
+const LINKS = {
+  report: 'https://civic.example.org/citizen/reports/42',
+  unsubscribe: 'https://civic.example.org/citizen/unsubscribe?token=abc'
+};
+
+const DATA = {
+  title: 'Broken streetlight',
+  status: 'in_progress',
+  category_label: 'Street Light',
+  address: 'Madhya Marg, Sector 7'
+};
+
+test('every template the outbox queues renders', () => {
+  for (const template of ['received', 'acknowledged', 'assigned', 'resolved', 'closed', 'reply']) {
+    const email = renderEmail(template, DATA, LINKS);
+    assert.ok(email.subject.includes(DATA.title), template);
+    assert.ok(email.text.includes(LINKS.report), template);
+    assert.ok(email.html.includes(LINKS.unsubscribe.replace(/&/g, '&amp;')), template);
+  }
+  assert.throws(() => renderEmail('digest', DATA, LINKS), /Unknown email template "digest"/);
+});
+
+test('the text part carries the status line, the quote and both links', () => {
+  const { text } = renderEmail('resolved', { ...DATA, status: 'resolved', resolution_notes: 'Bulb replaced.\nPole repainted.' }, LINKS);
+  assert.ok(text.includes('"Broken streetlight", which you reported, has been marked as resolved.'));
+  assert.ok(text.includes('> Bulb replaced.\n> Pole repainted.'));
+  assert.ok(text.includes('Street Light · Madhya Marg, Sector 7 · Status: Resolved'));
+  assert.ok(text.includes(`View the report: ${LINKS.report}`));
+  assert.ok(text.includes(`Unsubscribe: ${LINKS.unsubscribe}`));
+});
+
+test('supporters are told why they hear about the report', () => {
+  const { text } = renderEmail('acknowledged', { ...DATA, is_supporter: true }, LINKS);
+  assert.ok(text.includes('which you support'));
+});
+
+test('guests get their tracking code in the receipt', () => {
+  assert.ok(renderEmail('received', { ...DATA, tracking_code: 'AB12CDE345' }, LINKS).text.includes('AB12C-DE345'));
+  assert.ok(!renderEmail('received', DATA, LINKS).text.includes('tracking code'));
+});
+
+test('the HTML part escapes what residents and staff typed', () => {
+  const { html, subject } = renderEmail('reply', { ...DATA, title: 'Bins <script>', message: 'Fixed "today" & tomorrow' }, LINKS);
+  assert.equal(subject, 'New reply: Bins <script>');
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('Bins &lt;script&gt;'));
+  assert.ok(html.includes('Fixed &quot;today&quot; &amp; tomorrow'));
+});
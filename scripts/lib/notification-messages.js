@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// The text of the push notifications queued by migration
+// 0016_push_notifications, written in the recipient's language
+// (profiles.locale) from the same catalogues as the apps
+// (shared/i18n/locales). Anything a catalogue lacks falls back to English.
+
+const LOCALES_DIR = path.join(__dirname, '..', '..', 'shared', 'i18n', 'locales');
+const DEFAULT_LOCALE = 'en';
+// Push services limit the payload to about 4 KB
+const MAX_BODY_LENGTH = 300;
+
+const CATALOGUES = Object.fromEntries(
+  fs
+    .readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))])
+);
+
+const lookup = (catalogue, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+
+// Like `t` in shared/i18n: the message for `key` with its {placeholders}
+// filled in, for a locale code such as "es" or "es-MX".
+function translate(locale, key, values = {}) {
+  const catalogue = CATALOGUES[String(locale || '').toLowerCase().split('-')[0]] || CATALOGUES[DEFAULT_LOCALE];
+  const message = lookup(catalogue, key) ?? lookup(CATALOGUES[DEFAULT_LOCALE], key) ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+// `{ title, body }` for a queued notification. `data` holds the values the
+// trigger captured: the report's `title`, and `status` and
+// `resolution_notes` or the reply's `message`.
+function renderNotification(template, data, locale) {
+  const recipient = data.is_supporter ? 'supported' : 'own';
+
+  let title;
+  let body;
+  if (template === 'reply') {
+    title = translate(locale, `notifications.reply.${recipient}`);
+    body = translate(locale, 'notifications.replyBody', { title: data.title, message: data.message || '' });
+  } else if (template === 'status_changed') {
+    const status = translate(locale, `statuses.${data.status}`);
+    title = translate(locale, `notifications.update.${recipient}`);
+    body = translate(locale, 'notifications.statusBody', { title: data.title, status });
+    if (data.resolution_notes) body += ` ${data.resolution_notes}`;
+  } else {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+
+  return {
+    title,
+    body: body.length > MAX_BODY_LENGTH ? `${body.slice(0, MAX_BODY_LENGTH - 1)}…` : body
+  };
+}
+
+module.exports = { renderNotification };
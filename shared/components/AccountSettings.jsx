@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react'
+import { getCurrentUser, changeEmail, changePassword, getPendingEmail } from '../supabase.js'
+import { isStrongPassword } from '../passwords.js'
+import { useI18n } from '../i18n/react.js'
+import PasswordRules from './PasswordRules.jsx'
+
+const inputClassName =
+  'mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm'
+const buttonClassName =
+  'inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50'
+
+// Changing the signed-in user's email address and password. A new address
+// only takes effect once confirmed from the email Supabase sends, whose link
+// leads to `emailRedirectTo`.
+const AccountSettings = ({ emailRedirectTo }) => {
+  const { t, formatError } = useI18n()
+  const [user, setUser] = useState(null)
+  const [email, setEmail] = useState('')
+  const [emailBusy, setEmailBusy] = useState(false)
+  const [emailMessage, setEmailMessage] = useState(null)
+  const [emailError, setEmailError] = useState(null)
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [passwordBusy, setPasswordBusy] = useState(false)
+  const [passwordMessage, setPasswordMessage] = useState(null)
+  const [passwordError, setPasswordError] = useState(null)
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch((err) => console.error('AccountSettings: could not load the current user', err))
+  }, [])
+
+  if (!user) return null
+
+  const pendingEmail = getPendingEmail(user)
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault()
+    setEmailBusy(true)
+    setEmailError(null)
+    setEmailMessage(null)
+    const address = email.trim()
+    try {
+      const updated = await changeEmail(address, { redirectTo: emailRedirectTo })
+      setUser(updated)
+      setEmail('')
+      setEmailMessage(
+        updated.email === address
+          ? t('account.emailChanged', { email: address })
+          : t('account.emailSent', { email: address })
+      )
+    } catch (err) {
+      setEmailError(err)
+    } finally {
+      setEmailBusy(false)
+    }
+  }
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault()
+    setPasswordError(null)
+    setPasswordMessage(null)
+    if (newPassword !== confirmation) {
+      setPasswordError(t('password.mismatch'))
+      return
+    }
+    setPasswordBusy(true)
+    try {
+      await changePassword(currentPassword, newPassword)
+      setCurrentPassword('')
+      setNewPassword('')
+      setConfirmation('')
+      setPasswordMessage(t('account.passwordChanged'))
+    } catch (err) {
+      setPasswordError(err)
+    } finally {
+      setPasswordBusy(false)
+    }
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto p-4 space-y-6">
+      <h2 className="text-2xl font-bold">{t('account.title')}</h2>
+
+      <form onSubmit={handleChangeEmail} className="bg-white shadow sm:rounded-lg px-4 py-5 sm:p-6 space-y-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">{t('account.emailTitle')}</h3>
+          <p className="mt-1 text-sm text-gray-600">{t('account.currentEmail', { email: user.email })}</p>
+          {pendingEmail && (
+            <p className="mt-1 text-sm text-yellow-700">{t('account.pendingEmail', { email: pendingEmail })}</p>
+          )}
+        </div>
+        <div>
+          <label htmlFor="account-new-email" className="block text-sm font-medium text-gray-700">{t('account.newEmail')}</label>
+          <input
+            id="account-new-email"
+            type="email"
+            autoComplete="email"
+            required
+            className={inputClassName}
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+        </div>
+        {emailMessage && <p className="text-sm text-green-700" role="status">{emailMessage}</p>}
+        {emailError && <p className="text-sm text-red-600">{formatError(emailError)}</p>}
+        <button
+          type="submit"
+          disabled={emailBusy || email.trim() === '' || email.trim().toLowerCase() === user.email.toLowerCase()}
+          className={buttonClassName}
+        >
+          {emailBusy ? t('account.saving') : t('account.changeEmail')}
+        </button>
+      </form>
+
+      <form onSubmit={handleChangePassword} className="bg-white shadow sm:rounded-lg px-4 py-5 sm:p-6 space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">{t('account.passwordTitle')}</h3>
+        <div>
+          <label htmlFor="account-current-password" className="block text-sm font-medium text-gray-700">{t('password.current')}</label>
+          <input
+            id="account-current-password"
+            type="password"
+            autoComplete="current-password"
+            required
+            className={inputClassName}
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="account-new-password" className="block text-sm font-medium text-gray-700">{t('password.new')}</label>
+          <input
+            id="account-new-password"
+            type="password"
+            autoComplete="new-password"
+            required
+            className={inputClassName}
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+          />
+          <PasswordRules password={newPassword} email={user.email} />
+        </div>
+        <div>
+          <label htmlFor="account-confirm-password" className="block text-sm font-medium text-gray-700">{t('password.confirm')}</label>
+          <input
+            id="account-confirm-password"
+            type="password"
+            autoComplete="new-password"
+            required
+            className={inputClassName}
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+          />
+        </div>
+        {passwordMessage && <p className="text-sm text-green-700" role="status">{passwordMessage}</p>}
+        {passwordError && <p className="text-sm text-red-600">{formatError(passwordError)}</p>}
+        <button
+          type="submit"
+          disabled={passwordBusy || currentPassword === '' || !isStrongPassword(newPassword, { email: user.email })}
+          className={buttonClassName}
+        >
+          {passwordBusy ? t('account.saving') : t('account.changePassword')}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default AccountSettings
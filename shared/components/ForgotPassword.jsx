@@ -0,0 +1,78 @@
+import React, { useState } from 'react'
+import { backend, requestPasswordReset } from '../supabase.js'
+import { useI18n } from '../i18n/react.js'
+
+// First step of resetting a forgotten password: emails a link that leads to
+// `redirectTo`, where ResetPassword takes over.
+const ForgotPassword = ({ redirectTo, onBack }) => {
+  const { t, formatError } = useI18n()
+  const [email, setEmail] = useState('')
+  const [sentTo, setSentTo] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError(null)
+    try {
+      await requestPasswordReset(email.trim(), { redirectTo })
+      setSentTo(email.trim())
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="mt-8 space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">{t('forgotPassword.title')}</h3>
+        <p className="mt-1 text-sm text-gray-600">{t('forgotPassword.intro')}</p>
+      </div>
+
+      {sentTo ? (
+        <div className="bg-green-50 border border-green-200 rounded-md px-4 py-3 text-sm text-green-800" role="status">
+          <p>{t('forgotPassword.sent', { email: sentTo })}</p>
+          {backend === 'local' && <p className="mt-1 text-gray-600">{t('forgotPassword.localHint')}</p>}
+        </div>
+      ) : (
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="reset-email" className="sr-only">{t('auth.email')}</label>
+            <input
+              id="reset-email"
+              name="email"
+              type="email"
+              autoComplete="email"
+              required
+              className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              placeholder={t('auth.email')}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </div>
+
+          {error && <div className="text-red-500 text-sm text-center">{formatError(error)}</div>}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {loading ? t('forgotPassword.sending') : t('forgotPassword.submit')}
+          </button>
+        </form>
+      )}
+
+      <div className="text-sm text-center">
+        <button type="button" onClick={onBack} className="font-medium text-indigo-600 hover:text-indigo-500">
+          {t('forgotPassword.back')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
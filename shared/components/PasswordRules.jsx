@@ -0,0 +1,26 @@
+import React from 'react'
+import { Check, X } from 'lucide-react'
+import { checkPassword, PASSWORD_MIN_LENGTH } from '../passwords.js'
+import { useI18n } from '../i18n/react.js'
+
+// The rules a new password must meet (shared/passwords.js), each ticked off
+// as the user types. `email` is the account's address.
+const PasswordRules = ({ password, email }) => {
+  const { t } = useI18n()
+
+  return (
+    <ul className="mt-2 space-y-1" aria-live="polite">
+      {checkPassword(password, { email }).map(({ id, met }) => (
+        <li key={id} className={`flex items-center text-xs ${met ? 'text-green-700' : 'text-gray-500'}`}>
+          {met
+            ? <Check className="h-3.5 w-3.5 me-1.5 flex-shrink-0" aria-hidden="true" />
+            : <X className="h-3.5 w-3.5 me-1.5 flex-shrink-0" aria-hidden="true" />}
+          {t(`password.rules.${id}`, { min: PASSWORD_MIN_LENGTH })}
+          <span className="sr-only">{met ? t('password.met') : t('password.notMet')}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default PasswordRules
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { ChevronLeft, ChevronRight, X } from 'lucide-react'
+import { useI18n } from '../i18n/react.js'
+
+// Minimum horizontal travel, in pixels, for a touch gesture to count as a swipe.
+const SWIPE_THRESHOLD = 50
+
+// Thumbnail strip that opens a full-screen, swipeable lightbox. `images` are
+// the objects returned by `getReportImages`. In right-to-left languages the
+// next photo is to the left, for the arrow keys and swipes too.
+const PhotoGallery = ({ images, thumbnailClassName = 'h-20 w-20' }) => {
+  const { t, dir } = useI18n()
+  const [openIndex, setOpenIndex] = useState(null)
+  const touchStartX = useRef(null)
+
+  const isOpen = openIndex !== null
+  const count = images.length
+  // +1 for the next photo, -1 for the previous one
+  const rightward = dir === 'rtl' ? -1 : 1
+
+  const showPrevious = () => setOpenIndex((index) => (index - 1 + count) % count)
+  const showNext = () => setOpenIndex((index) => (index + 1) % count)
+  const close = () => setOpenIndex(null)
+
+  useEffect(() => {
+    if (!isOpen) return undefined
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpenIndex(null)
+      if (e.key === 'ArrowLeft') setOpenIndex((index) => (index - rightward + count) % count)
+      if (e.key === 'ArrowRight') setOpenIndex((index) => (index + rightward + count) % count)
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [isOpen, count, rightward])
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX
+  }
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current
+    touchStartX.current = null
+    if (deltaX * rightward > SWIPE_THRESHOLD) showPrevious()
+    if (deltaX * rightward < -SWIPE_THRESHOLD) showNext()
+  }
+
+  if (count === 0) return null
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2">
+        {images.map((image, index) => (
+          <button
+            key={image.id}
+            type="button"
+            onClick={() => setOpenIndex(index)}
+            className="rounded-md overflow-hidden focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <img
+              src={image.thumbnail_url || image.url}
+              alt={t('photoGallery.photo', { number: index + 1, count })}
+              loading="lazy"
+              className={`${thumbnailClassName} object-cover`}
+            />
+          </button>
+        ))}
+      </div>
+
+      {isOpen && (
+        <div
+          className="fixed inset-0 z-[1000] bg-black bg-opacity-90 flex items-center justify-center"
+          role="dialog"
+          aria-modal="true"
+          onClick={close}
+          onTouchStart={handleTouchStart}
+          onTouchEnd={handleTouchEnd}
+        >
+          <img
+            src={images[openIndex].url}
+            alt={t('photoGallery.photo', { number: openIndex + 1, count })}
+            className="max-h-full max-w-full object-contain"
+            onClick={(e) => e.stopPropagation()}
+          />
+
+          <button
+            type="button"
+            onClick={close}
+            className="absolute top-4 end-4 text-white hover:text-gray-300"
+            aria-label={t('common.close')}
+          >
+            <X className="h-8 w-8" />
+          </button>
+
+          {count > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation()
+                  showPrevious()
+                }}
+                className="absolute start-2 top-1/2 -translate-y-1/2 text-white hover:text-gray-300"
+                aria-label={t('photoGallery.previous')}
+              >
+                <ChevronLeft className="h-10 w-10 rtl:rotate-180" />
+              </button>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation()
+                  showNext()
+                }}
+                className="absolute end-2 top-1/2 -translate-y-1/2 text-white hover:text-gray-300"
+                aria-label={t('photoGallery.next')}
+              >
+                <ChevronRight className="h-10 w-10 rtl:rotate-180" />
+              </button>
+              <p className="absolute bottom-4 inset-x-0 text-center text-sm text-white">
+                {t('photoGallery.position', { number: openIndex + 1, count })}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
+
+export default PhotoGallery
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react'
+import { listReportEvents, subscribeToReportEvents, describeEvent } from '../reportEvents.js'
+import { useI18n } from '../i18n/react.js'
+
+// History of a report, oldest first, kept up to date in realtime. Staff views
+// pass `includeInternal` to also show staff-only events.
+const ReportTimeline = ({ reportId, includeInternal = false }) => {
+  const i18n = useI18n()
+  const { t, formatDateTime, formatError } = i18n
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    listReportEvents(reportId, { includeInternal })
+      .then((data) => {
+        if (!cancelled) setEvents(data)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    const unsubscribe = subscribeToReportEvents(reportId, (event) => {
+      if (event.is_internal && !includeInternal) return
+      setEvents((current) => (current.some((existing) => existing.id === event.id) ? current : [...current, event]))
+    })
+
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [reportId, includeInternal])
+
+  if (loading) return <p className="text-sm text-gray-500">{t('timeline.loading')}</p>
+  if (error) return <p className="text-sm text-red-600">{formatError(error)}</p>
+  if (events.length === 0) return <p className="text-sm text-gray-500">{t('timeline.empty')}</p>
+
+  return (
+    <ol className="relative border-s border-gray-200 ms-1.5">
+      {events.map((event) => (
+        <li key={event.id} className="mb-3 ms-4">
+          <span className="absolute -start-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-indigo-500" />
+          <p className="text-sm text-gray-900">
+            {describeEvent(event, i18n)}
+            {event.is_internal && (
+              <span className="ms-2 rounded bg-gray-100 px-1.5 py-0.5 text-xs text-gray-600">{t('timeline.internal')}</span>
+            )}
+          </p>
+          {event.data.resolution_notes && (
+            <p className="text-sm text-gray-600">{event.data.resolution_notes}</p>
+          )}
+          {event.data.message && (
+            <p className="text-sm text-gray-600">{event.data.message}</p>
+          )}
+          <time className="text-xs text-gray-500" dateTime={event.created_at}>
+            {formatDateTime(event.created_at)}
+          </time>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default ReportTimeline
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react'
+import { supabase, updatePassword } from '../supabase.js'
+import { isStrongPassword } from '../passwords.js'
+import { useI18n } from '../i18n/react.js'
+import PasswordRules from './PasswordRules.jsx'
+
+// Where a password reset link leads: the link has signed the user in with a
+// recovery session, and they choose a new password. Expired or used links
+// leave no session, and `onCancel` takes them back to ask for a new one.
+// `onDone` is called when they continue after saving.
+const ResetPassword = ({ onDone, onCancel }) => {
+  const { t, formatError } = useI18n()
+  // undefined while the link is being checked
+  const [user, setUser] = useState(undefined)
+  const [password, setPassword] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [saved, setSaved] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    // Resolves once supabase-js has read the tokens from the link
+    supabase.auth.getSession()
+      .then(({ data: { session } }) => setUser(session ? session.user : null))
+      .catch((err) => {
+        console.error('ResetPassword: could not read the session', err)
+        setUser(null)
+      })
+  }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (password !== confirmation) {
+      setError(t('password.mismatch'))
+      return
+    }
+    setLoading(true)
+    setError(null)
+    try {
+      await updatePassword(password)
+      setSaved(true)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const inputClassName =
+    'mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm'
+  const buttonClassName =
+    'w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50'
+
+  let content
+  if (user === undefined) {
+    content = <p className="mt-4 text-sm text-gray-600">{t('resetPassword.checking')}</p>
+  } else if (user === null) {
+    content = (
+      <div className="mt-4 space-y-4">
+        <p className="text-sm text-red-600">{t('resetPassword.invalid')}</p>
+        <button type="button" onClick={onCancel} className={buttonClassName}>
+          {t('resetPassword.requestNew')}
+        </button>
+      </div>
+    )
+  } else if (saved) {
+    content = (
+      <div className="mt-4 space-y-4">
+        <p className="text-sm text-green-700" role="status">{t('resetPassword.done')}</p>
+        <button type="button" onClick={onDone} className={buttonClassName}>
+          {t('common.continue')}
+        </button>
+      </div>
+    )
+  } else {
+    content = (
+      <form className="mt-4 space-y-4" onSubmit={handleSubmit}>
+        <p className="text-sm text-gray-600">{t('resetPassword.intro', { email: user.email })}</p>
+        <div>
+          <label htmlFor="reset-new-password" className="block text-sm font-medium text-gray-700">{t('password.new')}</label>
+          <input
+            id="reset-new-password"
+            type="password"
+            autoComplete="new-password"
+            required
+            className={inputClassName}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <PasswordRules password={password} email={user.email} />
+        </div>
+        <div>
+          <label htmlFor="reset-confirm-password" className="block text-sm font-medium text-gray-700">{t('password.confirm')}</label>
+          <input
+            id="reset-confirm-password"
+            type="password"
+            autoComplete="new-password"
+            required
+            className={inputClassName}
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600">{formatError(error)}</p>}
+
+        <button
+          type="submit"
+          disabled={loading || !isStrongPassword(password, { email: user.email })}
+          className={buttonClassName}
+        >
+          {loading ? t('resetPassword.saving') : t('resetPassword.submit')}
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="max-w-md mx-auto mt-12 bg-white shadow rounded-lg p-6">
+      <h2 className="text-lg font-medium text-gray-900">{t('resetPassword.title')}</h2>
+      {content}
+    </div>
+  )
+}
+
+export default ResetPassword
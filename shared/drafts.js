@@ -0,0 +1,54 @@
+import { supabase } from './supabase.js'
+import { createKeyValueStore } from './idb.js'
+
+// Unfinished reports kept on the device, so a reload or a trip to the camera
+// app does not lose what the resident has typed. A draft is
+// `{ id, title, description, category, address, location, photos }` with
+// photos as `{ id, file, uploaded }`, the same shape as a submission (see
+// submissions.js); its id becomes the report id when it is sent.
+
+// Drafts untouched for this long are dropped.
+const MAX_AGE_MS = 1000 * 60 * 60 * 24 * 30 // 30 days
+
+const drafts = createKeyValueStore('civic-report-drafts', 'drafts')
+
+const getUserId = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session ? session.user.id : null
+}
+
+// True when there is nothing worth keeping: the default category and a
+// location, with the address looked up for it, do not make a draft.
+export const isDraftEmpty = (draft) =>
+  !draft.title.trim() &&
+  !draft.description.trim() &&
+  draft.photos.length === 0
+
+// Creates or replaces a draft of the signed-in user.
+export const saveDraft = async (draft) => {
+  const userId = await getUserId()
+  if (!userId) return
+
+  await drafts.set(draft.id, { draft, userId, updatedAt: new Date().toISOString() })
+}
+
+// Drafts of the signed-in user as `{ draft, updatedAt }`, most recent first.
+export const listDrafts = async () => {
+  const userId = await getUserId()
+  if (!userId) return []
+
+  const cutoff = Date.now() - MAX_AGE_MS
+  const entries = (await drafts.entries()).map(([, entry]) => entry)
+  await Promise.all(
+    entries
+      .filter((entry) => Date.parse(entry.updatedAt) < cutoff)
+      .map((entry) => drafts.del(entry.draft.id))
+  )
+
+  return entries
+    .filter((entry) => entry.userId === userId && Date.parse(entry.updatedAt) >= cutoff)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(({ draft, updatedAt }) => ({ draft, updatedAt }))
+}
+
+export const discardDraft = (id) => drafts.del(id)
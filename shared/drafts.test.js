@@ -0,0 +1,112 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { supabase } from './supabase.js'
+import { newId } from './ids.js'
+import { saveDraft, listDrafts, discardDraft, isDraftEmpty } from './drafts.js'
+
+// The local backend keeps its session in localStorage, which Node lacks.
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+}
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+const signIn = async (email) => {
+  const { error } = await supabase.auth.signInWithPassword({ email, password: 'password' })
+  assert.ifError(error)
+}
+
+const newDraft = (changes = {}) => ({
+  id: newId(),
+  title: 'Pothole',
+  description: '',
+  category: 'pothole',
+  address: '',
+  location: null,
+  photos: [],
+  ...changes
+})
+
+// No drafts, signed in as the resident.
+beforeEach(async () => {
+  storage.clear()
+  await supabase.local.reset()
+  await signIn('resident@example.com')
+  for (const { draft } of await listDrafts()) await discardDraft(draft.id)
+})
+
+test('a saved draft comes back as it was saved', async () => {
+  const draft = newDraft({
+    description: 'Deep one by the bus stop',
+    address: '1 High Street',
+    location: { lat: 51.5, lng: -0.12, accuracy: null },
+    photos: [{ id: newId(), file: null, uploaded: { path: 'a.webp', thumbnailPath: 'a-thumb.webp' } }]
+  })
+  await saveDraft(draft)
+
+  const [saved] = await listDrafts()
+  assert.deepEqual(saved.draft, draft)
+  assert.ok(Date.parse(saved.updatedAt) <= Date.now())
+})
+
+test('saving a draft again replaces it, and the latest comes first', async (t) => {
+  const first = newDraft({ title: 'First' })
+  const second = newDraft({ title: 'Second' })
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() })
+
+  await saveDraft(first)
+  t.mock.timers.tick(1000)
+  await saveDraft(second)
+  t.mock.timers.tick(1000)
+  await saveDraft({ ...first, title: 'First, edited' })
+
+  assert.deepEqual((await listDrafts()).map(({ draft }) => draft.title), ['First, edited', 'Second'])
+})
+
+test('discarded drafts are gone', async () => {
+  const draft = newDraft()
+  await saveDraft(draft)
+  await discardDraft(draft.id)
+
+  assert.deepEqual(await listDrafts(), [])
+})
+
+test('drafts untouched for 30 days are dropped', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() })
+  await saveDraft(newDraft())
+
+  t.mock.timers.tick(29 * DAY_MS)
+  assert.equal((await listDrafts()).length, 1)
+
+  t.mock.timers.tick(2 * DAY_MS)
+  assert.deepEqual(await listDrafts(), [])
+
+  // Deleted, not only hidden
+  t.mock.timers.reset()
+  assert.deepEqual(await listDrafts(), [])
+})
+
+test('drafts belong to the user who saved them', async () => {
+  await saveDraft(newDraft())
+
+  await supabase.auth.signOut()
+  assert.deepEqual(await listDrafts(), [])
+  await saveDraft(newDraft({ title: 'Not kept' }))
+
+  await signIn('staff@example.com')
+  assert.deepEqual(await listDrafts(), [])
+
+  await signIn('resident@example.com')
+  assert.deepEqual((await listDrafts()).map(({ draft }) => draft.title), ['Pothole'])
+})
+
+test('a draft is empty until it has a title, description or photo', () => {
+  const draft = newDraft({ title: '  ', address: '1 High Street', location: { lat: 51.5, lng: -0.12, accuracy: 5 } })
+  assert.equal(isDraftEmpty(draft), true)
+  assert.equal(isDraftEmpty({ ...draft, title: 'Pothole' }), false)
+  assert.equal(isDraftEmpty({ ...draft, description: 'Deep' }), false)
+  assert.equal(isDraftEmpty({ ...draft, photos: [{ id: newId(), file: null, uploaded: null }] }), false)
+})
@@ -0,0 +1,32 @@
+// Errors the shared modules throw for the resident or staff member to read.
+// They carry a `code` naming a message under `errors` in the catalogues
+// (shared/i18n/locales) and the `values` for its placeholders, rather than
+// English text; the apps show them with `formatError` from useI18n.
+
+export class AppError extends Error {
+  constructor(code, values = {}) {
+    super(code)
+    this.name = 'AppError'
+    this.code = code
+    this.values = values
+  }
+}
+
+// What fetch's TypeError says when the request never reached the server, in
+// Chrome, Firefox, Safari and React Native. supabase-js passes the message on.
+const NETWORK_ERROR_MESSAGE = /failed to fetch|networkerror|load failed|network request failed/i
+
+// True for errors caused by having no connection, as opposed to the server
+// rejecting the request. Other TypeErrors are bugs; they are shown, not
+// retried.
+export const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  NETWORK_ERROR_MESSAGE.test(error && error.message)
+
+// The parts of an error worth keeping, e.g. in IndexedDB, for `formatError`
+// to show later.
+export const toPlainError = (error) => ({
+  code: (error && error.code) || null,
+  values: (error && error.values) || {},
+  message: (error && error.message) || String(error)
+})
@@ -0,0 +1,39 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { AppError, isNetworkError, toPlainError } from './errors.js'
+
+afterEach(() => {
+  delete globalThis.navigator
+})
+
+test('isNetworkError recognises what each browser says when fetch cannot connect', () => {
+  for (const message of [
+    'Failed to fetch',
+    'NetworkError when attempting to fetch resource.',
+    'Load failed',
+    'Network request failed'
+  ]) {
+    assert.equal(isNetworkError(new TypeError(message)), true, message)
+  }
+})
+
+test('isNetworkError leaves bugs and server errors alone', () => {
+  assert.equal(isNetworkError(new TypeError('report.images is undefined')), false)
+  assert.equal(isNetworkError({ code: '23514', message: 'new row violates check constraint' }), false)
+  assert.equal(isNetworkError(null), false)
+})
+
+test('isNetworkError treats every error as a network error while the browser is offline', () => {
+  globalThis.navigator = { onLine: false }
+  assert.equal(isNetworkError(new Error('anything')), true)
+})
+
+test('toPlainError keeps what formatError needs', () => {
+  assert.deepEqual(toPlainError(new AppError('tooManyPhotos', { count: 5 })), {
+    code: 'tooManyPhotos',
+    values: { count: 5 },
+    message: 'tooManyPhotos'
+  })
+  assert.deepEqual(toPlainError(new Error('Boom')), { code: null, values: {}, message: 'Boom' })
+  assert.deepEqual(toPlainError('Boom'), { code: null, values: {}, message: 'Boom' })
+})
@@ -0,0 +1,108 @@
+import { supabase } from './supabase.js'
+import { listReportEvents } from './reportEvents.js'
+import { getSignedUrls } from './imageUrls.js'
+
+// The reporter's answer to a resolution (migration 0021_resolution_feedback):
+// a 1-5 rating with either a confirmation that the issue is fixed or a
+// request to reopen the report because it is not. The photo sent with a
+// reopen stays on the feedback row (0022_feedback_photos) rather than joining
+// the report's own photos.
+
+export const RATINGS = [1, 2, 3, 4, 5]
+
+// Reopening is only possible this long after the resolution; after that the
+// resident files a new report.
+export const REOPEN_WINDOW_DAYS = 30
+
+const TABLE = 'report_feedback'
+const DAY_MS = 1000 * 60 * 60 * 24
+
+// Where a resolved report stands for its reporter: `{ resolution, feedback,
+// canReopen }`, with `resolution` the event that resolved it and `feedback`
+// the answer already given to it, if any. Returns null unless the report is
+// resolved.
+export const getResolutionFeedback = async (report) => {
+  if (report.status !== 'resolved') return null
+
+  const events = await listReportEvents(report.id)
+  const resolution = events.filter((event) => event.type === 'status_changed' && event.to_status === 'resolved').pop()
+  if (!resolution) return null
+
+  const { data: feedback, error } = await supabase
+    .from(TABLE)
+    .select('*')
+    .eq('resolution_event_id', resolution.id)
+    .maybeSingle()
+  if (error) throw error
+
+  const canReopen = Date.now() - Date.parse(resolution.created_at) < REOPEN_WINDOW_DAYS * DAY_MS
+  return { resolution, feedback, canReopen }
+}
+
+// The reporter confirms the fix. Returns the feedback row.
+export const confirmResolution = async (reportId, { rating, comment }) => {
+  const { data, error } = await supabase.rpc('respond_to_resolution', {
+    report_id: reportId,
+    rating,
+    comment: comment || null
+  })
+  if (error) throw error
+  return data
+}
+
+// The reporter says the issue is still there: reopens the report with
+// `comment`, which is also posted as their reply, and `photo`, the result of
+// `uploadImage` for this report. Returns the feedback row.
+export const reopenReport = async (reportId, { rating, comment, photo }) => {
+  const { data, error } = await supabase.rpc('respond_to_resolution', {
+    report_id: reportId,
+    rating,
+    comment,
+    reopen: true,
+    photo_path: photo.path,
+    photo_thumbnail_path: photo.thumbnailPath
+  })
+  if (error) throw error
+  return data
+}
+
+// Every answer, oldest first; staff only. `reportIds` narrows it down, e.g.
+// to the report open in the admin map.
+export const listFeedback = async ({ since, reportIds } = {}) => {
+  let query = supabase
+    .from(TABLE)
+    .select('*')
+    .order('created_at', { ascending: true })
+
+  if (since) query = query.gte('created_at', new Date(since).toISOString())
+  if (reportIds) query = query.in('report_id', reportIds)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data
+}
+
+// Satisfaction figures for a list of feedback rows: how many, the average
+// rating (null without any), how many of each rating, and how many confirmed
+// the fix or reopened the report.
+export const summarizeFeedback = (feedback) => {
+  const total = feedback.reduce((sum, row) => sum + row.rating, 0)
+  const reopened = feedback.filter((row) => row.reopened).length
+  return {
+    count: feedback.length,
+    averageRating: feedback.length === 0 ? null : total / feedback.length,
+    ratingCounts: RATINGS.map((rating) => ({ rating, count: feedback.filter((row) => row.rating === rating).length })),
+    confirmed: feedback.length - reopened,
+    reopened
+  }
+}
+
+// Gives each answer a `photo` for PhotoGallery, with signed `url` and
+// `thumbnail_url`: the photo sent when reopening, or null.
+export const withFeedbackPhotos = async (feedback) => {
+  const urls = await getSignedUrls(feedback.flatMap((row) => [row.photo_path, row.photo_thumbnail_path]))
+  return feedback.map((row) => {
+    const url = urls.get(row.photo_path) || null
+    return { ...row, photo: url ? { id: row.id, url, thumbnail_url: urls.get(row.photo_thumbnail_path) || url } : null }
+  })
+}
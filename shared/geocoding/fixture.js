@@ -0,0 +1,48 @@
+import { distanceInMeters } from '../map.js'
+
+// Offline geocoder over a fixed list of places around the default map centre,
+// for the local backend and for working without network access. Matches the
+// addresses of the local demo reports (see ../local/seed.js).
+
+const PLACES = [
+  { address: 'Sector 17 Market Road, Sector 17, Chandigarh', lat: 30.7352, lng: 76.7789 },
+  { address: 'Sector 17 Plaza, Sector 17, Chandigarh', lat: 30.7398, lng: 76.7827 },
+  { address: 'Leisure Valley, north gate, Sector 10, Chandigarh', lat: 30.7411, lng: 76.7682 },
+  { address: 'Rose Garden, Sector 16, Chandigarh', lat: 30.7461, lng: 76.7820 },
+  { address: 'Sector 20 inner lane, Sector 20, Chandigarh', lat: 30.7268, lng: 76.7901 },
+  { address: 'Madhya Marg bus stop, Sector 8, Chandigarh', lat: 30.7195, lng: 76.7712 },
+  { address: 'Madhya Marg, Sector 7, Chandigarh', lat: 30.7333, lng: 76.7944 },
+  { address: 'Jan Marg, Sector 9, Chandigarh', lat: 30.7456, lng: 76.7880 },
+  { address: 'Sukhna Lake promenade, Sector 1, Chandigarh', lat: 30.7421, lng: 76.8188 },
+  { address: 'Sector 22 Market, Sector 22, Chandigarh', lat: 30.7334, lng: 76.7704 },
+  { address: 'Sector 35 Market, Sector 35, Chandigarh', lat: 30.7233, lng: 76.7584 },
+  { address: 'Dakshin Marg, Sector 30, Chandigarh', lat: 30.7117, lng: 76.7901 }
+]
+
+// Points further than this from every place have no address.
+const MAX_DISTANCE_M = 1500
+
+export const createFixtureGeocoder = ({ places = PLACES } = {}) => ({
+  suggestsAsYouType: true,
+
+  reverse: async (location) => {
+    let nearest = null
+    let nearestDistance = Infinity
+    places.forEach((place) => {
+      const distance = distanceInMeters(location, place)
+      if (distance < nearestDistance) {
+        nearest = place
+        nearestDistance = distance
+      }
+    })
+    return nearestDistance <= MAX_DISTANCE_M ? { ...nearest } : null
+  },
+
+  search: async (text, { limit = 5 } = {}) => {
+    const words = text.toLowerCase().split(/[\s,]+/).filter(Boolean)
+    return places
+      .filter((place) => words.every((word) => place.address.toLowerCase().includes(word)))
+      .slice(0, limit)
+      .map((place) => ({ ...place }))
+  }
+})
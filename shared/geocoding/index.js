@@ -0,0 +1,74 @@
+import { createKeyValueStore } from '../idb.js'
+import { DEFAULT_MAP_CENTER } from '../map.js'
+import { createNominatimGeocoder } from './nominatim.js'
+import { createFixtureGeocoder } from './fixture.js'
+
+// Turning pins into addresses and addresses into pins. A provider has
+// `reverse({ lat, lng })`, resolving to a place or null,
+// `search(text, { limit })`, resolving to a list of places, where a place is
+// `{ address, lat, lng }`, and `suggestsAsYouType`, false when its operator
+// only allows searches the user asked for. Pick one with VITE_GEOCODER; it defaults to the
+// fixture provider with the local backend and to Nominatim otherwise.
+
+const env = import.meta.env || {}
+
+const providers = {
+  nominatim: () =>
+    createNominatimGeocoder({
+      url: env.VITE_GEOCODER_URL || undefined,
+      email: env.VITE_GEOCODER_EMAIL || undefined,
+      near: DEFAULT_MAP_CENTER
+    }),
+  local: () => createFixtureGeocoder()
+}
+
+const providerName = env.VITE_GEOCODER || (env.VITE_BACKEND === 'local' ? 'local' : 'nominatim')
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown VITE_GEOCODER "${providerName}" (expected one of: ${Object.keys(providers).join(', ')})`)
+}
+
+const provider = providers[providerName]()
+
+// Results are kept for a month, in memory and on the device, so moving the
+// pin back and forth or retyping an address does not repeat requests.
+const CACHE_TTL_MS = 1000 * 60 * 60 * 24 * 30 // 30 days
+const MAX_MEMORY_ENTRIES = 200
+
+const memory = new Map()
+const stored = createKeyValueStore('civic-geocoder-cache', 'results')
+
+const cached = async (key, lookup) => {
+  const now = Date.now()
+  const hit = memory.get(key) || (await stored.get(key).catch(() => undefined))
+  if (hit && now - hit.at < CACHE_TTL_MS) {
+    memory.set(key, hit)
+    return hit.value
+  }
+
+  const value = await lookup()
+  const entry = { value, at: now }
+  if (memory.size >= MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value)
+  memory.set(key, entry)
+  stored.set(key, entry).catch((err) => console.warn('Geocoder: could not cache a result', err))
+  return value
+}
+
+// The place at a location, or null when it has no address. Locations about a
+// metre apart share a cache entry.
+export const reverseGeocode = ({ lat, lng }) =>
+  cached(`${providerName}:reverse:${lat.toFixed(5)},${lng.toFixed(5)}`, () => provider.reverse({ lat, lng }))
+
+// Whether address fields may search while the user types. When false, only
+// search when they ask (press Enter or a search button).
+export const suggestsAsYouType = provider.suggestsAsYouType
+
+// Places matching a typed address, best match first.
+export const searchAddress = (text, { limit = 5 } = {}) => {
+  const query = text.trim().replace(/\s+/g, ' ')
+  if (!query) return Promise.resolve([])
+  return cached(`${providerName}:search:${limit}:${query.toLowerCase()}`, () => provider.search(query, { limit }))
+}
+
+// "Lat: 30.73520, Lng: 76.77890", for when no address can be found.
+export const formatCoordinates = ({ lat, lng }) => `Lat: ${lat.toFixed(5)}, Lng: ${lng.toFixed(5)}`
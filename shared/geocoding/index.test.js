@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { reverseGeocode, searchAddress, suggestsAsYouType, formatCoordinates } from './index.js'
+
+// With the local backend the fixture provider answers (see fixture.js).
+const ROSE_GARDEN = { lat: 30.7461, lng: 76.782 }
+const DAY_MS = 1000 * 60 * 60 * 24
+
+test('the local backend uses the fixture provider', async () => {
+  assert.equal(suggestsAsYouType, true)
+  assert.deepEqual(await reverseGeocode(ROSE_GARDEN), { address: 'Rose Garden, Sector 16, Chandigarh', ...ROSE_GARDEN })
+  assert.equal(await reverseGeocode({ lat: 0, lng: 0 }), null)
+})
+
+test('locations about a metre apart share a cached result', async () => {
+  const location = { lat: 30.7352, lng: 76.7789 }
+  const first = await reverseGeocode(location)
+  // A cached result is the very same object.
+  assert.equal(await reverseGeocode(location), first)
+  assert.equal(await reverseGeocode({ lat: location.lat + 0.000004, lng: location.lng - 0.000004 }), first)
+  assert.notEqual(await reverseGeocode({ lat: location.lat + 0.00002, lng: location.lng }), first)
+})
+
+test('searches differing only in case and spacing share a cached result', async () => {
+  const first = await searchAddress('Sector 17')
+  assert.equal(first.length, 2)
+  assert.equal(await searchAddress('  sector   17 '), first)
+  assert.notEqual(await searchAddress('Sector 17', { limit: 1 }), first)
+  assert.deepEqual(await searchAddress('   '), [])
+})
+
+test('cached results are looked up again after 30 days', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() })
+  const location = { lat: 30.7195, lng: 76.7712 }
+  const first = await reverseGeocode(location)
+
+  t.mock.timers.tick(29 * DAY_MS)
+  assert.equal(await reverseGeocode(location), first)
+
+  t.mock.timers.tick(2 * DAY_MS)
+  const renewed = await reverseGeocode(location)
+  assert.notEqual(renewed, first)
+  assert.deepEqual(renewed, first)
+})
+
+test('formatCoordinates rounds to about a metre', () => {
+  assert.equal(formatCoordinates({ lat: 30.735201234, lng: -76.7789 }), 'Lat: 30.73520, Lng: -76.77890')
+})
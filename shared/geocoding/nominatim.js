@@ -0,0 +1,67 @@
+// Geocoding against a Nominatim-compatible HTTP API (the public OpenStreetMap
+// instance by default, or a self-hosted one). The public instance allows one
+// request per second, so requests are spaced out here; repeated lookups are
+// answered from the cache in index.js and never reach this provider. Its
+// usage policy also forbids autocomplete, so it only searches on request
+// (`suggestsAsYouType` is false); a self-hosted server has no such rule.
+
+const PUBLIC_URL = 'https://nominatim.openstreetmap.org'
+const MIN_INTERVAL_MS = 1000
+
+// Turns a Nominatim result into a short, readable address such as
+// "12 Madhya Marg, Sector 17, Chandigarh", falling back to the full name.
+const formatAddress = (result) => {
+  const parts = result.address || {}
+  const street = [parts.house_number, parts.road || parts.pedestrian || parts.footway].filter(Boolean).join(' ')
+  const area = parts.neighbourhood || parts.suburb || parts.quarter
+  const place = parts.city || parts.town || parts.village || parts.municipality
+  const short = [street, area, place].filter(Boolean)
+  return short.length >= 2 ? short.join(', ') : result.display_name
+}
+
+const toPlace = (result) => ({
+  address: formatAddress(result),
+  lat: Number(result.lat),
+  lng: Number(result.lon)
+})
+
+// `near` is a `{ lat, lng }` that search results are biased towards.
+export const createNominatimGeocoder = ({ url = PUBLIC_URL, email, near } = {}) => {
+  const baseUrl = url.replace(/\/$/, '')
+  let queue = Promise.resolve()
+
+  // Runs requests one after another, at most one per MIN_INTERVAL_MS.
+  const request = (path, params) => {
+    const run = queue.then(async () => {
+      const query = new URLSearchParams({ format: 'jsonv2', addressdetails: '1', ...params })
+      if (email) query.set('email', email)
+      const headers = typeof navigator !== 'undefined' && navigator.language
+        ? { 'Accept-Language': navigator.language }
+        : {}
+      const response = await fetch(`${baseUrl}/${path}?${query}`, { headers })
+      if (!response.ok) throw new Error(`Geocoding failed (${response.status})`)
+      return response.json()
+    })
+    queue = run.catch(() => {}).then(() => new Promise((resolve) => setTimeout(resolve, MIN_INTERVAL_MS)))
+    return run
+  }
+
+  return {
+    suggestsAsYouType: new URL(baseUrl).hostname !== new URL(PUBLIC_URL).hostname,
+
+    reverse: async ({ lat, lng }) => {
+      const result = await request('reverse', { lat: String(lat), lon: String(lng), zoom: '18' })
+      return result && !result.error ? toPlace(result) : null
+    },
+
+    search: async (text, { limit = 5 } = {}) => {
+      const params = { q: text, limit: String(limit) }
+      if (near) {
+        // Prefer, but do not limit to, results within about 20 km.
+        params.viewbox = [near.lng - 0.2, near.lat + 0.2, near.lng + 0.2, near.lat - 0.2].join(',')
+      }
+      const results = await request('search', params)
+      return results.map(toPlace)
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setImmediate } from 'node:timers/promises'
+import { createNominatimGeocoder } from './nominatim.js'
+
+const REVERSE_RESULT = {
+  lat: '30.7352',
+  lon: '76.7789',
+  display_name: '12, Madhya Marg, Sector 17, Chandigarh, 160017, India',
+  address: { house_number: '12', road: 'Madhya Marg', suburb: 'Sector 17', city: 'Chandigarh' }
+}
+
+const realFetch = globalThis.fetch
+let requests
+
+// Answers every request with `body`, recording the URLs asked for.
+const respondWith = (body) => {
+  globalThis.fetch = async (url) => {
+    requests.push(new URL(url))
+    return { ok: true, status: 200, json: async () => body }
+  }
+}
+
+beforeEach(() => {
+  requests = []
+})
+
+afterEach(() => {
+  globalThis.fetch = realFetch
+})
+
+test('only a server of your own suggests addresses as you type', () => {
+  assert.equal(createNominatimGeocoder().suggestsAsYouType, false)
+  assert.equal(createNominatimGeocoder({ url: 'https://nominatim.openstreetmap.org/' }).suggestsAsYouType, false)
+  assert.equal(createNominatimGeocoder({ url: 'https://geocoder.example.org' }).suggestsAsYouType, true)
+})
+
+test('reverse shortens the address and sends the contact address', async () => {
+  respondWith(REVERSE_RESULT)
+  const geocoder = createNominatimGeocoder({ url: 'https://geocoder.example.org/', email: 'ops@example.org' })
+
+  const place = await geocoder.reverse({ lat: 30.7352, lng: 76.7789 })
+  assert.deepEqual(place, { address: '12 Madhya Marg, Sector 17, Chandigarh', lat: 30.7352, lng: 76.7789 })
+  assert.equal(requests[0].origin + requests[0].pathname, 'https://geocoder.example.org/reverse')
+  assert.equal(requests[0].searchParams.get('email'), 'ops@example.org')
+  assert.equal(requests[0].searchParams.get('lon'), '76.7789')
+})
+
+test('reverse resolves to null where there is no address', async () => {
+  respondWith({ error: 'Unable to geocode' })
+  assert.equal(await createNominatimGeocoder().reverse({ lat: 0, lng: 0 }), null)
+})
+
+test('search prefers results near the map centre', async () => {
+  respondWith([REVERSE_RESULT])
+  const geocoder = createNominatimGeocoder({ near: { lat: 30.7333, lng: 76.7794 } })
+
+  assert.equal((await geocoder.search('Madhya Marg', { limit: 3 })).length, 1)
+  const params = requests[0].searchParams
+  assert.equal(params.get('q'), 'Madhya Marg')
+  assert.equal(params.get('limit'), '3')
+  assert.equal(params.get('viewbox').split(',').length, 4)
+})
+
+test('requests are spaced a second apart', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] })
+  respondWith(REVERSE_RESULT)
+  const geocoder = createNominatimGeocoder()
+
+  const first = geocoder.reverse({ lat: 30.7352, lng: 76.7789 })
+  const second = geocoder.reverse({ lat: 30.7398, lng: 76.7827 })
+  await first
+  await setImmediate()
+  assert.equal(requests.length, 1)
+
+  t.mock.timers.tick(1000)
+  await second
+  assert.equal(requests.length, 2)
+})
@@ -0,0 +1,176 @@
+import en from './locales/en.json'
+import es from './locales/es.json'
+import ar from './locales/ar.json'
+import { isNetworkError } from '../errors.js'
+
+// Translations for both apps. Each locale has a catalogue in ./locales with
+// the same nested keys as en.json, which is the reference and the fallback
+// for anything not translated yet (npm run i18n:check lists those).
+//
+// Messages may contain {placeholders}. A message that depends on a number is
+// an object keyed by plural category (see Intl.PluralRules: zero, one, two,
+// few, many, other) and is picked with the `count` value.
+
+export const DEFAULT_LOCALE = 'en'
+
+// `name` is shown in the language switcher, in the language itself.
+export const LOCALES = [
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' }
+]
+
+const CATALOGUES = { en, es, ar }
+
+const STORAGE_KEY = 'civic-locale'
+
+// The supported locale for a language tag, ignoring the region
+// ("es-MX" -> "es"), or null.
+export const matchLocale = (tag) => {
+  if (!tag) return null
+  const language = tag.toLowerCase().split('-')[0]
+  const locale = LOCALES.find(({ code }) => code === language)
+  return locale ? locale.code : null
+}
+
+// The locale to start with: the one chosen before on this device, else the
+// first of the browser's preferred languages that we support.
+export const detectLocale = () => {
+  let saved = null
+  try {
+    saved = matchLocale(localStorage.getItem(STORAGE_KEY))
+  } catch {
+    // Storage can be unavailable, e.g. in some private browsing modes
+  }
+  if (saved) return saved
+
+  const preferred = typeof navigator === 'undefined'
+    ? []
+    : navigator.languages || [navigator.language]
+  for (const tag of preferred) {
+    const locale = matchLocale(tag)
+    if (locale) return locale
+  }
+  return DEFAULT_LOCALE
+}
+
+// Remembers the resident's choice on this device.
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale)
+  } catch {
+    // Not remembered, but still used for this visit
+  }
+}
+
+// "ltr" or "rtl".
+export const getDirection = (locale) => {
+  const found = LOCALES.find(({ code }) => code === locale)
+  return found ? found.dir : 'ltr'
+}
+
+const lookup = (catalogue, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue)
+
+// "Saved {date}" -> ['Saved ', values.date]. Unknown placeholders stay as
+// they are.
+const toParts = (message, values) =>
+  message
+    .split(/(\{\w+\})/)
+    .filter((part) => part !== '')
+    .map((part) => {
+      const match = /^\{(\w+)\}$/.exec(part)
+      return match && match[1] in values ? values[match[1]] : part
+    })
+
+// Everything the apps need to show text in `locale`: `t(key, values)` for
+// messages, and formatters for dates, numbers, lists, statuses, categories
+// and errors. Numbers passed to `t` are formatted for the locale too.
+export const createI18n = (locale) => {
+  const catalogue = CATALOGUES[locale] || CATALOGUES[DEFAULT_LOCALE]
+  const pluralRules = new Intl.PluralRules(locale)
+  const numberFormat = new Intl.NumberFormat(locale)
+
+  const formatNumber = (value, options) =>
+    options ? new Intl.NumberFormat(locale, options).format(value) : numberFormat.format(value)
+
+  const formatDate = (value, options = { dateStyle: 'medium' }) =>
+    new Intl.DateTimeFormat(locale, options).format(new Date(value))
+
+  const formatDateTime = (value) => formatDate(value, { dateStyle: 'medium', timeStyle: 'short' })
+
+  // ['title', 'address'] -> "title and address"
+  const formatList = (items) => new Intl.ListFormat(locale).format(items)
+
+  const resolve = (key, values) => {
+    let message = lookup(catalogue, key)
+    if (message === undefined) message = lookup(CATALOGUES[DEFAULT_LOCALE], key)
+    if (message === undefined) return null
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(values.count)] ?? message.other
+    }
+    return message
+  }
+
+  const localize = (values) =>
+    Object.fromEntries(
+      Object.entries(values).map(([name, value]) => [name, typeof value === 'number' ? formatNumber(value) : value])
+    )
+
+  // The message for `key` with its placeholders filled in, or the key itself
+  // when no catalogue has it.
+  const t = (key, values = {}) => {
+    const message = resolve(key, values)
+    return message === null ? key : toParts(message, localize(values)).join('')
+  }
+
+  // Like `t`, but the values may be anything, e.g. React elements, and the
+  // result is the list of pieces to render in order.
+  const tParts = (key, values = {}) => {
+    const message = resolve(key, values)
+    return message === null ? [key] : toParts(message, localize(values))
+  }
+
+  const translateOr = (key, fallback) => (resolve(key, {}) === null ? fallback : t(key))
+
+  const formatStatus = (status) => translateOr(`statuses.${status}`, status.replace(/_/g, ' '))
+
+  // Statuses and report fields in error values are ids
+  const localizeErrorValues = (values) =>
+    Object.fromEntries(
+      Object.entries(values).map(([name, value]) => {
+        if (/Status$/.test(name)) return [name, formatStatus(value)]
+        if (name === 'field') return [name, translateOr(`errors.fields.${value}`, value)]
+        return [name, value]
+      })
+    )
+
+  // The message for an error caught from the shared modules or the backend:
+  // the translation of its code (AppError in shared/errors.js), a hint to
+  // check the connection, or else the error's own text. Strings are taken to
+  // be translated already, so components can keep either in their state.
+  const formatError = (error) => {
+    if (typeof error === 'string') return error
+    const code = error && error.code
+    if (code && resolve(`errors.${code}`, error.values || {}) !== null) {
+      return t(`errors.${code}`, localizeErrorValues(error.values || {}))
+    }
+    if (isNetworkError(error)) return t('errors.network')
+    return t('errors.unexpected', { message: (error && error.message) || String(error) })
+  }
+
+  return {
+    locale,
+    dir: getDirection(locale),
+    t,
+    tParts,
+    formatNumber,
+    formatDate,
+    formatDateTime,
+    formatList,
+    // Statuses and categories are stored as ids; unknown ones are shown as is
+    formatStatus,
+    formatCategory: (category) => translateOr(`categories.${category}`, category),
+    formatError
+  }
+}
@@ -0,0 +1,123 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createI18n, matchLocale, detectLocale, saveLocale, getDirection } from './index.js'
+import { AppError } from '../errors.js'
+
+// The chosen locale is kept in localStorage, which Node lacks.
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+}
+
+beforeEach(() => {
+  storage.clear()
+})
+
+afterEach(() => {
+  delete globalThis.navigator
+})
+
+const en = createI18n('en')
+const es = createI18n('es')
+const ar = createI18n('ar')
+
+test('t fills in placeholders and formats numbers for the locale', () => {
+  assert.equal(es.t('adminMap.popupStatus', { status: 'Abierto' }), 'Estado: Abierto')
+  assert.equal(es.t('common.photoCount', { count: 1234 }), '1234 fotos')
+  assert.equal(es.t('common.photoCount', { count: 12345 }), '12.345 fotos')
+})
+
+test('t picks the plural form the language needs', () => {
+  assert.equal(en.t('common.photoCount', { count: 1 }), '1 photo')
+  assert.equal(en.t('common.photoCount', { count: 0 }), '0 photos')
+  assert.equal(es.t('common.photoCount', { count: 1000000 }), '1.000.000 de fotos')
+
+  const supporters = [0, 1, 2, 3, 11, 100].map((count) => ar.t('adminMap.supporterCount', { count }))
+  assert.equal(new Set(supporters).size, 6)
+  assert.ok(supporters[3].includes(ar.formatNumber(3)))
+})
+
+test('t falls back to English, then to the key', () => {
+  const catalogueless = createI18n('fr')
+  assert.equal(catalogueless.locale, 'fr')
+  assert.equal(catalogueless.t('common.cancel'), 'Cancel')
+  assert.equal(es.t('no.such.key'), 'no.such.key')
+  // Unknown placeholders are left for someone to notice
+  assert.equal(en.t('adminMap.popupStatus'), 'Status: {status}')
+})
+
+test('tParts keeps values that are not text', () => {
+  const link = { type: 'a' }
+  assert.deepEqual(en.tParts('adminMap.popupStatus', { status: link }), ['Status: ', link])
+})
+
+test('statuses and categories are translated, and unknown ones shown as they are', () => {
+  assert.equal(es.formatStatus('in_progress'), 'En curso')
+  assert.equal(es.formatStatus('on_hold'), 'on hold')
+  assert.equal(es.formatCategory('pothole'), 'Bache')
+  assert.equal(es.formatCategory('graffiti'), 'graffiti')
+})
+
+test('lists, numbers and dates follow the locale', () => {
+  assert.equal(es.formatList(['título', 'dirección', 'ubicación']), 'título, dirección y ubicación')
+  assert.equal(en.formatNumber(0.5, { style: 'percent' }), '50%')
+  assert.equal(es.formatDate('2026-03-05T12:00:00Z', { dateStyle: 'medium', timeZone: 'UTC' }), '5 mar 2026')
+})
+
+test('formatError translates error codes with their values', () => {
+  assert.equal(es.formatError(new AppError('signedOut')), es.t('errors.signedOut'))
+  assert.equal(
+    es.formatError(new AppError('tooManyPhotos', { count: 5 })),
+    'Un reporte puede tener como máximo 5 fotos.'
+  )
+  assert.equal(
+    es.formatError(new AppError('transitionNotAllowed', { fromStatus: 'withdrawn', toStatus: 'in_progress' })),
+    es.t('errors.transitionNotAllowed', { fromStatus: es.formatStatus('withdrawn'), toStatus: 'En curso' })
+  )
+  const fieldRequired = en.formatError(new AppError('fieldRequired', { field: 'resolution_notes', toStatus: 'resolved' }))
+  assert.ok(!fieldRequired.includes('resolution_notes'))
+  assert.ok(fieldRequired.includes(en.formatStatus('resolved')))
+})
+
+test('formatError works on errors kept as plain objects', () => {
+  const error = new AppError('tooManyPhotos', { count: 5 })
+  // As the offline queue stores it (see toPlainError)
+  const stored = { code: error.code, values: error.values, message: error.message }
+  assert.equal(es.formatError(stored), es.formatError(error))
+})
+
+test('formatError explains connection problems and passes other errors through', () => {
+  assert.equal(es.formatError(new TypeError('Failed to fetch')), es.t('errors.network'))
+  // A database error code with no message of its own in the catalogues
+  assert.equal(
+    en.formatError({ code: '23514', message: 'Guests can file up to 10 reports a day' }),
+    'Something went wrong: Guests can file up to 10 reports a day'
+  )
+  assert.equal(es.formatError('Ya traducido'), 'Ya traducido')
+})
+
+test('matchLocale ignores the region and rejects unsupported languages', () => {
+  assert.equal(matchLocale('es-MX'), 'es')
+  assert.equal(matchLocale('AR'), 'ar')
+  assert.equal(matchLocale('fr-FR'), null)
+  assert.equal(matchLocale(null), null)
+})
+
+test('detectLocale prefers the saved choice, then the browser languages', () => {
+  assert.equal(detectLocale(), 'en')
+
+  globalThis.navigator = { languages: ['fr-CA', 'ar-EG', 'es'], language: 'fr-CA' }
+  assert.equal(detectLocale(), 'ar')
+
+  saveLocale('es')
+  assert.equal(detectLocale(), 'es')
+})
+
+test('Arabic is written right to left', () => {
+  assert.equal(getDirection('ar'), 'rtl')
+  assert.equal(ar.dir, 'rtl')
+  assert.equal(getDirection('es'), 'ltr')
+  assert.equal(getDirection('xx'), 'ltr')
+})
@@ -0,0 +1,37 @@
+import { createContext, createElement, Fragment, useContext, useEffect, useMemo, useState } from 'react'
+import { createI18n, detectLocale, saveLocale } from './index.js'
+
+const I18nContext = createContext(null)
+
+// Holds the locale for the whole app (see shared/i18n) and mirrors it on
+// <html>, so screen readers pick the right voice and the layout flips for
+// right-to-left languages.
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = useState(detectLocale)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+    document.documentElement.dir = createI18n(locale).dir
+  }, [locale])
+
+  const value = useMemo(() => {
+    const i18n = createI18n(locale)
+    return {
+      ...i18n,
+      // Like `t`, but the values can be elements, e.g. a link inside a sentence
+      tElements: (key, values) =>
+        i18n.tParts(key, values).map((part, index) => createElement(Fragment, { key: index }, part)),
+      setLocale: (next) => {
+        saveLocale(next)
+        setLocale(next)
+      }
+    }
+  }, [locale])
+
+  return createElement(I18nContext.Provider, { value }, children)
+}
+
+// `{ t, tElements, locale, dir, setLocale, formatDate, formatDateTime,
+// formatNumber, formatList, formatStatus, formatCategory, formatError }` for
+// the current locale.
+export const useI18n = () => useContext(I18nContext)
@@ -0,0 +1,69 @@
+// Minimal promise wrapper around IndexedDB, used for anything the apps keep
+// on the device. Falls back to an in-memory Map where IndexedDB is missing
+// (Node scripts, private browsing in some browsers), so callers never branch.
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined'
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const openDatabase = (dbName, storeName) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName)
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const createMemoryStore = () => {
+  const map = new Map()
+  return {
+    get: async (key) => map.get(key),
+    set: async (key, value) => { map.set(key, value) },
+    del: async (key) => { map.delete(key) },
+    keys: async () => [...map.keys()],
+    entries: async () => [...map.entries()],
+    clear: async () => { map.clear() }
+  }
+}
+
+// Returns a small key/value store backed by its own IndexedDB database.
+export const createKeyValueStore = (dbName, storeName = 'keyval') => {
+  if (!hasIndexedDB()) return createMemoryStore()
+
+  let dbPromise = null
+  const withStore = async (mode, fn) => {
+    if (!dbPromise) dbPromise = openDatabase(dbName, storeName)
+    const db = await dbPromise
+    const tx = db.transaction(storeName, mode)
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+    const result = await fn(tx.objectStore(storeName))
+    await done
+    return result
+  }
+
+  return {
+    get: (key) => withStore('readonly', (store) => promisify(store.get(key))),
+    set: (key, value) => withStore('readwrite', (store) => promisify(store.put(value, key))),
+    del: (key) => withStore('readwrite', (store) => promisify(store.delete(key))),
+    keys: () => withStore('readonly', (store) => promisify(store.getAllKeys())),
+    entries: () =>
+      withStore('readonly', async (store) => {
+        const [keys, values] = await Promise.all([
+          promisify(store.getAllKeys()),
+          promisify(store.getAll())
+        ])
+        return keys.map((key, i) => [key, values[i]])
+      }),
+    clear: () => withStore('readwrite', (store) => promisify(store.clear()))
+  }
+}
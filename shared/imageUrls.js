@@ -0,0 +1,53 @@
+import { supabase, IMAGE_BUCKET } from './supabase.js'
+
+// The `report-images` bucket is private, so photos are shown through
+// short-lived signed URLs. Storage policies decide who may sign what: the
+// reporter and staff can sign every photo of a report, everyone else only the
+// photos staff have marked public.
+
+export const SIGNED_URL_TTL_SECONDS = 60 * 60
+
+// Re-sign a little before expiry so a URL never dies while an image loads.
+const REFRESH_MARGIN_MS = 5 * 60 * 1000
+
+const cache = new Map()
+
+// Signed URLs grant access on their own, so drop them when the user changes.
+supabase.auth.onAuthStateChange((event) => {
+  if (event === 'SIGNED_OUT' || event === 'SIGNED_IN') cache.clear()
+})
+
+const isFresh = (entry) => entry && entry.expiresAt - REFRESH_MARGIN_MS > Date.now()
+
+// Resolves storage paths to signed URLs, reusing cached ones while they are
+// fresh. Returns a Map of path -> URL; paths that could not be signed (missing
+// object, no permission) are left out.
+export const getSignedUrls = async (paths) => {
+  const unique = [...new Set(paths.filter(Boolean))]
+  const missing = unique.filter((path) => !isFresh(cache.get(path)))
+
+  if (missing.length > 0) {
+    const expiresAt = Date.now() + SIGNED_URL_TTL_SECONDS * 1000
+    const { data, error } = await supabase.storage
+      .from(IMAGE_BUCKET)
+      .createSignedUrls(missing, SIGNED_URL_TTL_SECONDS)
+    if (error) throw error
+
+    data.forEach((entry) => {
+      if (!entry.error && entry.signedUrl) cache.set(entry.path, { url: entry.signedUrl, expiresAt })
+    })
+  }
+
+  const urls = new Map()
+  unique.forEach((path) => {
+    if (isFresh(cache.get(path))) urls.set(path, cache.get(path).url)
+  })
+  return urls
+}
+
+// Reports filed before the bucket went private stored a public URL; the object
+// path is the part after the bucket name.
+export const legacyPathFromUrl = (url) => {
+  const match = url && url.match(new RegExp(`/object/public/${IMAGE_BUCKET}/(.+)$`))
+  return match ? decodeURIComponent(match[1]) : null
+}
@@ -0,0 +1,90 @@
+// Client-side preparation of report photos before upload: validation,
+// orientation, metadata stripping, downscaling and thumbnail generation.
+// Decoding and re-encoding through a canvas applies the EXIF orientation and
+// drops every other EXIF field (GPS position, camera serial, timestamps).
+
+import { AppError } from './errors.js'
+
+// Formats every browser can decode. HEIC is left out because only Safari
+// decodes it; iOS converts HEIC photos to JPEG when the file input does not
+// accept them.
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+export const MAX_IMAGE_BYTES = 20 * 1024 * 1024
+
+export const IMAGE_MAX_DIMENSION = 1600
+export const THUMBNAIL_MAX_DIMENSION = 400
+
+const OUTPUT_TYPE = 'image/webp'
+const FALLBACK_OUTPUT_TYPE = 'image/jpeg'
+const IMAGE_QUALITY = 0.82
+const THUMBNAIL_QUALITY = 0.7
+
+export const EXTENSIONS = {
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg'
+}
+
+// Throws an AppError (see errors.js) explaining what is wrong with the photo.
+export const validateImage = (file) => {
+  if (!file) throw new AppError('noPhoto')
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    throw new AppError('unsupportedPhoto')
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    throw new AppError('photoTooLarge', { megabytes: Math.round(MAX_IMAGE_BYTES / (1024 * 1024)) })
+  }
+}
+
+const decode = async (file) => {
+  try {
+    // 'from-image' rotates according to the EXIF orientation tag.
+    return await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch {
+    throw new AppError('unreadablePhoto')
+  }
+}
+
+const scaledSize = (width, height, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height))
+  return { width: Math.round(width * scale), height: Math.round(height * scale) }
+}
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new AppError('unprocessablePhoto'))),
+      type,
+      quality
+    )
+  })
+
+const render = async (bitmap, maxDimension, quality) => {
+  const { width, height } = scaledSize(bitmap.width, bitmap.height, maxDimension)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(bitmap, 0, 0, width, height)
+
+  // Browsers that cannot encode WebP silently return PNG; use JPEG instead.
+  let blob = await canvasToBlob(canvas, OUTPUT_TYPE, quality)
+  if (blob.type !== OUTPUT_TYPE) {
+    blob = await canvasToBlob(canvas, FALLBACK_OUTPUT_TYPE, quality)
+  }
+  return { blob, width, height }
+}
+
+// Returns `{ image, thumbnail }`, each `{ blob, width, height }`.
+export const processImage = async (file) => {
+  validateImage(file)
+  const bitmap = await decode(file)
+  try {
+    const image = await render(bitmap, IMAGE_MAX_DIMENSION, IMAGE_QUALITY)
+    const thumbnail = await render(bitmap, THUMBNAIL_MAX_DIMENSION, THUMBNAIL_QUALITY)
+    return { image, thumbnail }
+  } finally {
+    bitmap.close()
+  }
+}
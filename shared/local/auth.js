@@ -0,0 +1,252 @@
+import { newId } from '../ids.js'
+
+const SESSION_KEY = 'civic-local-session'
+
+// Links in auth emails are `<redirectTo>#local_token=<token>`. There is no
+// mail, so the methods that would send one log the link (and for sign-in the
+// code) to the console instead.
+const LINK_PARAM = 'local_token'
+// Supabase's default lifetime for email links and codes
+const EMAIL_TOKEN_MAX_AGE_MS = 1000 * 60 * 60
+// What supabase-js reports when each kind of link signs someone in
+const LINK_EVENTS = { recovery: 'PASSWORD_RECOVERY', magiclink: 'SIGNED_IN' }
+const CODE_LENGTH = 6
+
+const authError = (message, status = 400) => ({ name: 'AuthApiError', message, status })
+
+const publicUser = (stored) => {
+  const user = { ...stored }
+  delete user.password
+  delete user.email_token
+  delete user.email_code
+  delete user.email_token_type
+  delete user.email_token_sent_at
+  return {
+    aud: 'authenticated',
+    role: 'authenticated',
+    app_metadata: user.is_anonymous
+      ? { provider: 'anonymous', providers: ['anonymous'] }
+      : { provider: 'email', providers: ['email'] },
+    email_confirmed_at: user.email ? user.created_at : null,
+    is_anonymous: false,
+    user_metadata: {},
+    ...user
+  }
+}
+
+const makeSession = (user) => ({
+  access_token: `local-${newId()}`,
+  token_type: 'bearer',
+  expires_in: 60 * 60 * 24 * 365,
+  expires_at: Math.floor(Date.now() / 1000) + 60 * 60 * 24 * 365,
+  refresh_token: newId(),
+  user: publicUser(user)
+})
+
+const readSession = () => {
+  try {
+    const raw = typeof localStorage !== 'undefined' ? localStorage.getItem(SESSION_KEY) : null
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+// Id of the signed-in user; the local stand-in for `auth.uid()`.
+export const currentUserId = () => {
+  const session = readSession()
+  return session ? session.user.id : null
+}
+
+const writeSession = (session) => {
+  if (typeof localStorage === 'undefined') return
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+  else localStorage.removeItem(SESSION_KEY)
+}
+
+// Email/password and anonymous (guest) auth against the `auth_users` table
+// of the local store. New accounts and changed email addresses are confirmed
+// immediately; there is no mail to click through. Password reset and sign-in
+// links are logged to the console.
+export const createLocalAuth = (store) => {
+  const listeners = new Set()
+  let session = readSession()
+
+  const setSession = (next, event) => {
+    session = next
+    writeSession(next)
+    listeners.forEach((callback) => callback(event, session))
+  }
+
+  // Signing in or out in one tab signs every tab in or out, like supabase-js.
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== SESSION_KEY) return
+      const next = readSession()
+      setSession(next, next ? 'SIGNED_IN' : 'SIGNED_OUT')
+    })
+  }
+
+  const findUser = (email) =>
+    store.select('auth_users').find((user) => user.email && user.email.toLowerCase() === String(email).toLowerCase())
+
+  // One link and code per user at a time; asking again replaces them.
+  const issueEmailToken = (user, type, redirectTo) => {
+    const token = newId()
+    const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 10 ** CODE_LENGTH).padStart(CODE_LENGTH, '0')
+    store.update('auth_users', (row) => row.id === user.id, {
+      email_token: token,
+      email_code: code,
+      email_token_type: type,
+      email_token_sent_at: new Date().toISOString()
+    })
+    const base = redirectTo || (typeof window !== 'undefined' ? window.location.href.split('#')[0] : '')
+    return { link: `${base}#${LINK_PARAM}=${token}`, code }
+  }
+
+  // Uses up the link and code of the matching user, who is returned if they
+  // were still valid.
+  const redeemEmailToken = (predicate) => {
+    const [user] = store.update('auth_users', (row) => Boolean(row.email_token) && predicate(row), {
+      email_token: null,
+      email_code: null
+    })
+    return user && Date.now() - Date.parse(user.email_token_sent_at) < EMAIL_TOKEN_MAX_AGE_MS ? user : null
+  }
+
+  // Opening a link from an auth email signs its user in, as supabase-js does
+  // with the tokens it finds in the URL.
+  const emailLink = (async () => {
+    if (typeof window === 'undefined') return
+    const token = new URLSearchParams(window.location.hash.slice(1)).get(LINK_PARAM)
+    if (!token) return
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`)
+    await store.ready
+    const user = redeemEmailToken((row) => row.email_token === token)
+    if (user) setSession(makeSession(user), LINK_EVENTS[user.email_token_type])
+  })()
+
+  return {
+    getSession: async () => {
+      await emailLink
+      return { data: { session }, error: null }
+    },
+
+    getUser: async () => ({ data: { user: session ? session.user : null }, error: null }),
+
+    onAuthStateChange: (callback) => {
+      listeners.add(callback)
+      emailLink.then(() => callback('INITIAL_SESSION', session))
+      return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } }
+    },
+
+    signInWithPassword: async ({ email, password }) => {
+      await store.ready
+      const user = findUser(email)
+      if (!user || user.password !== password) {
+        return { data: { user: null, session: null }, error: authError('Invalid login credentials') }
+      }
+      setSession(makeSession(user), 'SIGNED_IN')
+      return { data: { user: session.user, session }, error: null }
+    },
+
+    signUp: async ({ email, password, options = {} }) => {
+      await store.ready
+      if (findUser(email)) {
+        return { data: { user: null, session: null }, error: authError('User already registered', 422) }
+      }
+      const metadata = options.data || {}
+      const [user] = store.insert('auth_users', [{ email, password, user_metadata: metadata }])
+      // Mirrors the handle_new_user trigger: every account gets a citizen profile.
+      store.insert('profiles', [{ id: user.id, email, name: metadata.name || null, role: 'citizen' }])
+      setSession(makeSession(user), 'SIGNED_IN')
+      return { data: { user: session.user, session }, error: null }
+    },
+
+    // Like Supabase, the answer does not reveal whether the address has an
+    // account.
+    resetPasswordForEmail: async (email, { redirectTo } = {}) => {
+      await store.ready
+      const user = findUser(email)
+      if (user) {
+        const { link } = issueEmailToken(user, 'recovery', redirectTo)
+        console.info(`Local backend: password reset link for ${user.email}: ${link}`)
+      }
+      return { data: {}, error: null }
+    },
+
+    // Passwordless sign-in: a link, and a code for verifyOtp. New addresses
+    // get an account without a password unless `shouldCreateUser` is false.
+    signInWithOtp: async ({ email, options = {} }) => {
+      await store.ready
+      let user = findUser(email)
+      if (!user && options.shouldCreateUser === false) {
+        return { data: { user: null, session: null }, error: authError('Signups not allowed for otp', 422) }
+      }
+      if (!user) {
+        const metadata = options.data || {}
+        user = store.insert('auth_users', [{ email, password: null, user_metadata: metadata }])[0]
+        store.insert('profiles', [{ id: user.id, email, name: metadata.name || null, role: 'citizen' }])
+      }
+      const { link, code } = issueEmailToken(user, 'magiclink', options.emailRedirectTo)
+      console.info(`Local backend: sign-in link for ${user.email}: ${link} (or enter the code ${code})`)
+      return { data: { user: null, session: null }, error: null }
+    },
+
+    verifyOtp: async ({ email, token }) => {
+      await store.ready
+      const user = redeemEmailToken((row) =>
+        row.email_token_type === 'magiclink' &&
+        row.email.toLowerCase() === String(email).toLowerCase() &&
+        row.email_code === String(token).trim()
+      )
+      if (!user) {
+        return { data: { user: null, session: null }, error: authError('Token has expired or is invalid', 403) }
+      }
+      setSession(makeSession(user), 'SIGNED_IN')
+      return { data: { user: session.user, session }, error: null }
+    },
+
+    signInAnonymously: async () => {
+      await store.ready
+      const [user] = store.insert('auth_users', [{ email: null, password: null, is_anonymous: true, user_metadata: {} }])
+      store.insert('profiles', [{ id: user.id, email: null, role: 'citizen' }])
+      setSession(makeSession(user), 'SIGNED_IN')
+      return { data: { user: session.user, session }, error: null }
+    },
+
+    // Adding an email to a guest session turns it into an account, as
+    // confirming the address does on Supabase.
+    updateUser: async ({ email, password, data: metadata }) => {
+      await store.ready
+      if (!session) return { data: { user: null }, error: authError('Auth session missing!', 401) }
+      const stored = store.select('auth_users').find((user) => user.id === session.user.id)
+      if (email && email !== stored.email && findUser(email)) {
+        return { data: { user: null }, error: authError('A user with this email address has already been registered', 422) }
+      }
+
+      const changes = {}
+      if (email) Object.assign(changes, { email, is_anonymous: false })
+      if (password) changes.password = password
+      if (metadata) changes.user_metadata = { ...stored.user_metadata, ...metadata }
+      const [user] = store.update('auth_users', (row) => row.id === stored.id, changes)
+      // Mirrors the sync_profile_email trigger
+      if (email) store.update('profiles', (row) => row.id === stored.id, { email })
+
+      setSession(makeSession(user), 'USER_UPDATED')
+      return { data: { user: session.user }, error: null }
+    },
+
+    signOut: async () => {
+      setSession(null, 'SIGNED_OUT')
+      return { error: null }
+    },
+
+    admin: {
+      deleteUser: async () => ({
+        data: null,
+        error: authError('User administration is not available in the local backend', 403)
+      })
+    }
+  }
+}
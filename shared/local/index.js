@@ -0,0 +1,37 @@
+import { createLocalStore } from './store.js'
+import { createLocalQuery } from './query.js'
+import { createLocalAuth } from './auth.js'
+import { createLocalStorageApi } from './storage.js'
+import { createLocalRealtime } from './realtime.js'
+import { installLocalTriggers } from './triggers.js'
+import { createLocalRpc } from './rpc.js'
+
+// A stand-in for the supabase-js client that keeps everything on the device,
+// for offline development, demos and UI tests. It implements the calls the
+// apps make against auth, the database and its functions, storage and
+// realtime, and nothing else. Row-level security is not emulated: every
+// signed-in user sees every row.
+export const createLocalClient = () => {
+  const store = createLocalStore()
+  installLocalTriggers(store)
+  const storage = createLocalStorageApi()
+  const realtime = createLocalRealtime(store)
+
+  return {
+    auth: createLocalAuth(store),
+    storage,
+    from: (table) => createLocalQuery(store, table),
+    rpc: createLocalRpc(store),
+    channel: realtime.channel,
+    removeChannel: realtime.removeChannel,
+    removeAllChannels: realtime.removeAllChannels,
+
+    // Not part of supabase-js; only available when VITE_BACKEND=local.
+    local: {
+      ready: store.ready,
+      reset: async () => {
+        await Promise.all([store.reset(), storage.clear()])
+      }
+    }
+  }
+}
@@ -0,0 +1,247 @@
+// A chainable, thenable query builder with the same surface as the subset of
+// PostgREST (supabase-js `from(...)`) calls the apps make.
+
+const compare = (a, b) => {
+  if (a === b) return 0
+  if (a === null || a === undefined) return -1
+  if (b === null || b === undefined) return 1
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return String(a) < String(b) ? -1 : 1
+}
+
+const likeToRegExp = (pattern, flags) =>
+  new RegExp(`^${String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, flags)
+
+export const OPERATORS = {
+  eq: (value, arg) => value !== null && value !== undefined && String(value) === String(arg),
+  neq: (value, arg) => String(value) !== String(arg),
+  gt: (value, arg) => compare(value, arg) > 0,
+  gte: (value, arg) => compare(value, arg) >= 0,
+  lt: (value, arg) => compare(value, arg) < 0,
+  lte: (value, arg) => compare(value, arg) <= 0,
+  like: (value, arg) => likeToRegExp(arg, '').test(value ?? ''),
+  ilike: (value, arg) => likeToRegExp(arg, 'i').test(value ?? ''),
+  in: (value, arg) => arg.map(String).includes(String(value)),
+  is: (value, arg) => (arg === null ? value === null || value === undefined : value === arg),
+  contains: (value, arg) => Array.isArray(value) && arg.every((item) => value.includes(item))
+}
+
+const splitTopLevel = (text) => {
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const char of text) {
+    if (char === '(') depth += 1
+    if (char === ')') depth -= 1
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+// "*, photos:report_images(*)" -> { all, fields, embeds }
+const parseColumns = (columns = '*') => {
+  const parsed = { all: false, fields: [], embeds: [] }
+  splitTopLevel(columns).forEach((part) => {
+    const embed = part.match(/^(?:(\w+):)?(\w+)(?:!\w+)?\((.*)\)$/)
+    if (embed) {
+      parsed.embeds.push({ alias: embed[1] || embed[2], table: embed[2], columns: embed[3] })
+    } else if (part === '*') {
+      parsed.all = true
+    } else {
+      parsed.fields.push(part)
+    }
+  })
+  return parsed
+}
+
+// Child tables are joined on `<singular parent>_id`, e.g. report_images.report_id.
+const foreignKeyFor = (parentTable) => `${parentTable.replace(/s$/, '')}_id`
+
+const project = (store, table, rows, columns) => {
+  const { all, fields, embeds } = parseColumns(columns)
+  return rows.map((row) => {
+    const result = all ? { ...row } : Object.fromEntries(fields.map((field) => [field, row[field]]))
+    embeds.forEach(({ alias, table: child, columns: childColumns }) => {
+      const foreignKey = foreignKeyFor(table)
+      const children = store.select(child).filter((childRow) => childRow[foreignKey] === row.id)
+      result[alias] = project(store, child, children, childColumns)
+    })
+    return result
+  })
+}
+
+export const postgrestError = (message, code) => ({ message, code, details: null, hint: null })
+
+export const createLocalQuery = (store, table) => {
+  const state = {
+    action: 'select',
+    values: null,
+    onConflict: 'id',
+    columns: '*',
+    returning: false,
+    count: null,
+    head: false,
+    filters: [],
+    orders: [],
+    from: null,
+    to: null,
+    limit: null,
+    single: null
+  }
+
+  const matches = (row) => state.filters.every(({ column, operator, value }) => OPERATORS[operator](row[column], value))
+
+  const run = () => {
+    if (state.action === 'insert') {
+      const values = Array.isArray(state.values) ? state.values : [state.values]
+      return store.insert(table, values)
+    }
+    if (state.action === 'upsert') {
+      const values = Array.isArray(state.values) ? state.values : [state.values]
+      const existing = store.select(table)
+      return values.flatMap((value) => {
+        const key = value[state.onConflict]
+        const found = key !== undefined && existing.some((row) => String(row[state.onConflict]) === String(key))
+        return found
+          ? store.update(table, (row) => String(row[state.onConflict]) === String(key), value)
+          : store.insert(table, [value])
+      })
+    }
+    if (state.action === 'update') return store.update(table, matches, state.values)
+    if (state.action === 'delete') return store.remove(table, matches)
+    return store.select(table).filter(matches)
+  }
+
+  // Primary keys are unique, as in Postgres.
+  const duplicateKey = () => {
+    if (state.action !== 'insert') return false
+    const values = Array.isArray(state.values) ? state.values : [state.values]
+    const ids = new Set(store.select(table).map((row) => String(row.id)))
+    return values.some((value) => value.id !== undefined && ids.has(String(value.id)))
+  }
+
+  const execute = async () => {
+    await store.ready
+    if (duplicateKey()) {
+      return {
+        data: null,
+        error: postgrestError(`duplicate key value violates unique constraint "${table}_pkey"`, '23505'),
+        count: null,
+        status: 409
+      }
+    }
+    let rows
+    try {
+      rows = run()
+    } catch (err) {
+      // Raised by a BEFORE trigger (see triggers.js)
+      if (!err.code) throw err
+      return { data: null, error: postgrestError(err.message, err.code), count: null, status: 400 }
+    }
+    const isRead = state.action === 'select'
+
+    if (isRead) {
+      // `orders` is kept least significant first; stable sorts then leave the
+      // first order() call as the primary key.
+      state.orders.forEach(({ column, ascending }) => {
+        rows.sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]))
+      })
+    }
+    const count = state.count ? rows.length : null
+
+    if (isRead && state.from !== null) rows = rows.slice(state.from, state.to + 1)
+    if (isRead && state.limit !== null) rows = rows.slice(0, state.limit)
+
+    if (!isRead && !state.returning) return { data: null, error: null, count, status: 201 }
+    if (state.head) return { data: null, error: null, count, status: 200 }
+
+    const data = project(store, table, rows, state.columns)
+
+    if (state.single) {
+      if (data.length === 1) return { data: data[0], error: null, count, status: 200 }
+      if (data.length === 0 && state.single === 'maybe') return { data: null, error: null, count, status: 200 }
+      return {
+        data: null,
+        error: postgrestError('JSON object requested, multiple (or no) rows returned', 'PGRST116'),
+        count,
+        status: 406
+      }
+    }
+    return { data, error: null, count, status: 200 }
+  }
+
+  const builder = {
+    select(columns = '*', { count = null, head = false } = {}) {
+      state.columns = columns
+      state.count = count
+      state.head = head
+      if (state.action !== 'select') state.returning = true
+      return builder
+    },
+    insert(values) {
+      state.action = 'insert'
+      state.values = values
+      return builder
+    },
+    upsert(values, { onConflict = 'id' } = {}) {
+      state.action = 'upsert'
+      state.values = values
+      state.onConflict = onConflict
+      return builder
+    },
+    update(values) {
+      state.action = 'update'
+      state.values = values
+      return builder
+    },
+    delete() {
+      state.action = 'delete'
+      return builder
+    },
+    filter(column, operator, value) {
+      if (!OPERATORS[operator]) throw new Error(`Local backend: unsupported filter operator "${operator}"`)
+      state.filters.push({ column, operator, value })
+      return builder
+    },
+    match(values) {
+      Object.entries(values).forEach(([column, value]) => builder.eq(column, value))
+      return builder
+    },
+    order(column, { ascending = true } = {}) {
+      state.orders.unshift({ column, ascending })
+      return builder
+    },
+    range(from, to) {
+      state.from = from
+      state.to = to
+      return builder
+    },
+    limit(count) {
+      state.limit = count
+      return builder
+    },
+    single() {
+      state.single = 'one'
+      return builder
+    },
+    maybeSingle() {
+      state.single = 'maybe'
+      return builder
+    },
+    then(resolve, reject) {
+      return execute().then(resolve, reject)
+    }
+  }
+
+  Object.keys(OPERATORS).forEach((operator) => {
+    builder[operator] = (column, value) => builder.filter(column, operator, value)
+  })
+
+  return builder
+}
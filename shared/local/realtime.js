@@ -0,0 +1,63 @@
+import { OPERATORS } from './query.js'
+
+// "user_id=eq.<uuid>" -> predicate on a row, as in Supabase realtime filters.
+const parseFilter = (filter) => {
+  if (!filter) return () => true
+  const match = filter.match(/^(\w+)=(\w+)\.(.*)$/)
+  if (!match) throw new Error(`Local backend: unsupported realtime filter "${filter}"`)
+  const [, column, operator, raw] = match
+  const value = operator === 'in' ? raw.replace(/^\(|\)$/g, '').split(',') : raw
+  return (row) => Boolean(row) && OPERATORS[operator](row[column], value)
+}
+
+export const createLocalRealtime = (store) => {
+  const channels = new Set()
+
+  const channel = (name) => {
+    const bindings = []
+    let unsubscribe = null
+
+    const ch = {
+      topic: `realtime:${name}`,
+      on(type, { event = '*', schema = 'public', table, filter } = {}, callback) {
+        if (type === 'postgres_changes') {
+          bindings.push({ event, schema, table, matches: parseFilter(filter), callback })
+        }
+        return ch
+      },
+      subscribe(callback) {
+        channels.add(ch)
+        unsubscribe = store.subscribe((change) => {
+          bindings.forEach((binding) => {
+            if (binding.event !== '*' && binding.event !== change.event) return
+            if (binding.table && binding.table !== change.table) return
+            if (!binding.matches(change.new) && !binding.matches(change.old)) return
+            binding.callback({
+              schema: binding.schema,
+              table: change.table,
+              commit_timestamp: new Date().toISOString(),
+              eventType: change.event,
+              new: change.new || {},
+              old: change.old || {},
+              errors: null
+            })
+          })
+        })
+        if (callback) queueMicrotask(() => callback('SUBSCRIBED'))
+        return ch
+      },
+      async unsubscribe() {
+        if (unsubscribe) unsubscribe()
+        channels.delete(ch)
+        return 'ok'
+      }
+    }
+    return ch
+  }
+
+  const removeChannel = (ch) => ch.unsubscribe()
+
+  const removeAllChannels = () => Promise.all([...channels].map((ch) => ch.unsubscribe()))
+
+  return { channel, removeChannel, removeAllChannels }
+}
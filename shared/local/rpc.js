@@ -0,0 +1,278 @@
+import { currentUserId } from './auth.js'
+import { postgrestError } from './query.js'
+import { distanceInMeters } from '../map.js'
+
+// The database functions the apps call through `supabase.rpc()`, mirroring
+// the SQL in migrations/ (see the comment above each one).
+
+const UNRESOLVED = ['open', 'in_progress']
+
+// About 150 m of latitude; see 0015_public_issue_map.
+const CELL_DEGREES = 0.00135
+const DAY_MS = 1000 * 60 * 60 * 24
+
+// See 0021_resolution_feedback
+const REOPEN_WINDOW_DAYS = 30
+
+const snapToCell = ({ lat, lng }) => {
+  const cellLat = (Math.floor(lat / CELL_DEGREES) + 0.5) * CELL_DEGREES
+  const lngStep = CELL_DEGREES / Math.cos((cellLat * Math.PI) / 180)
+  return { lat: cellLat, lng: (Math.floor(lng / lngStep) + 0.5) * lngStep }
+}
+
+// The defaults of app.duplicate_radius_m (0013_report_supporters) and
+// app.nearby_radius_m (0014_nearby_reports)
+const DUPLICATE_RADIUS_M = 150
+const NEARBY_RADIUS_M = 2000
+
+// Unresolved reports whose snapped location is within `radius` of `origin`,
+// nearest first, as find_nearby_reports and list_nearby_issues return them.
+const nearbyReports = (store, origin, { radius, limit, matches }) => {
+  const userId = currentUserId()
+  if (!userId) return []
+  const supported = new Set(
+    store.select('report_supporters').filter((row) => row.user_id === userId).map((row) => row.report_id)
+  )
+
+  return store.select('reports')
+    .filter((report) => UNRESOLVED.includes(report.status) && matches(report))
+    .filter((report) => report.latitude !== null && report.longitude !== null)
+    .map((report) => {
+      const cell = snapToCell({ lat: report.latitude, lng: report.longitude })
+      return { report, cell, distance: distanceInMeters(origin, cell) }
+    })
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ report, cell, distance }) => ({
+      id: report.id,
+      title: report.title,
+      category: report.category,
+      status: report.status,
+      latitude: cell.lat,
+      longitude: cell.lng,
+      created_at: report.created_at,
+      support_count: report.support_count,
+      distance_m: Math.round(distance / 10) * 10,
+      is_own: report.user_id === userId,
+      is_supported: supported.has(report.id)
+    }))
+}
+
+class RpcError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.code = code
+  }
+}
+
+const requireUser = (action) => {
+  const userId = currentUserId()
+  if (!userId) throw new RpcError(`You must be signed in to ${action}`, '42501')
+  return userId
+}
+
+// 0020_guest_reports
+const isGuest = (store, userId) =>
+  store.select('auth_users').some((user) => user.id === userId && user.is_anonymous)
+
+const normalizeTrackingCode = (code) => String(code).replace(/[^0-9A-Za-z]/g, '').toUpperCase()
+
+const functions = {
+  // 0013_report_supporters
+  find_nearby_reports: (store, { lat, lng, category_id }) =>
+    nearbyReports(store, { lat, lng }, {
+      radius: DUPLICATE_RADIUS_M,
+      limit: 10,
+      matches: (report) => report.category === category_id
+    }),
+
+  // 0014_nearby_reports
+  list_nearby_issues: (store, { lat, lng, max_results = 50 }) =>
+    nearbyReports(store, { lat, lng }, {
+      radius: NEARBY_RADIUS_M,
+      limit: Math.min(Math.max(max_results, 1), 100),
+      matches: () => true
+    }),
+
+  // 0013_report_supporters
+  support_report: (store, { report_id: reportId }) => {
+    const userId = requireUser('support a report')
+    const report = store.select('reports').find((row) => row.id === reportId)
+    if (!report) throw new RpcError('Report not found', 'P0002')
+    if (report.user_id === userId) throw new RpcError('You filed this report yourself', '23514')
+    if (isGuest(store, userId)) throw new RpcError('Create an account to add your voice to a report', '42501')
+    if (!UNRESOLVED.includes(report.status)) throw new RpcError('This report has already been dealt with', '23514')
+
+    const already = store.select('report_supporters')
+      .some((row) => row.report_id === reportId && row.user_id === userId)
+    if (already) return report.support_count
+
+    store.insert('report_supporters', [{ report_id: reportId, user_id: userId }])
+    const [updated] = store.update('reports', (row) => row.id === reportId, { support_count: report.support_count + 1 })
+    return updated.support_count
+  },
+
+  // 0013_report_supporters
+  withdraw_support: (store, { report_id: reportId }) => {
+    const userId = currentUserId()
+    const removed = store.remove('report_supporters', (row) => row.report_id === reportId && row.user_id === userId)
+    const report = store.select('reports').find((row) => row.id === reportId)
+    if (!report) return 0
+    if (removed.length === 0) return report.support_count
+    const [updated] = store.update('reports', (row) => row.id === reportId, {
+      support_count: Math.max(report.support_count - removed.length, 0)
+    })
+    return updated.support_count
+  },
+
+  // 0015_public_issue_map
+  public_issue_map: (store, { resolved_within_days = 30 }) => {
+    const since = Date.now() - Math.min(Math.max(resolved_within_days, 0), 365) * DAY_MS
+    const resolvedAt = (reportId) => {
+      const times = store.select('report_events')
+        .filter((event) => event.report_id === reportId && event.to_status === 'resolved')
+        .map((event) => event.created_at)
+        .sort()
+      return times.length > 0 ? times[times.length - 1] : null
+    }
+
+    return store.select('reports')
+      .filter((report) => report.latitude !== null && report.longitude !== null)
+      .map((report) => ({ report, resolved_at: resolvedAt(report.id) }))
+      .filter(({ report, resolved_at }) =>
+        UNRESOLVED.includes(report.status) ||
+        (['resolved', 'closed'].includes(report.status) && resolved_at !== null && Date.parse(resolved_at) >= since)
+      )
+      .sort((a, b) => b.report.created_at.localeCompare(a.report.created_at))
+      .slice(0, 1000)
+      .map(({ report, resolved_at }) => {
+        const cell = snapToCell({ lat: report.latitude, lng: report.longitude })
+        return {
+          id: report.id,
+          title: report.title,
+          category: report.category,
+          status: report.status,
+          latitude: cell.lat,
+          longitude: cell.lng,
+          created_at: report.created_at,
+          resolved_at,
+          support_count: report.support_count
+        }
+      })
+  },
+
+  // 0016_push_notifications. Nothing sends pushes with the local backend,
+  // but turning notifications on behaves the same.
+  save_push_subscription: (store, { endpoint, p256dh, auth_secret, user_agent = null }) => {
+    const userId = requireUser('turn on notifications')
+    const values = { user_id: userId, p256dh, auth_secret, user_agent, created_at: new Date().toISOString() }
+    const updated = store.update('push_subscriptions', (row) => row.endpoint === endpoint, values)
+    if (updated.length === 0) store.insert('push_subscriptions', [{ endpoint, ...values }])
+    return null
+  },
+
+  // 0017_email_notifications. Nothing sends emails with the local backend,
+  // so no unsubscribe link is valid; the setting is changed in the portal.
+  unsubscribe_from_emails: () => false,
+
+  // 0020_guest_reports
+  track_report: (store, { code }) => {
+    const report = store.select('reports').find((row) => row.tracking_code === normalizeTrackingCode(code))
+    if (!report) return []
+    const { title, category, status, resolution_notes, created_at, updated_at } = report
+    return [{ title, category, status, resolution_notes, created_at, updated_at }]
+  },
+
+  // 0020_guest_reports
+  claim_guest_report: (store, { code }) => {
+    const userId = currentUserId()
+    if (!userId || isGuest(store, userId)) {
+      throw new RpcError('Sign in to your account to add this report to it', '42501')
+    }
+    const report = store.select('reports').find((row) => row.tracking_code === normalizeTrackingCode(code))
+    if (!report) throw new RpcError('No report has this tracking code', 'P0002')
+    if (report.user_id === userId) return report.id
+
+    if (report.user_id && !isGuest(store, report.user_id)) {
+      throw new RpcError('This report already belongs to an account', '42501')
+    }
+    store.update('reports', (row) => row.id === report.id, { user_id: userId })
+    return report.id
+  },
+
+  // 0021_resolution_feedback, 0022_feedback_photos
+  respond_to_resolution: (
+    store,
+    { report_id: reportId, rating, comment = null, reopen = false, photo_path = null, photo_thumbnail_path = null }
+  ) => {
+    const userId = currentUserId()
+    const report = store.select('reports').find((row) => row.id === reportId)
+    if (!report || !userId || report.user_id !== userId) {
+      throw new RpcError('Only the reporter can respond to a resolution', '42501')
+    }
+    const resolution = store.select('report_events')
+      .filter((event) => event.report_id === reportId && event.type === 'status_changed' && event.to_status === 'resolved')
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .pop()
+    if (report.status !== 'resolved' || !resolution) {
+      throw new RpcError('This report is not waiting for your confirmation', '23514')
+    }
+    if (store.select('report_feedback').some((row) => row.resolution_event_id === resolution.id)) {
+      throw new RpcError('You have already responded to this resolution', '23505')
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new RpcError('new row for relation "report_feedback" violates check constraint "report_feedback_rating_check"', '23514')
+    }
+
+    const note = comment && comment.trim() ? comment.trim() : null
+    if (reopen) {
+      if (Date.now() - Date.parse(resolution.created_at) >= REOPEN_WINDOW_DAYS * DAY_MS) {
+        throw new RpcError(
+          `Reports can only be reopened within ${REOPEN_WINDOW_DAYS} days of being resolved. Please file a new report.`,
+          '23514'
+        )
+      }
+      if (!note || !photo_path) {
+        throw new RpcError('Describe what is still wrong and add a photo to reopen a report', '23514')
+      }
+      const folder = `${userId}/${reportId}/`
+      if (!photo_path.startsWith(folder) || !(photo_thumbnail_path || folder).startsWith(folder)) {
+        throw new RpcError('The photo must be uploaded for this report', '42501')
+      }
+    }
+
+    const [feedback] = store.insert('report_feedback', [{
+      report_id: reportId,
+      resolution_event_id: resolution.id,
+      user_id: userId,
+      rating,
+      comment: note,
+      reopened: reopen,
+      photo_path: reopen ? photo_path : null,
+      photo_thumbnail_path: reopen ? photo_thumbnail_path : null
+    }])
+    if (reopen) {
+      store.insert('report_updates', [{ report_id: reportId, user_id: userId, message: note }])
+      store.update('reports', (row) => row.id === reportId, { status: 'open' })
+    }
+    return feedback
+  }
+}
+
+export const createLocalRpc = (store) => async (name, params = {}) => {
+  await store.ready
+  if (!functions[name]) {
+    return {
+      data: null,
+      error: postgrestError(`Could not find the function public.${name} in the schema cache`, 'PGRST202'),
+      status: 404
+    }
+  }
+  try {
+    return { data: functions[name](store, params), error: null, status: 200 }
+  } catch (err) {
+    if (!(err instanceof RpcError)) throw err
+    return { data: null, error: postgrestError(err.message, err.code), status: 400 }
+  }
+}
@@ -0,0 +1,151 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createLocalClient } from './index.js'
+import { distanceInMeters } from '../map.js'
+
+// The local backend keeps its session in localStorage, which Node lacks.
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+}
+
+// A report holds at most this many photos (positions 0 to 4, 0005_report_images).
+const MAX_PHOTOS_PER_REPORT = 5
+
+let client
+let userId
+let report
+
+// A fresh seed, signed in as the resident, with their resolved report at hand.
+beforeEach(async () => {
+  storage.clear()
+  client = createLocalClient()
+  await client.local.reset()
+  const { data, error } = await client.auth.signInWithPassword({ email: 'resident@example.com', password: 'password' })
+  assert.ifError(error)
+  userId = data.user.id
+  const { data: reports } = await client.from('reports').select('*').eq('user_id', userId).eq('status', 'resolved')
+  report = reports[0]
+})
+
+const addPhotos = async (count) => {
+  const rows = Array.from({ length: count }, (_, position) => ({
+    report_id: report.id,
+    path: `${userId}/${report.id}/${position}.jpg`,
+    position
+  }))
+  const { error } = await client.from('report_images').insert(rows)
+  assert.ifError(error)
+}
+
+const reopen = () =>
+  client.rpc('respond_to_resolution', {
+    report_id: report.id,
+    rating: 2,
+    comment: 'Still overflowing',
+    reopen: true,
+    photo_path: `${userId}/${report.id}/reopen.jpg`,
+    photo_thumbnail_path: `${userId}/${report.id}/reopen-thumb.jpg`
+  })
+
+test('respond_to_resolution reopens a report that already has the most photos', async () => {
+  await addPhotos(MAX_PHOTOS_PER_REPORT)
+
+  const { data: feedback, error } = await reopen()
+  assert.ifError(error)
+  assert.equal(feedback.reopened, true)
+  assert.equal(feedback.photo_path, `${userId}/${report.id}/reopen.jpg`)
+  assert.equal(feedback.photo_thumbnail_path, `${userId}/${report.id}/reopen-thumb.jpg`)
+
+  const { data: reopened } = await client.from('reports').select('*, images:report_images(*)').eq('id', report.id).single()
+  assert.equal(reopened.status, 'open')
+  assert.equal(reopened.images.length, MAX_PHOTOS_PER_REPORT)
+  assert.ok(reopened.images.every((image) => !image.path.endsWith('/reopen.jpg')))
+})
+
+test('respond_to_resolution keeps no photo when the fix is confirmed', async () => {
+  const { data: feedback, error } = await client.rpc('respond_to_resolution', {
+    report_id: report.id,
+    rating: 5,
+    photo_path: `${userId}/${report.id}/ignored.jpg`
+  })
+  assert.ifError(error)
+  assert.equal(feedback.reopened, false)
+  assert.equal(feedback.photo_path, null)
+})
+
+test('find_nearby_reports shares only the cell a report is in', async () => {
+  await client.from('reports').update({ status: 'open', latitude: 51.50012, longitude: -0.12013 }).eq('id', report.id)
+
+  const { data, error } = await client.rpc('find_nearby_reports', { lat: 51.50012, lng: -0.12013, category_id: report.category })
+  assert.ifError(error)
+  const found = data.find((row) => row.id === report.id)
+  assert.ok(found)
+  assert.equal(found.description, undefined)
+  assert.equal(found.address, undefined)
+  assert.notEqual(found.latitude, 51.50012)
+  // Measured from the centre of the cell, not from the report itself
+  assert.notEqual(found.distance_m, 0)
+
+  const { data: elsewhere } = await client.rpc('find_nearby_reports', { lat: 51.51, lng: -0.12013, category_id: report.category })
+  assert.ok(elsewhere.every((row) => row.id !== report.id))
+})
+
+test('guest reports are limited per address, not only per session', async () => {
+  for (let session = 0; session < 4; session++) {
+    await client.auth.signOut()
+    const { error } = await client.auth.signInAnonymously()
+    assert.ifError(error)
+    for (let i = 0; i < 3; i++) {
+      const { error: insertError } = await client.from('reports').insert({ title: `Guest ${session}.${i}`, category: 'pothole' })
+      if (session * 3 + i < 10) assert.ifError(insertError)
+      else assert.equal(insertError.code, '23514')
+    }
+  }
+})
+
+test('public_issue_map snaps every report to the centre of its cell', async () => {
+  // About 40 m apart, inside the cell centred on 30.734775, 76.779734
+  const here = { lat: 30.7347, lng: 76.7796 }
+  const nearby = { lat: 30.7349, lng: 76.7799 }
+  const ids = []
+  for (const location of [here, nearby]) {
+    const { data, error } = await client
+      .from('reports')
+      .insert({
+        title: 'Fallen tree',
+        category: 'other',
+        description: 'Across the path',
+        address: 'Sector 17',
+        latitude: location.lat,
+        longitude: location.lng
+      })
+      .select()
+      .single()
+    assert.ifError(error)
+    ids.push(data.id)
+  }
+  await client.auth.signOut()
+
+  const { data, error } = await client.rpc('public_issue_map', {})
+  assert.ifError(error)
+  const [first, second] = ids.map((id) => data.find((row) => row.id === id))
+  assert.deepEqual(Object.keys(first).sort(), [
+    'category', 'created_at', 'id', 'latitude', 'longitude', 'resolved_at', 'status', 'support_count', 'title'
+  ])
+  // Both fall in the same cell, so they cannot be told apart
+  assert.deepEqual([second.latitude, second.longitude], [first.latitude, first.longitude])
+  assert.notDeepEqual([first.latitude, first.longitude], [here.lat, here.lng])
+  // Never further than half the cell's diagonal, about 106 m
+  assert.ok(distanceInMeters(here, { lat: first.latitude, lng: first.longitude }) < 110)
+})
+
+test('public_issue_map leaves out reports resolved before the window', async () => {
+  const { data: recent } = await client.rpc('public_issue_map', { resolved_within_days: 365 })
+  assert.ok(recent.some((row) => row.id === report.id))
+
+  const { data: none } = await client.rpc('public_issue_map', { resolved_within_days: 0 })
+  assert.ok(none.every((row) => ['open', 'in_progress'].includes(row.status)))
+})
@@ -0,0 +1,70 @@
+import { newId } from '../ids.js'
+
+// Column defaults for the tables the local backend knows about. These mirror
+// what Postgres fills in for us on Supabase, so rows look the same to the apps
+// whichever backend produced them.
+
+const TABLE_DEFAULTS = {
+  reports: () => ({
+    user_id: null,
+    description: null,
+    status: 'open',
+    priority: 'medium',
+    location: null,
+    latitude: null,
+    longitude: null,
+    location_accuracy: null,
+    address: null,
+    image_url: null,
+    assigned_to: null,
+    resolution_notes: null,
+    support_count: 0,
+    filed_as_guest: false,
+    tracking_code: null
+  }),
+  report_images: () => ({
+    position: 0,
+    thumbnail_path: null,
+    is_public: false
+  }),
+  report_updates: () => ({
+    user_id: null,
+    is_internal: false
+  }),
+  report_supporters: () => ({}),
+  push_subscriptions: () => ({
+    user_id: null,
+    user_agent: null
+  }),
+  report_events: () => ({
+    actor_id: null,
+    from_status: null,
+    to_status: null,
+    data: {},
+    is_internal: false
+  }),
+  report_feedback: () => ({
+    comment: null,
+    reopened: false,
+    photo_path: null,
+    photo_thumbnail_path: null
+  }),
+  profiles: () => ({
+    name: null,
+    role: 'citizen',
+    email_notifications: true,
+    locale: null,
+    contact_email: null
+  })
+}
+
+export const withDefaults = (table, values) => {
+  const now = new Date().toISOString()
+  return {
+    id: newId(),
+    created_at: now,
+    updated_at: now,
+    ...(TABLE_DEFAULTS[table] ? TABLE_DEFAULTS[table]() : {}),
+    ...values
+  }
+}
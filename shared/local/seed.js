@@ -0,0 +1,114 @@
+import { withDefaults } from './schema.js'
+
+// Demo data loaded the first time the local backend starts (or after
+// `supabase.local.reset()`). Both accounts use the password "password".
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+
+const RESIDENT_ID = '00000000-0000-4000-8000-000000000001'
+const STAFF_ID = '00000000-0000-4000-8000-000000000002'
+
+const point = (lat, lng) => ({
+  location: `SRID=4326;POINT(${lng} ${lat})`,
+  latitude: lat,
+  longitude: lng
+})
+
+// The history the database triggers would have written for a seeded report:
+// staff picked it up halfway through its life and finished it at its last
+// update.
+const seedEvents = (report) => {
+  const event = (values) => withDefaults('report_events', { report_id: report.id, actor_id: STAFF_ID, ...values })
+  const midpoint = new Date((Date.parse(report.created_at) + Date.parse(report.updated_at)) / 2).toISOString()
+  const notes = report.resolution_notes ? { resolution_notes: report.resolution_notes } : {}
+  const events = [event({ actor_id: report.user_id, type: 'created', to_status: 'open', created_at: report.created_at })]
+
+  if (report.status === 'in_progress') {
+    events.push(event({ type: 'status_changed', from_status: 'open', to_status: 'in_progress', created_at: report.updated_at }))
+  } else if (report.status === 'resolved') {
+    events.push(
+      event({ type: 'status_changed', from_status: 'open', to_status: 'in_progress', created_at: midpoint }),
+      event({ type: 'status_changed', from_status: 'in_progress', to_status: 'resolved', data: notes, created_at: report.updated_at })
+    )
+  } else if (report.status === 'closed') {
+    events.push(event({ type: 'status_changed', from_status: 'open', to_status: 'closed', data: notes, created_at: report.updated_at }))
+  }
+  return events
+}
+
+const createSeedTables = () => ({
+  auth_users: [
+    {
+      id: RESIDENT_ID,
+      email: 'resident@example.com',
+      password: 'password',
+      user_metadata: { name: 'Demo Resident' },
+      created_at: daysAgo(30)
+    },
+    {
+      id: STAFF_ID,
+      email: 'staff@example.com',
+      password: 'password',
+      user_metadata: { name: 'Demo Staff' },
+      created_at: daysAgo(60)
+    }
+  ],
+  profiles: [
+    withDefaults('profiles', { id: RESIDENT_ID, email: 'resident@example.com', name: 'Demo Resident', role: 'citizen', created_at: daysAgo(30) }),
+    withDefaults('profiles', { id: STAFF_ID, email: 'staff@example.com', name: 'Demo Staff', role: 'staff', created_at: daysAgo(60) })
+  ],
+  reports: [
+    withDefaults('reports', {
+      user_id: RESIDENT_ID,
+      title: 'Deep pothole outside the market',
+      description: 'Cars swerve into the cycle lane to avoid it.',
+      category: 'pothole',
+      status: 'open',
+      ...point(30.7352, 76.7789),
+      address: 'Sector 17 Market Road',
+      created_at: daysAgo(2),
+      updated_at: daysAgo(2)
+    }),
+    withDefaults('reports', {
+      user_id: RESIDENT_ID,
+      title: 'Street light out for a week',
+      description: 'The lamp at the corner of the park has been dark every night.',
+      category: 'streetlight',
+      status: 'in_progress',
+      ...point(30.7411, 76.7682),
+      address: 'Leisure Valley, north gate',
+      created_at: daysAgo(6),
+      updated_at: daysAgo(3)
+    }),
+    withDefaults('reports', {
+      user_id: RESIDENT_ID,
+      title: 'Overflowing bins',
+      description: 'Bins have not been collected since the weekend.',
+      category: 'garbage',
+      status: 'resolved',
+      resolution_notes: 'Bins emptied and collection moved to daily.',
+      ...point(30.7268, 76.7901),
+      address: 'Sector 20 inner lane',
+      created_at: daysAgo(12),
+      updated_at: daysAgo(9)
+    }),
+    withDefaults('reports', {
+      user_id: STAFF_ID,
+      title: 'Graffiti on bus shelter',
+      description: null,
+      category: 'vandalism',
+      status: 'closed',
+      resolution_notes: 'Shelter cleaned and repainted.',
+      ...point(30.7195, 76.7712),
+      address: 'Madhya Marg bus stop',
+      created_at: daysAgo(20),
+      updated_at: daysAgo(15)
+    })
+  ]
+})
+
+export const createSeedData = () => {
+  const data = createSeedTables()
+  data.report_events = data.reports.flatMap(seedEvents)
+  return data
+}
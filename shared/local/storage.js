@@ -0,0 +1,118 @@
+import { createKeyValueStore } from '../idb.js'
+
+const storageError = (message, statusCode) => ({ name: 'StorageApiError', message, statusCode })
+
+// Objects are kept as data URLs so the URLs we hand out survive reloads and
+// can be stored in table rows just like Supabase public URLs.
+const toDataUrl = async (file, contentType) => {
+  if (typeof FileReader !== 'undefined' && file instanceof Blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.onerror = () => reject(reader.error)
+      reader.readAsDataURL(file)
+    })
+  }
+  // Node scripts: no FileReader, but Buffer does the encoding.
+  const { Buffer } = globalThis
+  const buffer = file instanceof Blob ? Buffer.from(await file.arrayBuffer()) : Buffer.from(file)
+  return `data:${contentType || 'application/octet-stream'};base64,${buffer.toString('base64')}`
+}
+
+export const createLocalStorageApi = () => {
+  const objects = createKeyValueStore('civic-local-objects', 'objects')
+  const urls = new Map()
+
+  const ready = objects.entries().then((entries) => {
+    entries.forEach(([key, object]) => urls.set(key, object.dataUrl))
+  })
+
+  const from = (bucket) => {
+    const keyFor = (path) => `${bucket}/${path}`
+
+    const upload = async (path, file, { upsert = false, contentType } = {}) => {
+      await ready
+      const key = keyFor(path)
+      if (urls.has(key) && !upsert) {
+        return { data: null, error: storageError('The resource already exists', '409') }
+      }
+      const type = contentType || file.type || 'application/octet-stream'
+      const dataUrl = await toDataUrl(file, type)
+      await objects.set(key, {
+        dataUrl,
+        contentType: type,
+        size: file.size ?? null,
+        created_at: new Date().toISOString()
+      })
+      urls.set(key, dataUrl)
+      return { data: { id: key, path, fullPath: key }, error: null }
+    }
+
+    const getPublicUrl = (path) => ({ data: { publicUrl: urls.get(keyFor(path)) || '' } })
+
+    const createSignedUrl = async (path) => {
+      await ready
+      const url = urls.get(keyFor(path))
+      if (!url) return { data: null, error: storageError('Object not found', '404') }
+      return { data: { signedUrl: url }, error: null }
+    }
+
+    const createSignedUrls = async (paths) => {
+      await ready
+      const data = paths.map((path) => {
+        const url = urls.get(keyFor(path))
+        return url
+          ? { path, signedUrl: url, error: null }
+          : { path, signedUrl: null, error: 'Object not found' }
+      })
+      return { data, error: null }
+    }
+
+    const download = async (path) => {
+      await ready
+      const url = urls.get(keyFor(path))
+      if (!url) return { data: null, error: storageError('Object not found', '404') }
+      return { data: await (await fetch(url)).blob(), error: null }
+    }
+
+    const list = async (prefix = '', { limit = 100, offset = 0 } = {}) => {
+      await ready
+      const base = keyFor(prefix ? `${prefix.replace(/\/$/, '')}/` : '')
+      const entries = await objects.entries()
+      const data = entries
+        .filter(([key]) => key.startsWith(base))
+        .map(([key, object]) => ({
+          name: key.slice(base.length),
+          id: key,
+          created_at: object.created_at,
+          metadata: { size: object.size, mimetype: object.contentType }
+        }))
+        .slice(offset, offset + limit)
+      return { data, error: null }
+    }
+
+    const remove = async (paths) => {
+      await ready
+      const removed = []
+      for (const path of paths) {
+        const key = keyFor(path)
+        if (!urls.has(key)) continue
+        await objects.del(key)
+        urls.delete(key)
+        removed.push({ name: path })
+      }
+      return { data: removed, error: null }
+    }
+
+    return { upload, getPublicUrl, createSignedUrl, createSignedUrls, download, list, remove }
+  }
+
+  // Used by `supabase.local.reset()`.
+  const clear = async () => {
+    await ready
+    await objects.clear()
+    urls.clear()
+  }
+
+  return { from, clear }
+}
@@ -0,0 +1,141 @@
+import { createKeyValueStore } from '../idb.js'
+import { withDefaults } from './schema.js'
+import { createSeedData } from './seed.js'
+
+const CHANNEL_NAME = 'civic-local-backend'
+
+const clone = (value) => JSON.parse(JSON.stringify(value))
+
+// In-memory tables persisted to IndexedDB. Every mutation is announced to
+// local listeners (realtime channels) and to other tabs of the same origin.
+export const createLocalStore = () => {
+  const tables = {}
+  const listeners = new Set()
+  const triggers = []
+  const persisted = createKeyValueStore('civic-local-tables', 'tables')
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null
+
+  const rowsOf = (table) => tables[table] || (tables[table] = [])
+
+  const save = (table) =>
+    persisted.set(table, rowsOf(table)).catch((err) => {
+      console.warn(`Local backend: could not persist "${table}"`, err)
+    })
+
+  const loadSeed = async () => {
+    Object.keys(tables).forEach((table) => delete tables[table])
+    Object.entries(createSeedData()).forEach(([table, rows]) => {
+      tables[table] = rows
+    })
+    await Promise.all(Object.keys(tables).map(save))
+  }
+
+  const ready = (async () => {
+    const entries = await persisted.entries()
+    if (entries.length === 0) {
+      await loadSeed()
+    } else {
+      entries.forEach(([table, rows]) => {
+        tables[table] = rows
+      })
+    }
+  })()
+
+  const notify = (change) => {
+    listeners.forEach((listener) => listener(change))
+  }
+
+  const announce = (change) => {
+    notify(change)
+    if (channel) channel.postMessage(change)
+  }
+
+  // Keep this tab's copy in step with writes made in other tabs.
+  if (channel) {
+    // Node keeps the process alive while a BroadcastChannel is open.
+    if (channel.unref) channel.unref()
+
+    channel.onmessage = ({ data: change }) => {
+      const rows = rowsOf(change.table)
+      if (change.event === 'INSERT') {
+        rows.push(change.new)
+      } else if (change.event === 'UPDATE') {
+        const index = rows.findIndex((row) => row.id === change.new.id)
+        if (index === -1) rows.push(change.new)
+        else rows[index] = change.new
+      } else if (change.event === 'DELETE') {
+        tables[change.table] = rows.filter((row) => row.id !== change.old.id)
+      }
+      notify(change)
+    }
+  }
+
+  // Runs the triggers registered for `table` and `event` on rows written in
+  // this tab. Writes arriving from other tabs already include their effects.
+  const fire = (table, event, changes) => {
+    triggers
+      .filter((trigger) => trigger.table === table && trigger.event === event)
+      .forEach((trigger) => changes.forEach(({ next, old }) => trigger.fn(clone(next), old ? clone(old) : null)))
+  }
+
+  // Runs the BEFORE INSERT triggers for `table` on a new row, which may
+  // change it or throw to reject the insert.
+  const prepare = (table, row) =>
+    triggers
+      .filter((trigger) => trigger.table === table && trigger.event === 'BEFORE INSERT')
+      .reduce((next, trigger) => trigger.fn(next), row)
+
+  const select = (table) => clone(rowsOf(table))
+
+  const insert = (table, values) => {
+    const rows = values.map((value) => prepare(table, withDefaults(table, value)))
+    rowsOf(table).push(...rows)
+    save(table)
+    rows.forEach((row) => announce({ table, event: 'INSERT', new: clone(row), old: null }))
+    fire(table, 'INSERT', rows.map((row) => ({ next: row, old: null })))
+    return clone(rows)
+  }
+
+  const update = (table, predicate, values) => {
+    const now = new Date().toISOString()
+    const updated = []
+    tables[table] = rowsOf(table).map((row) => {
+      if (!predicate(row)) return row
+      const next = { ...row, ...values, updated_at: values.updated_at || now }
+      updated.push({ next, old: row })
+      return next
+    })
+    if (updated.length) save(table)
+    updated.forEach(({ next, old }) => announce({ table, event: 'UPDATE', new: clone(next), old: clone(old) }))
+    fire(table, 'UPDATE', updated)
+    return clone(updated.map(({ next }) => next))
+  }
+
+  const remove = (table, predicate) => {
+    const removed = rowsOf(table).filter(predicate)
+    tables[table] = rowsOf(table).filter((row) => !predicate(row))
+    if (removed.length) save(table)
+    removed.forEach((row) => announce({ table, event: 'DELETE', new: null, old: clone(row) }))
+    return clone(removed)
+  }
+
+  // Stand-in for an AFTER INSERT/UPDATE trigger: `fn(newRow, oldRow)`. With
+  // the event 'BEFORE INSERT', `fn(newRow)` returns the row to store instead.
+  const addTrigger = (table, event, fn) => {
+    triggers.push({ table, event, fn })
+  }
+
+  const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  }
+
+  // Drops everything stored on this device and reloads the demo data.
+  const reset = async () => {
+    await ready
+    await persisted.clear()
+    await loadSeed()
+  }
+
+  return { ready, select, insert, update, remove, subscribe, addTrigger, reset }
+}
@@ -0,0 +1,97 @@
+import { currentUserId } from './auth.js'
+import { newId } from '../ids.js'
+
+// Mirrors the database triggers that write `report_events` (migration
+// 0011_report_events), so the local backend keeps the same history, and the
+// one that prepares guest reports (0020_guest_reports).
+
+const GUEST_REPORTS_PER_DAY = 3
+// Every guest on the local backend shares this device's address
+const GUEST_REPORTS_PER_ADDRESS = 10
+const DAY_MS = 1000 * 60 * 60 * 24
+
+class TriggerError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.code = code
+  }
+}
+
+const PUBLIC_FIELDS = ['title', 'description', 'category', 'address', 'latitude', 'longitude']
+const INTERNAL_FIELDS = ['priority']
+
+export const installLocalTriggers = (store) => {
+  const logEvent = (event) => store.insert('report_events', [{ actor_id: currentUserId(), ...event }])
+
+  store.addTrigger('reports', 'BEFORE INSERT', (report) => {
+    const userId = currentUserId()
+    const user = store.select('auth_users').find((row) => row.id === userId)
+    if (!user || !user.is_anonymous) return { ...report, filed_as_guest: false, tracking_code: null }
+
+    const since = Date.now() - DAY_MS
+    const today = store.select('reports').filter((row) => row.user_id === userId && Date.parse(row.created_at) > since)
+    if (today.length >= GUEST_REPORTS_PER_DAY) {
+      throw new TriggerError(
+        `Guests can file up to ${GUEST_REPORTS_PER_DAY} reports a day. Create an account to report more.`,
+        '23514'
+      )
+    }
+    const fromAddress = store.select('reports').filter((row) => row.filed_as_guest && Date.parse(row.created_at) > since)
+    if (fromAddress.length >= GUEST_REPORTS_PER_ADDRESS) {
+      throw new TriggerError(
+        'Too many guest reports have come from your network today. Create an account to report more.',
+        '23514'
+      )
+    }
+    return { ...report, filed_as_guest: true, tracking_code: newId().replace(/-/g, '').slice(0, 10).toUpperCase() }
+  })
+
+  store.addTrigger('reports', 'INSERT', (report) => {
+    logEvent({
+      report_id: report.id,
+      actor_id: currentUserId() || report.user_id,
+      type: 'created',
+      to_status: report.status,
+      created_at: report.created_at
+    })
+  })
+
+  store.addTrigger('reports', 'UPDATE', (report, old) => {
+    if (report.status !== old.status) {
+      logEvent({
+        report_id: report.id,
+        type: 'status_changed',
+        from_status: old.status,
+        to_status: report.status,
+        data: report.resolution_notes ? { resolution_notes: report.resolution_notes } : {}
+      })
+    }
+
+    if (report.assigned_to !== old.assigned_to) {
+      logEvent({ report_id: report.id, type: 'assigned', data: { assigned_to: report.assigned_to } })
+    }
+
+    const edited = [...PUBLIC_FIELDS, ...INTERNAL_FIELDS].filter(
+      (field) => JSON.stringify(report[field]) !== JSON.stringify(old[field])
+    )
+    if (edited.length > 0) {
+      logEvent({
+        report_id: report.id,
+        type: 'edited',
+        data: { fields: edited },
+        is_internal: edited.every((field) => INTERNAL_FIELDS.includes(field))
+      })
+    }
+  })
+
+  store.addTrigger('report_updates', 'INSERT', (update) => {
+    logEvent({
+      report_id: update.report_id,
+      actor_id: update.user_id,
+      type: 'commented',
+      data: { update_id: update.id, message: update.message },
+      is_internal: update.is_internal,
+      created_at: update.created_at
+    })
+  })
+}
@@ -0,0 +1,36 @@
+// Map defaults shared by both apps.
+
+const env = import.meta.env || {}
+
+// "lat,lng" -> { lat, lng }, or null when missing or malformed.
+const parseCenter = (value) => {
+  const [lat, lng] = (value || '').split(',').map(Number)
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+    ? { lat, lng }
+    : null
+}
+
+// Where maps open when the device's position is unknown: the municipality's
+// centre, set with VITE_MAP_CENTER ("lat,lng").
+export const DEFAULT_MAP_CENTER = parseCenter(env.VITE_MAP_CENTER) || { lat: 30.7333, lng: 76.7794 }
+
+export const DEFAULT_MAP_ZOOM = 13
+
+// Zoom used once a specific spot has been chosen.
+export const PIN_ZOOM = 17
+
+export const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
+
+export const TILE_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+
+const EARTH_RADIUS_M = 6371000
+
+// Great-circle distance in metres between two `{ lat, lng }` points.
+export const distanceInMeters = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180
+  const dLat = toRad(b.lat - a.lat)
+  const dLng = toRad(b.lng - a.lng)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h))
+}
@@ -0,0 +1,37 @@
+// Rules for new passwords: signing up, resetting a forgotten password,
+// changing it, and a former guest choosing one. The forms show each rule as
+// it is met and only submit once all are. Supabase checks its own minimum
+// length (Authentication → Providers → Email); keep that at or below ours.
+
+export const PASSWORD_MIN_LENGTH = 8
+
+// Passwords that meet the other rules but are guessed first.
+const COMMON_PASSWORDS = [
+  'password1', 'password123', 'passw0rd', 'qwerty123', 'abc12345', 'abcd1234',
+  'iloveyou1', 'welcome1', 'letmein1', 'admin123', 'test1234', 'changeme1'
+]
+
+// The part of an email address before the @, if long enough to matter.
+const emailName = (email) => {
+  const name = (email || '').split('@')[0].toLowerCase()
+  return name.length >= 3 ? name : null
+}
+
+const RULES = [
+  { id: 'length', test: (password) => password.length >= PASSWORD_MIN_LENGTH },
+  { id: 'letter', test: (password) => /\p{L}/u.test(password) },
+  { id: 'number', test: (password) => /\p{N}/u.test(password) },
+  {
+    id: 'notEmail',
+    test: (password, { email }) => !emailName(email) || !password.toLowerCase().includes(emailName(email))
+  },
+  { id: 'notCommon', test: (password) => !COMMON_PASSWORDS.includes(password.toLowerCase()) }
+]
+
+// Every rule as `{ id, met }`, in the order they are shown. `email` is the
+// account's address, which the password must not contain.
+export const checkPassword = (password, { email } = {}) =>
+  RULES.map(({ id, test }) => ({ id, met: test(password, { email }) }))
+
+export const isStrongPassword = (password, options) =>
+  checkPassword(password, options).every((rule) => rule.met)
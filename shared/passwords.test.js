@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkPassword, isStrongPassword, PASSWORD_MIN_LENGTH } from './passwords.js'
+import en from './i18n/locales/en.json'
+
+// The rules `password` breaks.
+const unmet = (password, options) =>
+  checkPassword(password, options).filter((rule) => !rule.met).map((rule) => rule.id)
+
+test('every rule is listed, in order, with a message to show', () => {
+  const ids = checkPassword('').map((rule) => rule.id)
+  assert.deepEqual(ids, ['length', 'letter', 'number', 'notEmail', 'notCommon'])
+  assert.deepEqual(Object.keys(en.password.rules), ids)
+})
+
+test('a password needs the minimum length, a letter and a number', () => {
+  assert.equal(PASSWORD_MIN_LENGTH, 8)
+  assert.deepEqual(unmet('river7'), ['length'])
+  assert.deepEqual(unmet('12345678'), ['letter'])
+  assert.deepEqual(unmet('riverbank'), ['number'])
+  assert.equal(isStrongPassword('riverbank7'), true)
+})
+
+test('letters and numbers of any script count', () => {
+  assert.equal(isStrongPassword('ñandú-2024'), true)
+  assert.equal(isStrongPassword('كلمةسر٣٤'), true)
+})
+
+test('a password may not contain the name part of the email address', () => {
+  const email = 'Priya.Shah@example.com'
+  assert.deepEqual(unmet('priya.shah99', { email }), ['notEmail'])
+  assert.deepEqual(unmet('PRIYA.SHAHx1', { email }), ['notEmail'])
+  assert.equal(isStrongPassword('harbour-lights-9', { email }), true)
+  // Names this short would rule out too much
+  assert.equal(isStrongPassword('ab-river-9', { email: 'ab@example.com' }), true)
+  assert.equal(isStrongPassword('riverbank7', {}), true)
+})
+
+test('common passwords are refused whatever their case', () => {
+  assert.deepEqual(unmet('Password123'), ['notCommon'])
+  assert.deepEqual(unmet('QWERTY123'), ['notCommon'])
+})
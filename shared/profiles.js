@@ -0,0 +1,87 @@
+import { supabase } from './supabase.js'
+import { AppError } from './errors.js'
+
+const TABLE = 'profiles'
+
+// Profile of the signed-in user, or null when nobody is signed in.
+export const getCurrentProfile = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) return null
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('*')
+    .eq('id', session.user.id)
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Turns report emails (migration 0017_email_notifications) on or off for the
+// signed-in user.
+export const setEmailNotifications = async (enabled) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) throw new AppError('signedOut')
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ email_notifications: enabled })
+    .eq('id', session.user.id)
+
+  if (error) throw error
+}
+
+// Staff and admins, who reports can be assigned to (see assignReport in
+// reports.js), by name. Only staff can read other people's profiles.
+export const listStaff = async () => {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('id, name, email')
+    .in('role', ['staff', 'admin'])
+    .order('name')
+
+  if (error) throw error
+  return data
+}
+
+// Records the language the signed-in user has the portal in
+// (profiles.locale, migration 0016_push_notifications), so the notifications
+// sent to them are written in it. Does nothing when nobody is signed in.
+export const setProfileLocale = async (locale) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) return
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ locale })
+    .eq('id', session.user.id)
+
+  if (error) throw error
+}
+
+// Turns report emails off for whoever an emailed unsubscribe link belongs
+// to; works signed out. Resolves to false when the link is not valid.
+export const unsubscribeFromEmails = async (token) => {
+  const { data, error } = await supabase.rpc('unsubscribe_from_emails', { token })
+  // 22P02: the token is not even a UUID
+  if (error && error.code === '22P02') return false
+  if (error) throw error
+  return data === true
+}
+
+// Where a guest (migration 0020_guest_reports) wants updates on their
+// reports emailed; accounts use their sign-in address. Pass null to remove it.
+export const setContactEmail = async (email) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) throw new AppError('signedOut')
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ contact_email: email || null })
+    .eq('id', session.user.id)
+
+  // 23514: the check constraint on the address's format
+  if (error && error.code === '23514') throw new AppError('invalidEmail')
+  if (error) throw error
+}
@@ -0,0 +1,92 @@
+import { supabase } from './supabase.js'
+import { AppError } from './errors.js'
+
+// Opt-in Web Push. The browser's subscription is stored in
+// `push_subscriptions` (migration 0016_push_notifications) and
+// scripts/send-notifications.js delivers queued notifications to it; the
+// service worker shows them (citizen-portal/public/sw-push.js). Needs
+// VITE_VAPID_PUBLIC_KEY, the public half of the sender's VAPID key pair.
+
+const env = import.meta.env || {}
+
+const VAPID_PUBLIC_KEY = env.VITE_VAPID_PUBLIC_KEY || ''
+
+const TABLE = 'push_subscriptions'
+
+// True when this browser can receive push messages and the app has a key to
+// subscribe with.
+export const isPushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) &&
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window
+
+// 'granted', 'denied' or 'default' (not asked yet).
+export const getNotificationPermission = () => (isPushSupported() ? Notification.permission : 'denied')
+
+const applicationServerKey = () => {
+  const base64 = VAPID_PUBLIC_KEY.replace(/-/g, '+').replace(/_/g, '/')
+  const raw = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0))
+}
+
+const getBrowserSubscription = async () => {
+  const registration = await navigator.serviceWorker.ready
+  return registration.pushManager.getSubscription()
+}
+
+// True when this browser is subscribed for the signed-in user. A browser
+// can stay subscribed after someone else signed out of it, so the stored
+// row decides.
+export const isPushEnabled = async () => {
+  if (!isPushSupported() || Notification.permission !== 'granted') return false
+  const subscription = await getBrowserSubscription()
+  if (!subscription) return false
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('id')
+    .eq('endpoint', subscription.endpoint)
+    .maybeSingle()
+  if (error) throw error
+  return Boolean(data)
+}
+
+// Asks for permission if needed, subscribes this browser and stores the
+// subscription for the signed-in user. Throws when permission is refused.
+export const enablePushNotifications = async () => {
+  if (!isPushSupported()) throw new AppError('pushUnsupported')
+
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') {
+    throw new AppError('notificationsBlocked')
+  }
+
+  const registration = await navigator.serviceWorker.ready
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: applicationServerKey() }))
+  const { endpoint, keys } = subscription.toJSON()
+
+  const { error } = await supabase.rpc('save_push_subscription', {
+    endpoint,
+    p256dh: keys.p256dh,
+    auth_secret: keys.auth,
+    user_agent: navigator.userAgent
+  })
+  if (error) throw error
+}
+
+// Stops notifications to this browser: forgets the stored subscription and
+// unsubscribes from the push service. Call it before signing out, while the
+// session can still delete the row.
+export const disablePushNotifications = async () => {
+  if (!isPushSupported()) return
+  const subscription = await getBrowserSubscription()
+  if (!subscription) return
+
+  const { error } = await supabase.from(TABLE).delete().eq('endpoint', subscription.endpoint)
+  if (error) throw error
+  await subscription.unsubscribe()
+}
@@ -0,0 +1,143 @@
+import { supabase } from './supabase.js'
+
+// Read side of `report_events`, the history of each report. Events are
+// written by database triggers (see migration 0011_report_events), never by
+// the apps.
+
+export const REPORT_EVENT_TYPES = ['created', 'status_changed', 'assigned', 'commented', 'edited']
+
+const TABLE = 'report_events'
+
+// Edited columns as they are named in the timeline (timeline.fields.*)
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  category: 'category',
+  address: 'address',
+  latitude: 'location',
+  longitude: 'location',
+  priority: 'priority'
+}
+
+// Events of one report, oldest first. Residents' views should leave
+// `includeInternal` off; staff-only events are also hidden from them by
+// row-level security.
+export const listReportEvents = async (reportId, { includeInternal = false } = {}) => {
+  let query = supabase
+    .from(TABLE)
+    .select('*')
+    .eq('report_id', reportId)
+    .order('created_at', { ascending: true })
+
+  if (!includeInternal) query = query.eq('is_internal', false)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data
+}
+
+// Events across all reports, oldest first, for analytics.
+export const listEvents = async ({ types, since } = {}) => {
+  let query = supabase
+    .from(TABLE)
+    .select('*')
+    .order('created_at', { ascending: true })
+
+  if (types) query = query.in('type', types)
+  if (since) query = query.gte('created_at', new Date(since).toISOString())
+
+  const { data, error } = await query
+  if (error) throw error
+  return data
+}
+
+// Calls `onInsert` with each new event of `reportId`. Returns an unsubscribe
+// function.
+export const subscribeToReportEvents = (reportId, onInsert) => {
+  const subscription = supabase
+    .channel(`report-events-${reportId}`)
+    .on(
+      'postgres_changes',
+      { schema: 'public', table: TABLE, event: 'INSERT', filter: `report_id=eq.${reportId}` },
+      (payload) => onInsert(payload.new)
+    )
+    .subscribe()
+
+  return () => {
+    supabase.removeChannel(subscription)
+  }
+}
+
+// One-line summary of an event for timelines, in the language of `i18n`
+// (the value of useI18n or createI18n).
+export const describeEvent = (event, { t, formatStatus, formatList }) => {
+  switch (event.type) {
+    case 'created':
+      return t('timeline.created')
+    case 'status_changed':
+      if (event.to_status === 'withdrawn') return t('timeline.withdrawn')
+      if (event.from_status === 'resolved' && event.to_status === 'open') return t('timeline.reopened')
+      return t('timeline.statusChanged', { from: formatStatus(event.from_status), to: formatStatus(event.to_status) })
+    case 'assigned':
+      return event.data.assigned_to ? t('timeline.assigned') : t('timeline.unassigned')
+    case 'commented':
+      return t('timeline.commented')
+    case 'edited': {
+      const labels = (event.data.fields || []).map((field) =>
+        FIELD_LABELS[field] ? t(`timeline.fields.${FIELD_LABELS[field]}`) : field
+      )
+      return t('timeline.edited', { fields: formatList([...new Set(labels)]) })
+    }
+    default:
+      return event.type
+  }
+}
+
+// Milliseconds each report spent in each status, from its 'created' and
+// 'status_changed' events. The current status counts up to `now`. Returns a
+// Map of report id -> { [status]: ms }.
+export const getTimeInStatus = (events, now = Date.now()) => {
+  const byReport = new Map()
+  events
+    .filter((event) => event.type === 'created' || event.type === 'status_changed')
+    .forEach((event) => {
+      if (!byReport.has(event.report_id)) byReport.set(event.report_id, [])
+      byReport.get(event.report_id).push(event)
+    })
+
+  const result = new Map()
+  byReport.forEach((reportEvents, reportId) => {
+    const sorted = [...reportEvents].sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at))
+    const durations = {}
+    sorted.forEach((event, index) => {
+      const end = index + 1 < sorted.length ? Date.parse(sorted[index + 1].created_at) : now
+      durations[event.to_status] = (durations[event.to_status] || 0) + Math.max(0, end - Date.parse(event.created_at))
+    })
+    result.set(reportId, durations)
+  })
+  return result
+}
+
+// Milliseconds from submission until each report was first resolved or
+// closed, from events sorted oldest first. Reports still being worked on are
+// left out. Returns a Map of report id -> ms.
+export const getResolutionTimes = (events) => {
+  const created = new Map()
+  const finished = new Map()
+  events.forEach((event) => {
+    if (event.type === 'created') created.set(event.report_id, Date.parse(event.created_at))
+    if (
+      event.type === 'status_changed' &&
+      (event.to_status === 'resolved' || event.to_status === 'closed') &&
+      !finished.has(event.report_id)
+    ) {
+      finished.set(event.report_id, Date.parse(event.created_at))
+    }
+  })
+
+  const result = new Map()
+  finished.forEach((at, reportId) => {
+    if (created.has(reportId)) result.set(reportId, at - created.get(reportId))
+  })
+  return result
+}
@@ -0,0 +1,476 @@
+import { supabase } from './supabase.js'
+import { getSignedUrls, legacyPathFromUrl } from './imageUrls.js'
+import { getCurrentProfile } from './profiles.js'
+import { assertTransition } from './workflow.js'
+import { AppError } from './errors.js'
+
+// Single place for everything that reads or writes the `reports` table, so
+// the citizen portal and the admin dashboard share query shapes and columns.
+
+export const REPORT_STATUSES = ['open', 'in_progress', 'resolved', 'closed', 'withdrawn']
+
+export const REPORT_CATEGORIES = [
+  { id: 'pothole', label: 'Pothole', icon: '🕳️' },
+  { id: 'streetlight', label: 'Street Light', icon: '💡' },
+  { id: 'garbage', label: 'Garbage', icon: '🗑️' },
+  { id: 'vandalism', label: 'Vandalism', icon: '🎨' },
+  { id: 'other', label: 'Other', icon: '📝' }
+]
+
+// "in_progress" -> "In Progress"
+export const formatStatus = (status) =>
+  status.split('_').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+
+export const DEFAULT_PAGE_SIZE = 50
+
+export const MAX_PHOTOS_PER_REPORT = 5
+
+const TABLE = 'reports'
+const IMAGES_TABLE = 'report_images'
+const SUPPORTERS_TABLE = 'report_supporters'
+const UPDATES_TABLE = 'report_updates'
+
+// Every report is read together with its photos, in the order they were added.
+const REPORT_COLUMNS = `*, images:${IMAGES_TABLE}(*)`
+
+const UNIQUE_VIOLATION = '23505'
+
+// Sorts each report's photos and gives every photo a signed `url` and
+// `thumbnail_url`. Photos the current user may not see are dropped. Reports
+// filed before multi-photo support only have a cover `image_url`, which is
+// turned into a one-photo list.
+const withImages = async (reports) => {
+  const legacyImages = (report) => {
+    if (!report.image_url) return []
+    const path = legacyPathFromUrl(report.image_url)
+    return [{ id: report.id, position: 0, path, thumbnail_path: null, is_public: false, legacy: true, legacyUrl: path ? null : report.image_url }]
+  }
+
+  const sorted = reports.map((report) => ({
+    ...report,
+    images: report.images && report.images.length > 0
+      ? [...report.images].sort((a, b) => a.position - b.position)
+      : legacyImages(report)
+  }))
+
+  const urls = await getSignedUrls(
+    sorted.flatMap((report) => report.images.flatMap((image) => [image.path, image.thumbnail_path]))
+  )
+
+  return sorted.map((report) => ({
+    ...report,
+    images: report.images
+      .map(({ legacyUrl, ...image }) => {
+        const url = legacyUrl || urls.get(image.path) || null
+        return { ...image, url, thumbnail_url: urls.get(image.thumbnail_path) || url }
+      })
+      .filter((image) => image.url)
+  }))
+}
+
+const resolveReport = async (report) => (await withImages([report]))[0]
+
+// Photos of a report for display, each with `url` and `thumbnail_url`.
+// Realtime payloads carry no related rows, so this may be empty for them.
+export const getReportImages = (report) => report.images || []
+
+// Converts a `{ lat, lng, accuracy }` location into the PostGIS and plain
+// columns we store. `accuracy` is in metres and left out for hand-placed pins.
+export const toLocationColumns = (location) => ({
+  location: location ? `SRID=4326;POINT(${location.lng} ${location.lat})` : null,
+  latitude: location ? location.lat : null,
+  longitude: location ? location.lng : null,
+  location_accuracy: location && location.accuracy != null ? location.accuracy : null
+})
+
+const getSessionUserId = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session ? session.user.id : null
+}
+
+// `id` is generated on the client (see ids.js) so photos can be uploaded under
+// the report's folder before the row exists, and so that submitting the same
+// report twice creates it once. `images` are the results of `uploadImage`, in
+// display order. The report is filed under the signed-in user.
+export const createReport = async ({ id, title, description, category, location, address, images = [] }) => {
+  if (images.length > MAX_PHOTOS_PER_REPORT) {
+    throw new AppError('tooManyPhotos', { count: MAX_PHOTOS_PER_REPORT })
+  }
+  const userId = await getSessionUserId()
+  if (!userId) throw new AppError('signedOut')
+
+  const { data: inserted, error } = await supabase
+    .from(TABLE)
+    .insert([
+      {
+        ...(id ? { id } : {}),
+        user_id: userId,
+        title,
+        description,
+        category,
+        ...toLocationColumns(location),
+        address
+      }
+    ])
+    .select()
+    .single()
+
+  let report = inserted
+  if (error) {
+    // A retried submission whose first attempt reached the server (see
+    // submissions.js): finish that report instead of failing.
+    if (!id || error.code !== UNIQUE_VIOLATION) throw error
+    const { data: existing, error: existingError } = await supabase
+      .from(TABLE)
+      .select(REPORT_COLUMNS)
+      .eq('id', id)
+      .single()
+    if (existingError) throw existingError
+    if (existing.images.length > 0) return resolveReport(existing)
+    report = existing
+  }
+  if (images.length === 0) return resolveReport(report)
+
+  const { data: imageRows, error: imagesError } = await supabase
+    .from(IMAGES_TABLE)
+    .insert(
+      images.map((image, position) => ({
+        report_id: report.id,
+        position,
+        path: image.path,
+        thumbnail_path: image.thumbnailPath
+      }))
+    )
+    .select()
+
+  if (imagesError) throw imagesError
+  return resolveReport({ ...report, images: imageRows })
+}
+
+export const getReport = async (id) => {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select(REPORT_COLUMNS)
+    .eq('id', id)
+    .single()
+
+  if (error) throw error
+  return resolveReport(data)
+}
+
+// Filters left undefined (or set to 'all') are not applied. `reporter` keeps
+// the reports filed by that user id and `ids` the reports with those ids.
+// `page` is zero-based and only used together with `pageSize`.
+export const listReports = async ({
+  status,
+  category,
+  reporter,
+  ids,
+  since,
+  ascending = false,
+  page,
+  pageSize
+} = {}) => {
+  let query = supabase
+    .from(TABLE)
+    .select(REPORT_COLUMNS)
+    .order('created_at', { ascending })
+
+  if (status && status !== 'all') query = query.eq('status', status)
+  if (category && category !== 'all') query = query.eq('category', category)
+  if (reporter) query = query.eq('user_id', reporter)
+  if (ids) query = query.in('id', ids)
+  if (since) query = query.gte('created_at', new Date(since).toISOString())
+
+  if (page !== undefined || pageSize !== undefined) {
+    const size = pageSize || DEFAULT_PAGE_SIZE
+    const from = (page || 0) * size
+    query = query.range(from, from + size - 1)
+  }
+
+  const { data, error } = await query
+  if (error) throw error
+  return withImages(data)
+}
+
+// The reports the signed-in resident filed or added their voice to, newest
+// first, as `{ reports, supportedIds }`; `supportedIds` are the reports filed
+// by someone else, which realtime subscriptions have to follow by id.
+export const listMyReports = async () => {
+  const userId = await getSessionUserId()
+  if (!userId) return { reports: [], supportedIds: [] }
+
+  const { data: supporters, error } = await supabase
+    .from(SUPPORTERS_TABLE)
+    .select('report_id')
+    .eq('user_id', userId)
+  if (error) throw error
+
+  const [filed, supported] = await Promise.all([
+    listReports({ reporter: userId }),
+    supporters.length > 0 ? listReports({ ids: supporters.map((row) => row.report_id) }) : []
+  ])
+  const others = supported.filter((report) => report.user_id !== userId)
+  return {
+    reports: [...filed, ...others].sort((a, b) => b.created_at.localeCompare(a.created_at)),
+    supportedIds: others.map((report) => report.id)
+  }
+}
+
+// Moves a report along the status workflow (see workflow.js). Throws before
+// writing anything when the change is not allowed for the signed-in user or
+// a required field such as `resolutionNotes` is missing. The database checks
+// the same rules again.
+export const updateReportStatus = async (id, status, { resolutionNotes } = {}) => {
+  const [profile, { data: current, error: currentError }] = await Promise.all([
+    getCurrentProfile(),
+    supabase.from(TABLE).select('status, resolution_notes').eq('id', id).single()
+  ])
+  if (currentError) throw currentError
+
+  const changes = { status }
+  if (resolutionNotes !== undefined) changes.resolution_notes = resolutionNotes.trim()
+
+  assertTransition({
+    from: current.status,
+    to: status,
+    role: profile && profile.role,
+    fields: { ...current, ...changes }
+  })
+
+  // Only update if nobody changed the status since we read it.
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update(changes)
+    .eq('id', id)
+    .eq('status', current.status)
+    .select(REPORT_COLUMNS)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new AppError('reportChanged')
+  return resolveReport(data)
+}
+
+// Assigns a report to a staff member (see listStaff in profiles.js), or
+// unassigns it with null, and returns it. Its reporter can no longer edit or
+// withdraw it once it is assigned (see canReporterChange).
+export const assignReport = async (id, assigneeId) => {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ assigned_to: assigneeId || null })
+    .eq('id', id)
+    .select(REPORT_COLUMNS)
+    .single()
+
+  if (error) throw error
+  return resolveReport(data)
+}
+
+// Posts a comment on a report as the signed-in user and returns it. Staff
+// replies appear in the report's history for the reporter and supporters,
+// who are notified (migration 0016_push_notifications); `internal` notes are
+// only shown to staff.
+export const replyToReport = async (reportId, message, { internal = false } = {}) => {
+  const { data, error } = await supabase
+    .from(UPDATES_TABLE)
+    .insert({
+      report_id: reportId,
+      user_id: await getSessionUserId(),
+      message: message.trim(),
+      is_internal: internal
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Whether `userId` filed `report` and may still edit or withdraw it: until
+// staff pick it up, i.e. while it is open and nobody is assigned to it. Row-
+// level security enforces the same (migration 0019_reporter_edits).
+export const canReporterChange = (report, userId) =>
+  Boolean(report && userId) && report.user_id === userId && report.status === 'open' && !report.assigned_to
+
+
+// Changes the reporter's own report while `canReporterChange` allows it.
+// Only the fields passed are changed; `location` is `{ lat, lng, accuracy }`
+// as for `createReport`. Returns the updated report; throws when staff picked
+// it up in the meantime.
+export const editReport = async (id, changes) => {
+  const { location, ...fields } = changes
+  const patch = Object.fromEntries(
+    ['title', 'description', 'category', 'address']
+      .filter((field) => fields[field] !== undefined)
+      .map((field) => [field, fields[field]])
+  )
+  if (location !== undefined) Object.assign(patch, toLocationColumns(location))
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update(patch)
+    .eq('id', id)
+    .eq('status', 'open')
+    .is('assigned_to', null)
+    .select(REPORT_COLUMNS)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new AppError('tooLateToChange')
+  return resolveReport(data)
+}
+
+// Takes back the reporter's own report, e.g. one filed by mistake, while
+// `canReporterChange` allows it. It stays in their list and history as
+// withdrawn.
+export const withdrawReport = async (id) => {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ status: 'withdrawn' })
+    .eq('id', id)
+    .eq('status', 'open')
+    .is('assigned_to', null)
+    .select(REPORT_COLUMNS)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new AppError('tooLateToChange')
+  return resolveReport(data)
+}
+
+// Adds the photos the resident may see to rows from the nearby-report
+// database functions.
+const withNearbyImages = async (reports) => {
+  if (reports.length === 0) return []
+
+  const { data: images, error } = await supabase
+    .from(IMAGES_TABLE)
+    .select('*')
+    .in('report_id', reports.map((report) => report.id))
+  if (error) throw error
+
+  return withImages(reports.map((report) => ({
+    ...report,
+    images: images.filter((image) => image.report_id === report.id)
+  })))
+}
+
+// Unresolved reports of `category` near `location`, nearest first, to offer
+// as possible duplicates before filing. Residents cannot read other people's
+// reports, so this goes through the `find_nearby_reports` database function
+// (migration 0013_report_supporters), which decides how near is near. Like
+// the public issue map it leaves out the description and address and snaps
+// the location to a ~150 m grid; it adds `distance_m` (from the centre of
+// that cell, to the nearest 10 m), `support_count`, `is_own` and
+// `is_supported`. Photos are included where the resident may see them.
+export const findNearbyReports = async ({ location, category }) => {
+  const { data, error } = await supabase.rpc('find_nearby_reports', {
+    lat: location.lat,
+    lng: location.lng,
+    category_id: category
+  })
+  if (error) throw error
+  return withNearbyImages(data)
+}
+
+// Unresolved reports of any category around `location` for the Nearby tab,
+// nearest first and at most `limit` (up to 100) of them. The same summary as
+// `findNearbyReports`, from the `list_nearby_issues` database function
+// (migration 0014_nearby_reports), whose radius is set on the server.
+export const listNearbyIssues = async ({ location, limit = 50 }) => {
+  const { data, error } = await supabase.rpc('list_nearby_issues', {
+    lat: location.lat,
+    lng: location.lng,
+    max_results: limit
+  })
+  if (error) throw error
+  return withNearbyImages(data)
+}
+
+// Adds the signed-in resident's voice to someone else's unresolved report
+// instead of filing a duplicate. They can then follow it like their own.
+// Supporting twice is harmless. Returns the new support count.
+export const supportReport = async (id) => {
+  const { data, error } = await supabase.rpc('support_report', { report_id: id })
+  if (error) throw error
+  return data
+}
+
+// Returns the new support count.
+export const withdrawSupport = async (id) => {
+  const { data, error } = await supabase.rpc('withdraw_support', { report_id: id })
+  if (error) throw error
+  return data
+}
+
+// Guest reports (migration 0020_guest_reports) carry a ten-character
+// tracking code, shown as XXXXX-XXXXX. Codes are matched without the dash,
+// spaces or case, so any of these forms can be typed back in.
+export const formatTrackingCode = (code) => (code ? code.replace(/^(.{5})(?=.)/, '$1-') : '')
+
+// Progress of the report with this tracking code, for anyone who has the
+// code, signed in or not: `{ title, category, status, resolution_notes,
+// created_at, updated_at }`, or null when no report has the code.
+export const trackReport = async (code) => {
+  const { data, error } = await supabase.rpc('track_report', { code })
+  if (error) throw error
+  return data[0] || null
+}
+
+// Moves a guest report to the signed-in account, e.g. one filed on another
+// device before the resident signed up. Returns the report's id.
+export const claimGuestReport = async (code) => {
+  const { data, error } = await supabase.rpc('claim_guest_report', { code })
+  if (error) throw error
+  return data
+}
+
+// Open reports and those resolved in the last `resolvedWithinDays` days (at
+// most 365), newest first, for the community issue map. Anyone may call this,
+// signed in or not, through the `public_issue_map` database function
+// (migration 0015_public_issue_map). Each is `{ id, title, category, status,
+// latitude, longitude, created_at, resolved_at, support_count }`, located to
+// within about 150 m only; nothing else about the report is shared.
+export const listPublicIssues = async ({ resolvedWithinDays = 30 } = {}) => {
+  const { data, error } = await supabase.rpc('public_issue_map', { resolved_within_days: resolvedWithinDays })
+  if (error) throw error
+  return data
+}
+
+// Staff decide which photos may be shown beyond the reporter and staff, e.g.
+// on public pages. Nothing is public until a staff member marks it so.
+export const setImagePublic = async (imageId, isPublic) => {
+  const { data, error } = await supabase
+    .from(IMAGES_TABLE)
+    .update({ is_public: isPublic })
+    .eq('id', imageId)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Subscribes to realtime changes on `reports`. `filter` is a PostgREST-style
+// realtime filter such as `user_id=eq.<uuid>`. Returns an unsubscribe function.
+export const subscribeToReports = ({ onInsert, onUpdate, onDelete, filter, channel = 'reports-changes' } = {}) => {
+  const base = { schema: 'public', table: TABLE, ...(filter ? { filter } : {}) }
+  let subscription = supabase.channel(channel)
+
+  if (onInsert) {
+    subscription = subscription.on('postgres_changes', { ...base, event: 'INSERT' }, (payload) => onInsert(payload.new))
+  }
+  if (onUpdate) {
+    subscription = subscription.on('postgres_changes', { ...base, event: 'UPDATE' }, (payload) => onUpdate(payload.new))
+  }
+  if (onDelete) {
+    subscription = subscription.on('postgres_changes', { ...base, event: 'DELETE' }, (payload) => onDelete(payload.old))
+  }
+
+  subscription.subscribe()
+
+  return () => {
+    supabase.removeChannel(subscription)
+  }
+}
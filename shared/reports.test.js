@@ -0,0 +1,64 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { supabase } from './supabase.js'
+import { newId } from './ids.js'
+import { createReport, formatTrackingCode, trackReport, claimGuestReport } from './reports.js'
+
+// The local backend keeps its session in localStorage, which Node lacks.
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+}
+
+let guestReport
+
+// A fresh seed with a report just filed by a guest, still signed in as them.
+beforeEach(async () => {
+  storage.clear()
+  await supabase.local.reset()
+  const { error } = await supabase.auth.signInAnonymously()
+  assert.ifError(error)
+  guestReport = await createReport({
+    id: newId(),
+    title: 'Overflowing bin',
+    description: 'By the bus stop',
+    category: 'garbage',
+    location: { lat: 30.7195, lng: 76.7712, accuracy: 12 },
+    address: 'Madhya Marg bus stop, Sector 8, Chandigarh'
+  })
+})
+
+test('formatTrackingCode splits the code into two groups of five', () => {
+  assert.equal(formatTrackingCode('AB12CDE345'), 'AB12C-DE345')
+  assert.equal(formatTrackingCode('AB12C'), 'AB12C')
+  assert.equal(formatTrackingCode(''), '')
+  assert.equal(formatTrackingCode(null), '')
+})
+
+test('guest reports get a ten-character tracking code', () => {
+  assert.match(guestReport.tracking_code, /^[0-9A-Z]{10}$/)
+})
+
+test('a tracking code is found however it is typed', async () => {
+  const code = guestReport.tracking_code
+  await supabase.auth.signOut()
+
+  for (const typed of [code, formatTrackingCode(code), code.toLowerCase(), ` ${code.slice(0, 5)} ${code.slice(5)} `]) {
+    const found = await trackReport(typed)
+    assert.equal(found && found.title, 'Overflowing bin', typed)
+  }
+  assert.equal(await trackReport('ZZZZZ-ZZZZZ'), null)
+})
+
+test('an account claims a guest report with a formatted code', async () => {
+  await supabase.auth.signOut()
+  const { data, error } = await supabase.auth.signInWithPassword({ email: 'resident@example.com', password: 'password' })
+  assert.ifError(error)
+
+  const id = await claimGuestReport(formatTrackingCode(guestReport.tracking_code).toLowerCase())
+  assert.equal(id, guestReport.id)
+  const { data: claimed } = await supabase.from('reports').select('user_id').eq('id', id).single()
+  assert.equal(claimed.user_id, data.user.id)
+})
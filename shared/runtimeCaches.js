@@ -0,0 +1,11 @@
+// Service worker runtime caches that hold per-user data (see the citizen
+// portal's vite.config.js). They are emptied on sign-out so the next person
+// on the device cannot read them offline.
+
+export const REST_CACHE = 'supabase-rest'
+export const IMAGE_CACHE = 'supabase-images'
+
+export const clearUserDataCaches = async () => {
+  if (typeof caches === 'undefined') return
+  await Promise.all([REST_CACHE, IMAGE_CACHE].map((name) => caches.delete(name)))
+}
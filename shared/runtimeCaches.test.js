@@ -0,0 +1,25 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { clearUserDataCaches, REST_CACHE, IMAGE_CACHE } from './runtimeCaches.js'
+
+afterEach(() => {
+  delete globalThis.caches
+})
+
+test('signing out empties the caches holding per-user data', async () => {
+  const deleted = []
+  globalThis.caches = {
+    delete: async (name) => {
+      deleted.push(name)
+      return true
+    }
+  }
+
+  await clearUserDataCaches()
+  assert.deepEqual(deleted.sort(), [REST_CACHE, IMAGE_CACHE].sort())
+})
+
+test('nothing happens where the Cache API is missing', async () => {
+  assert.equal(typeof globalThis.caches, 'undefined')
+  await clearUserDataCaches()
+})
@@ -0,0 +1,176 @@
+import { supabase, uploadImage } from './supabase.js'
+import { createReport } from './reports.js'
+import { createKeyValueStore } from './idb.js'
+import { AppError, isNetworkError, toPlainError } from './errors.js'
+
+// Submitting reports, with an offline queue. A submission is
+// `{ id, title, description, category, location, address, photos }` where
+// `id` comes from `newId()` and each photo is `{ id, file, uploaded }`
+// (`uploaded` is set once the photo is in storage). Submissions that cannot
+// reach the server are kept in IndexedDB, photos included, and retried when
+// the connection comes back. Because the report id is fixed up front, a retry
+// never creates a second report (see createReport).
+
+export const SYNC_TAG = 'submit-reports'
+
+// Sent by the service worker (public/sw-sync.js) when Background Sync fires.
+export const FLUSH_MESSAGE = 'flush-report-queue'
+
+const queue = createKeyValueStore('civic-offline-queue', 'submissions')
+const listeners = new Set()
+
+const notify = () => listeners.forEach((listener) => listener())
+
+// Uploads the photos that are not uploaded yet, then creates the report.
+// `onPhotoProgress(photoId, stage)` and `onPhotoUploaded(photoId, uploaded)`
+// let callers show per-photo progress and remember finished uploads.
+export const submitReport = async (submission, { onPhotoProgress = () => {}, onPhotoUploaded = () => {} } = {}) => {
+  const { photos = [], ...report } = submission
+  const images = []
+
+  // One at a time so each photo shows its own progress.
+  for (const photo of photos) {
+    if (photo.uploaded) {
+      images.push(photo.uploaded)
+      continue
+    }
+    try {
+      const uploaded = await uploadImage(photo.file, {
+        reportId: report.id,
+        onProgress: (stage) => onPhotoProgress(photo.id, stage)
+      })
+      onPhotoUploaded(photo.id, uploaded)
+      images.push(uploaded)
+    } catch (err) {
+      onPhotoProgress(photo.id, 'error')
+      throw err
+    }
+  }
+
+  return createReport({ ...report, images })
+}
+
+// Asks the service worker to wake the app when the connection returns, where
+// Background Sync is supported. The `online` event covers the rest.
+const requestBackgroundSync = async () => {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return
+  try {
+    const registration = await navigator.serviceWorker.ready
+    if (registration.sync) await registration.sync.register(SYNC_TAG)
+  } catch (err) {
+    console.warn('Background Sync unavailable; will retry when back online', err)
+  }
+}
+
+// Stores a submission for later. Queued entries belong to the signed-in user
+// and are only sent while that user is signed in.
+export const queueReport = async (submission) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) throw new AppError('signedOut')
+
+  await queue.set(submission.id, {
+    submission,
+    userId: session.user.id,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null
+  })
+  notify()
+  requestBackgroundSync()
+}
+
+// Queued submissions of the signed-in user, oldest first.
+export const listQueuedReports = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) return []
+
+  const entries = await queue.entries()
+  return entries
+    .map(([, entry]) => entry)
+    .filter((entry) => entry.userId === session.user.id)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+}
+
+export const discardQueuedReport = async (id) => {
+  await queue.del(id)
+  notify()
+}
+
+export const retryQueuedReport = async (id) => {
+  const entry = await queue.get(id)
+  if (!entry) return []
+  await queue.set(id, { ...entry, lastError: null })
+  notify()
+  // A flush already running may have listed the queue before this change.
+  if (flushing) await flushing
+  return flushQueue()
+}
+
+// Calls `listener` whenever the queue changes. Returns an unsubscribe function.
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+let flushing = null
+
+// Sends queued submissions one by one. Stops at the first network error,
+// since the rest would fail the same way. A submission the server rejects
+// stays queued with `lastError` and is skipped until the resident retries
+// (see retryQueuedReport) or discards it. Returns the reports created.
+export const flushQueue = () => {
+  if (!flushing) {
+    flushing = (async () => {
+      const created = []
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) return created
+      const pending = (await listQueuedReports()).filter((entry) => !entry.lastError)
+      for (const entry of pending) {
+        try {
+          const report = await submitReport(entry.submission, {
+            // Keep finished uploads so a later retry does not send them again.
+            onPhotoUploaded: (photoId, uploaded) => {
+              entry.submission.photos = entry.submission.photos.map((photo) =>
+                photo.id === photoId ? { ...photo, uploaded } : photo
+              )
+            }
+          })
+          await queue.del(entry.submission.id)
+          created.push(report)
+        } catch (err) {
+          await queue.set(entry.submission.id, {
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: isNetworkError(err) ? null : toPlainError(err)
+          })
+          if (isNetworkError(err)) break
+        } finally {
+          notify()
+        }
+      }
+      return created
+    })().finally(() => {
+      flushing = null
+    })
+  }
+  return flushing
+}
+
+// Flushes the queue now, whenever the browser comes back online and when the
+// service worker relays a Background Sync event. Returns a cleanup function.
+export const startQueueSync = () => {
+  const flush = () => {
+    flushQueue().catch((err) => console.error('Offline queue: flush failed', err))
+  }
+  const handleMessage = (event) => {
+    if (event.data && event.data.type === FLUSH_MESSAGE) flush()
+  }
+
+  flush()
+  window.addEventListener('online', flush)
+  if (navigator.serviceWorker) navigator.serviceWorker.addEventListener('message', handleMessage)
+
+  return () => {
+    window.removeEventListener('online', flush)
+    if (navigator.serviceWorker) navigator.serviceWorker.removeEventListener('message', handleMessage)
+  }
+}
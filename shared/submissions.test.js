@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { supabase } from './supabase.js'
+import { createReport } from './reports.js'
+import { newId } from './ids.js'
+import { queueReport, listQueuedReports, discardQueuedReport, flushQueue } from './submissions.js'
+
+// The local backend keeps its session in localStorage, which Node lacks.
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+}
+
+const signIn = async (email) => {
+  const { error } = await supabase.auth.signInWithPassword({ email, password: 'password' })
+  assert.ifError(error)
+}
+
+const newSubmission = (changes = {}) => ({
+  id: newId(),
+  title: 'Broken bench',
+  description: 'The seat is split',
+  category: 'vandalism',
+  location: { lat: 51.5, lng: -0.12, accuracy: 10 },
+  address: '1 High Street',
+  photos: [],
+  ...changes
+})
+
+const reportsWithId = async (id) => {
+  const { data, error } = await supabase.from('reports').select('id').eq('id', id)
+  assert.ifError(error)
+  return data
+}
+
+// A fresh seed and an empty queue, signed in as the resident.
+beforeEach(async () => {
+  storage.clear()
+  await supabase.local.reset()
+  await signIn('resident@example.com')
+  for (const entry of await listQueuedReports()) await discardQueuedReport(entry.submission.id)
+})
+
+afterEach(() => {
+  delete globalThis.navigator
+})
+
+test('queueing the same submission again keeps one entry', async () => {
+  const submission = newSubmission()
+  await queueReport(submission)
+  await queueReport({ ...submission, title: 'Broken bench by the pond' })
+
+  const queued = await listQueuedReports()
+  assert.equal(queued.length, 1)
+  assert.equal(queued[0].submission.title, 'Broken bench by the pond')
+})
+
+test('a flush sends queued reports once and empties the queue', async () => {
+  const submission = newSubmission()
+  await queueReport(submission)
+
+  const created = await flushQueue()
+  assert.deepEqual(created.map((report) => report.id), [submission.id])
+  assert.deepEqual(await listQueuedReports(), [])
+  assert.equal((await flushQueue()).length, 0)
+  assert.equal((await reportsWithId(submission.id)).length, 1)
+})
+
+test('a retry after the first attempt reached the server does not file the report twice', async () => {
+  const submission = newSubmission()
+  // The first attempt was saved, but its response never came back.
+  await createReport(submission)
+  await queueReport(submission)
+
+  const created = await flushQueue()
+  assert.deepEqual(created.map((report) => report.id), [submission.id])
+  assert.equal((await reportsWithId(submission.id)).length, 1)
+})
+
+test('a submission the server rejects stays queued with its error', async () => {
+  const uploaded = { path: 'a.webp', thumbnailPath: 'a-thumb.webp' }
+  const submission = newSubmission({
+    photos: Array.from({ length: 6 }, () => ({ id: newId(), file: null, uploaded }))
+  })
+  await queueReport(submission)
+
+  assert.deepEqual(await flushQueue(), [])
+  const [entry] = await listQueuedReports()
+  assert.equal(entry.attempts, 1)
+  assert.deepEqual(entry.lastError, { code: 'tooManyPhotos', values: { count: 5 }, message: 'tooManyPhotos' })
+  // Skipped until the resident retries or discards it
+  assert.deepEqual(await flushQueue(), [])
+  assert.equal((await listQueuedReports())[0].attempts, 1)
+})
+
+test('nothing is sent while the browser is offline', async () => {
+  globalThis.navigator = { onLine: false }
+  await queueReport(newSubmission())
+
+  assert.deepEqual(await flushQueue(), [])
+  assert.equal((await listQueuedReports()).length, 1)
+})
+
+test('queued reports belong to the user who queued them', async () => {
+  await queueReport(newSubmission())
+  await supabase.auth.signOut()
+
+  assert.deepEqual(await listQueuedReports(), [])
+  await assert.rejects(queueReport(newSubmission()), { code: 'signedOut' })
+
+  await signIn('staff@example.com')
+  assert.deepEqual(await listQueuedReports(), [])
+})
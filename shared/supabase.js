@@ -1,29 +1,72 @@
 import { createClient } from '@supabase/supabase-js'
+import { createLocalClient } from './local/index.js'
+import { processImage, EXTENSIONS } from './images.js'
+import { newId } from './ids.js'
+import { AppError } from './errors.js'
 
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
+const env = import.meta.env || {}
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  throw new Error('Missing Supabase environment variables')
+// Backends the apps can run against, selected with VITE_BACKEND. Each one
+// returns an object with the supabase-js client surface the apps use.
+const backends = {
+  supabase: () => {
+    const supabaseUrl = env.VITE_SUPABASE_URL
+    const supabaseAnonKey = env.VITE_SUPABASE_ANON_KEY
+
+    if (!supabaseUrl || !supabaseAnonKey) {
+      throw new Error('Missing Supabase environment variables (set VITE_BACKEND=local to run without Supabase)')
+    }
+
+    return createClient(supabaseUrl, supabaseAnonKey)
+  },
+  local: () => createLocalClient()
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey)
+export const backend = env.VITE_BACKEND || 'supabase'
+
+if (!backends[backend]) {
+  throw new Error(`Unknown VITE_BACKEND "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`)
+}
+
+export const supabase = backends[backend]()
+
+export const IMAGE_BUCKET = 'report-images'
 
 // Helper functions for common operations
-export const uploadImage = async (file) => {
-  const fileExt = file.name.split('.').pop()
-  const fileName = `${Date.now()}.${fileExt}`
-  const { data, error } = await supabase.storage
-    .from('report-images')
-    .upload(fileName, file)
-  
-  if (error) throw error
-  
-  const { data: { publicUrl } } = supabase.storage
-    .from('report-images')
-    .getPublicUrl(fileName)
-  
-  return publicUrl
+
+// Validates, downscales and re-encodes the photo (see images.js), then uploads
+// it together with a thumbnail stored alongside it, under
+// `<user id>/<report id>/` in the private bucket. Returns the storage paths of
+// both; use imageUrls.js to turn them into URLs. `onProgress` is called with
+// 'processing', 'uploading' and 'done' as the photo moves through those stages.
+export const uploadImage = async (file, { reportId, onProgress = () => {} } = {}) => {
+  if (!reportId) throw new Error('uploadImage needs the id of the report the photo belongs to.')
+
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) throw new AppError('signedOut')
+
+  onProgress('processing')
+  const { image, thumbnail } = await processImage(file)
+  const id = newId()
+  const folder = `${session.user.id}/${reportId}`
+  const path = `${folder}/${id}.${EXTENSIONS[image.blob.type]}`
+  const thumbnailPath = `${folder}/${id}_thumb.${EXTENSIONS[thumbnail.blob.type]}`
+  const bucket = supabase.storage.from(IMAGE_BUCKET)
+  // Paths are unique, so the content behind one never changes.
+  const uploadOptions = (blob) => ({ contentType: blob.type, cacheControl: '31536000' })
+
+  onProgress('uploading')
+  const { error } = await bucket.upload(path, image.blob, uploadOptions(image.blob))
+  if (error) throw error
+
+  const { error: thumbnailError } = await bucket.upload(thumbnailPath, thumbnail.blob, uploadOptions(thumbnail.blob))
+  if (thumbnailError) {
+    await bucket.remove([path])
+    throw thumbnailError
+  }
+
+  onProgress('done')
+  return { path, thumbnailPath }
 }
 
 export const getCurrentUser = async () => {
@@ -55,4 +98,122 @@ export const signUp = async (email, password, name) => {
 export const signOut = async () => {
   const { error } = await supabase.auth.signOut()
   if (error) throw error
+}
+
+// Where sessions are kept in localStorage: sb-<project ref>-auth-token (and
+// its -code-verifier and -user companions) for supabase-js, and
+// civic-local-session for the local backend.
+const SESSION_STORAGE_KEY = /^sb-.+-auth-token|^civic-local-session$/
+
+// Forgets the session saved in this browser without asking the server, e.g.
+// when signing out failed. Everything else saved here, such as the chosen
+// language, is kept.
+export const clearStoredSession = () => {
+  for (const key of Object.keys(localStorage)) {
+    if (SESSION_STORAGE_KEY.test(key)) localStorage.removeItem(key)
+  }
+}
+
+// Passwordless sign-in. Supabase emails a link that signs the user in on
+// whichever device opens it (the client uses the implicit flow, so it need not
+// be the one that asked) and brings them to `redirectTo`, plus a code for
+// verifySignInCode on this device; the Magic Link email template must include
+// {{ .Token }} for the code to appear. An address without an account gets
+// one, without a password until they set one through account recovery.
+export const sendSignInEmail = async (email, { redirectTo } = {}) => {
+  const { error } = await supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: redirectTo } })
+  if (error) throw error
+}
+
+export const verifySignInCode = async (email, code) => {
+  const { data, error } = await supabase.auth.verifyOtp({ email, token: code.replace(/\s/g, ''), type: 'email' })
+  if (error) throw error
+  return data.session
+}
+
+// Account recovery. Supabase emails a link that signs the user in with a
+// recovery session and brings them to `redirectTo`, where they choose a new
+// password (updatePassword). `redirectTo` must be listed under Authentication
+// → URL Configuration → Redirect URLs. Succeeds whether or not the address
+// has an account, so the form does not reveal who is registered.
+export const requestPasswordReset = async (email, { redirectTo } = {}) => {
+  const { error } = await supabase.auth.resetPasswordForEmail(email, { redirectTo })
+  if (error) throw error
+}
+
+// Calls `callback` when a recovery link signs someone in. Apps also mark
+// their `redirectTo`, because the event can fire before they subscribe.
+export const onPasswordRecovery = (callback) => {
+  const { data: { subscription } } = supabase.auth.onAuthStateChange((event) => {
+    if (event === 'PASSWORD_RECOVERY') callback()
+  })
+  return () => subscription.unsubscribe()
+}
+
+// Sets a new password for the signed-in user; after a recovery link this
+// needs no current password.
+export const updatePassword = async (password) => {
+  const { data, error } = await supabase.auth.updateUser({ password })
+  if (error) throw error
+  return data.user
+}
+
+// Changes the password of a signed-in user, who proves it is them with the
+// current one first.
+export const changePassword = async (currentPassword, newPassword) => {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user || !user.email) throw new AppError('noEmailForPassword')
+
+  const { error } = await supabase.auth.signInWithPassword({ email: user.email, password: currentPassword })
+  if (error) throw new AppError('wrongPassword')
+  return updatePassword(newPassword)
+}
+
+// Starts moving the account to a new address. Supabase emails a link to the
+// new address (with "Secure email change" on, to the current one too) that
+// leads back to `redirectTo`; the address changes once confirmed, and the
+// profile follows (sync_profile_email, migration 0020_guest_reports).
+export const changeEmail = async (email, { redirectTo } = {}) => {
+  const { data, error } = await supabase.auth.updateUser({ email }, { emailRedirectTo: redirectTo })
+  if (error) throw error
+  return data.user
+}
+
+// The address a changeEmail is waiting to have confirmed, or null.
+export const getPendingEmail = (user) => (user && user.new_email) || null
+
+// Guests report without an account (migration 0020_guest_reports): this
+// starts an anonymous session, which files reports like any other until the
+// guest signs out. Anonymous sign-ins must be enabled in Supabase Auth.
+// Every call is a new guest, so the per-guest daily report cap resets with
+// it; the database also caps guest reports per IP address, which does not.
+export const signInAsGuest = async () => {
+  const { data, error } = await supabase.auth.signInAnonymously()
+  if (error) throw error
+  return data
+}
+
+export const isGuestUser = (user) => Boolean(user && user.is_anonymous)
+
+// Turning a guest session into an account takes two steps, and keeps the
+// user id and with it every report. First the guest adds an email address
+// and confirms it from the email Supabase sends, which brings them back to
+// `redirectTo`; then they choose a password (setAccountPassword).
+export const addEmailToGuestAccount = async (email, { redirectTo } = {}) => {
+  const { data, error } = await supabase.auth.updateUser(
+    { email, data: { password_pending: true } },
+    { emailRedirectTo: redirectTo }
+  )
+  if (error) throw error
+  return data
+}
+
+// True for a former guest who confirmed their email but has no password yet.
+export const needsPassword = (user) =>
+  Boolean(user && !user.is_anonymous && user.user_metadata && user.user_metadata.password_pending)
+
+export const setAccountPassword = async (password) => {
+  const { data, error } = await supabase.auth.updateUser({ password, data: { password_pending: false } })
+  if (error) throw error
+  return data
 }
\ No newline at end of file
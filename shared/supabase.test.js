@@ -0,0 +1,53 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { supabase, sendSignInEmail, verifySignInCode } from './supabase.js'
+
+// The local backend keeps its session in localStorage, which Node lacks.
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+}
+
+const EMAIL = 'resident@example.com'
+
+// The code the local backend "emails", which it logs instead.
+const requestCode = async (t, email = EMAIL) => {
+  const info = t.mock.method(console, 'info', () => {})
+  await sendSignInEmail(email, { redirectTo: 'http://localhost/citizen/' })
+  const [message] = info.mock.calls.at(-1).arguments
+  info.mock.restore()
+  return /enter the code (\d+)/.exec(message)[1]
+}
+
+beforeEach(async () => {
+  storage.clear()
+  await supabase.local.reset()
+})
+
+test('a sign-in code may be typed with spaces', async (t) => {
+  const code = await requestCode(t)
+  const session = await verifySignInCode(EMAIL, ` ${code.slice(0, 3)} ${code.slice(3)} `)
+  assert.equal(session.user.email, EMAIL)
+})
+
+test('a sign-in code works once', async (t) => {
+  const code = await requestCode(t)
+  await verifySignInCode(EMAIL, code)
+  await supabase.auth.signOut()
+
+  await assert.rejects(verifySignInCode(EMAIL, code), { status: 403 })
+})
+
+test('a code only signs in the address it was sent to', async (t) => {
+  const code = await requestCode(t)
+  await assert.rejects(verifySignInCode('staff@example.com', code), { status: 403 })
+})
+
+test('an address without an account gets one', async (t) => {
+  const code = await requestCode(t, 'newcomer@example.com')
+  const session = await verifySignInCode('newcomer@example.com', code)
+  const { data: profile } = await supabase.from('profiles').select('role').eq('id', session.user.id).single()
+  assert.equal(profile.role, 'citizen')
+})
@@ -0,0 +1,6 @@
+// Installs viteHooks.js for the tests (see the `test` script in the root
+// package.json): node --import ./shared/testing/vite.js --test shared/ scripts/
+
+import { register } from 'node:module'
+
+register('./viteHooks.js', import.meta.url)
@@ -0,0 +1,23 @@
+// Module hooks (node:module `register`) that give Node what Vite gives the
+// apps, so tests can import shared modules as they are: JSON imports without
+// import attributes (the i18n catalogues) and `import.meta.env`, set to use
+// the local backend and geocoder.
+
+import { readFile } from 'node:fs/promises'
+
+const ENV = { MODE: 'test', DEV: false, PROD: false, VITE_BACKEND: 'local' }
+
+const isOwnSource = (url) => url.startsWith('file:') && !url.includes('/node_modules/')
+
+export async function load(url, context, nextLoad) {
+  if (!isOwnSource(url)) return nextLoad(url, context)
+
+  if (url.endsWith('.json')) {
+    return { format: 'json', source: await readFile(new URL(url), 'utf8'), shortCircuit: true }
+  }
+
+  const result = await nextLoad(url, context)
+  if (result.format !== 'module') return result
+  const source = String(result.source).replace(/\bimport\.meta\.env\b/g, `(${JSON.stringify(ENV)})`)
+  return { ...result, source }
+}
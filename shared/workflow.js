@@ -0,0 +1,58 @@
+// The report status workflow: which status changes are allowed, who may make
+// them and which report fields must be filled in first. Migration
+// 0010_report_status_workflow holds the same table and enforces it in the
+// database; keep the two in step.
+
+import { AppError } from './errors.js'
+
+export const STAFF_ROLES = ['staff', 'admin']
+
+export const STATUS_TRANSITIONS = [
+  { from: 'open', to: 'in_progress', roles: STAFF_ROLES },
+  { from: 'open', to: 'resolved', roles: STAFF_ROLES, requires: ['resolution_notes'] },
+  // Closing without a fix (duplicate, out of scope, ...) needs a reason too.
+  { from: 'open', to: 'closed', roles: STAFF_ROLES, requires: ['resolution_notes'] },
+  { from: 'in_progress', to: 'open', roles: STAFF_ROLES },
+  { from: 'in_progress', to: 'resolved', roles: STAFF_ROLES, requires: ['resolution_notes'] },
+  { from: 'in_progress', to: 'closed', roles: STAFF_ROLES, requires: ['resolution_notes'] },
+  // The fix did not hold.
+  { from: 'resolved', to: 'in_progress', roles: STAFF_ROLES },
+  { from: 'resolved', to: 'closed', roles: STAFF_ROLES },
+  // Closed is final; only an admin can take a report up again.
+  { from: 'closed', to: 'in_progress', roles: ['admin'] },
+  // The reporter takes back their own report before staff pick it up (row-
+  // level security keeps residents to their own open, unassigned reports).
+  // Withdrawn is final.
+  { from: 'open', to: 'withdrawn', roles: ['citizen'] },
+  // The reporter says the fix did not work, with a comment and a photo,
+  // within 30 days; only through respond_to_resolution (migration
+  // 0021_resolution_feedback, see feedback.js).
+  { from: 'resolved', to: 'open', roles: ['citizen'] }
+]
+
+export const findTransition = (from, to) =>
+  STATUS_TRANSITIONS.find((transition) => transition.from === from && transition.to === to) || null
+
+// Transitions out of `status` that a user with `role` may perform.
+export const getAllowedTransitions = (status, role) =>
+  STATUS_TRANSITIONS.filter((transition) => transition.from === status && transition.roles.includes(role))
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ''
+
+// Throws an AppError (see errors.js) explaining why `role` may not move a
+// report from `from` to `to` with `fields` (column values after the change),
+// or returns the transition.
+export const assertTransition = ({ from, to, role, fields = {} }) => {
+  const transition = findTransition(from, to)
+  if (!transition) {
+    throw new AppError('transitionNotAllowed', { fromStatus: from, toStatus: to })
+  }
+  if (!transition.roles.includes(role)) {
+    throw new AppError('transitionForbidden', { fromStatus: from, toStatus: to })
+  }
+  const missing = (transition.requires || []).find((field) => isBlank(fields[field]))
+  if (missing) {
+    throw new AppError('fieldRequired', { field: missing, toStatus: to })
+  }
+  return transition
+}
@@ -0,0 +1,97 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readdirSync, readFileSync } from 'node:fs'
+import { STATUS_TRANSITIONS, findTransition, getAllowedTransitions, assertTransition } from './workflow.js'
+
+// The report_status enum (migrations 0001 and 0018). reports.js exports the
+// same list but needs a Supabase client to import.
+const REPORT_STATUSES = ['open', 'in_progress', 'resolved', 'closed', 'withdrawn']
+
+test('every transition is between known statuses and roles', () => {
+  for (const { from, to, roles } of STATUS_TRANSITIONS) {
+    assert.ok(REPORT_STATUSES.includes(from), from)
+    assert.ok(REPORT_STATUSES.includes(to), to)
+    assert.notEqual(from, to)
+    assert.ok(roles.every((role) => ['citizen', 'staff', 'admin'].includes(role)))
+  }
+})
+
+// The rows the migrations insert into report_status_transitions.
+const migratedTransitions = () => {
+  const migrations = new URL('../migrations/', import.meta.url)
+  const rows = []
+  for (const file of readdirSync(migrations).filter((name) => name.endsWith('.up.sql')).sort()) {
+    const sql = readFileSync(new URL(file, migrations), 'utf8')
+    for (const [, values] of sql.matchAll(/INSERT INTO public\.report_status_transitions \([^)]*\) VALUES([^;]*);/g)) {
+      for (const [, from, to, roles, requires] of values.matchAll(/\('(\w+)', '(\w+)', '\{([\w,]*)\}', '\{([\w,]*)\}'\)/g)) {
+        rows.push({ from, to, roles: roles.split(','), requires: requires ? requires.split(',') : [] })
+      }
+    }
+  }
+  return rows
+}
+
+test('the table matches the one the migrations give the database', () => {
+  const key = ({ from, to }) => `${from}->${to}`
+  const expected = STATUS_TRANSITIONS
+    .map(({ from, to, roles, requires = [] }) => ({ from, to, roles, requires }))
+    .sort((a, b) => key(a).localeCompare(key(b)))
+  const migrated = migratedTransitions().sort((a, b) => key(a).localeCompare(key(b)))
+  assert.deepEqual(migrated, expected)
+})
+
+test('withdrawn is final, and only an admin takes a closed report up again', () => {
+  for (const role of ['citizen', 'staff', 'admin']) {
+    assert.deepEqual(getAllowedTransitions('withdrawn', role), [])
+  }
+  assert.deepEqual(getAllowedTransitions('closed', 'staff'), [])
+  assert.deepEqual(getAllowedTransitions('closed', 'admin').map((transition) => transition.to), ['in_progress'])
+})
+
+test('residents may only withdraw open reports and reopen resolved ones', () => {
+  assert.deepEqual(getAllowedTransitions('open', 'citizen').map((transition) => transition.to), ['withdrawn'])
+  assert.deepEqual(getAllowedTransitions('in_progress', 'citizen'), [])
+  assert.deepEqual(getAllowedTransitions('resolved', 'citizen').map((transition) => transition.to), ['open'])
+})
+
+test('findTransition returns null for a change that is not in the table', () => {
+  assert.equal(findTransition('withdrawn', 'open'), null)
+  assert.equal(findTransition('open', 'in_progress').to, 'in_progress')
+})
+
+test('assertTransition returns the transition when everything is in order', () => {
+  const transition = assertTransition({
+    from: 'in_progress',
+    to: 'resolved',
+    role: 'staff',
+    fields: { resolution_notes: 'Filled in' }
+  })
+  assert.equal(transition, findTransition('in_progress', 'resolved'))
+})
+
+test('assertTransition names the statuses of a change that does not exist', () => {
+  assert.throws(
+    () => assertTransition({ from: 'withdrawn', to: 'open', role: 'admin' }),
+    { name: 'AppError', code: 'transitionNotAllowed', values: { fromStatus: 'withdrawn', toStatus: 'open' } }
+  )
+})
+
+test('assertTransition refuses a role the transition is not for', () => {
+  assert.throws(
+    () => assertTransition({ from: 'closed', to: 'in_progress', role: 'staff' }),
+    { code: 'transitionForbidden', values: { fromStatus: 'closed', toStatus: 'in_progress' } }
+  )
+  assert.throws(
+    () => assertTransition({ from: 'open', to: 'in_progress', role: 'citizen' }),
+    { code: 'transitionForbidden' }
+  )
+})
+
+test('assertTransition asks for a resolution note that is missing or blank', () => {
+  for (const resolutionNotes of [undefined, null, '', '   ']) {
+    assert.throws(
+      () => assertTransition({ from: 'open', to: 'closed', role: 'admin', fields: { resolution_notes: resolutionNotes } }),
+      { code: 'fieldRequired', values: { field: 'resolution_notes', toStatus: 'closed' } }
+    )
+  }
+})